@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js';
+import { authenticate } from '../../lib/auth.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -23,22 +24,12 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const authHeader = req.headers.authorization;
-  if (!authHeader) {
-    return res.status(401).json({ error: 'Missing authorization header' });
-  }
-
-  const token = authHeader.split(' ')[1]; // Bearer <token>
-  if (!token) {
-    return res.status(401).json({ error: 'Invalid authorization header' });
-  }
-
   try {
-    const { data: { user }, error } = await supabase.auth.getUser(token);
-
-    if (error || !user) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
+    const auth = await authenticate(req, res);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
     }
+    const { user } = auth;
 
     // Fetch subscription tier from profiles
     const { data: profile, error: profileError } = await supabase
@@ -0,0 +1,236 @@
+import { createClient } from '@supabase/supabase-js';
+import { authenticate } from '../../lib/auth.js';
+import { runDomainChecks } from '../../lib/domain-check.js';
+import { mapWithConcurrency, withTimeout } from '../../lib/concurrency.js';
+import { recordChecks } from '../../lib/history.js';
+import { meterUsage, refundUsage } from '../../lib/metering.js';
+import {
+  aggregateSummary,
+  BULK_CONCURRENCY,
+  MAX_BULK_DOMAINS,
+  parseDomainList,
+  summarizeDomainResult,
+} from '../../lib/bulk.js';
+
+// Jobs are created, claimed and saved server-side only
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Stop starting new batches after this long so the function (maxDuration 60s)
+// can save progress and respond; the client resumes with the job ID.
+const TIME_BUDGET_MS = 40000;
+// Per domain, so a slow one cannot hold its batch past maxDuration and the
+// lease; the last batch starts within the budget and ends within 55s
+const DOMAIN_TIMEOUT_MS = 15000;
+// How long a claimed job is left to the request processing it. Longer than
+// maxDuration, so only a request that died loses its claim.
+const LEASE_MS = 70000;
+
+const leaseEnd = () => new Date(Date.now() + LEASE_MS).toISOString();
+
+// Claims a pending job unless another request is processing it. Resolves to
+// the job, or null when it is missing, completed or claimed.
+async function claimJob(jobId, userId) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('bulk_jobs')
+    .update({ locked_until: leaseEnd() })
+    .eq('id', jobId)
+    .eq('user_id', userId)
+    .eq('status', 'pending')
+    .or(`locked_until.is.null,locked_until.lt.${now}`)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function releaseJob(jobId) {
+  const { error } = await supabase
+    .from('bulk_jobs')
+    .update({ locked_until: null })
+    .eq('id', jobId);
+
+  if (error) console.error('Bulk job release error:', error);
+}
+
+function jobResponse(job, results = []) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    total: job.domains.length,
+    processed: job.results.length,
+    rejected: job.rejected,
+    summary: aggregateSummary(job.results),
+    rows: job.results,
+    results,
+  };
+}
+
+async function runBatches(domains, startedAt) {
+  const results = [];
+  for (let i = 0; i < domains.length; i += BULK_CONCURRENCY) {
+    if (Date.now() - startedAt > TIME_BUDGET_MS) break;
+    const batch = domains.slice(i, i + BULK_CONCURRENCY);
+    const batchResults = await mapWithConcurrency(batch, BULK_CONCURRENCY, async domain => {
+      try {
+        return { domain, ok: true, checks: await withTimeout(runDomainChecks(domain), DOMAIN_TIMEOUT_MS) };
+      } catch (err) {
+        if (err.name === 'TimeoutError') {
+          return { domain, ok: false, error: 'Check timed out' };
+        }
+        console.error(`Bulk check error for ${domain}:`, err);
+        return { domain, ok: false, error: 'Check failed' };
+      }
+    });
+    results.push(...batchResults);
+  }
+  return results;
+}
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+  );
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const startedAt = Date.now();
+
+  // Body is JSON ({ domains } / { csv } / { jobId }) or a raw text/csv upload
+  const payload = typeof req.body === 'string' ? { csv: req.body } : (req.body || {});
+  const { jobId } = payload;
+
+  try {
+    const auth = await authenticate(req, res, { scope: 'domain' });
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { user, apiKey } = auth;
+
+    // Every pending domain is reserved up front so concurrent jobs can't
+    // overshoot the quota; what the time budget leaves for the next call is
+    // refunded below
+    const reserve = async count => (count ? meterUsage(res, user.id, 'bulk', count) : {});
+
+    let job;
+    if (jobId) {
+      // Resume an existing job. It is claimed first, so two resumes at once
+      // can't both run and charge the same domains.
+      try {
+        job = await claimJob(jobId, user.id);
+      } catch (error) {
+        console.error('Bulk job claim error:', error);
+        return res.status(500).json({ error: 'Failed to load job' });
+      }
+      if (!job) {
+        const { data, error } = await supabase
+          .from('bulk_jobs')
+          .select('*')
+          .eq('id', jobId)
+          .eq('user_id', user.id)
+          .maybeSingle();
+
+        if (error) {
+          console.error('Bulk job fetch error:', error);
+          return res.status(500).json({ error: 'Failed to load job' });
+        }
+        if (!data) {
+          return res.status(404).json({ error: 'Job not found' });
+        }
+        if (data.status === 'pending') {
+          return res.status(409).json({ error: 'Job is already being processed, try again shortly' });
+        }
+        return res.status(200).json(jobResponse(data));
+      }
+      const metered = await reserve(job.domains.length - job.results.length);
+      if (metered.error) {
+        await releaseJob(job.id);
+        return res.status(metered.status).json({ error: metered.error });
+      }
+    } else {
+      const { domains, rejected } = parseDomainList(payload.domains ?? payload.csv);
+      if (domains.length === 0) {
+        return res.status(400).json({ error: 'No valid domains provided', rejected });
+      }
+      if (domains.length > MAX_BULK_DOMAINS) {
+        return res.status(400).json({ error: `At most ${MAX_BULK_DOMAINS} domains per bulk check` });
+      }
+      const metered = await reserve(domains.length);
+      if (metered.error) {
+        return res.status(metered.status).json({ error: metered.error });
+      }
+
+      const { data, error } = await supabase
+        .from('bulk_jobs')
+        .insert([{ user_id: user.id, domains, rejected, results: [], locked_until: leaseEnd() }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Bulk job create error:', error);
+        await refundUsage(user.id, 'bulk', domains.length);
+        return res.status(500).json({ error: 'Failed to create job' });
+      }
+      job = data;
+    }
+
+    const pending = job.domains.slice(job.results.length);
+    let newResults;
+    try {
+      newResults = await runBatches(pending, startedAt);
+    } catch (err) {
+      await refundUsage(user.id, 'bulk', pending.length);
+      await releaseJob(job.id);
+      throw err;
+    }
+    await refundUsage(user.id, 'bulk', pending.length - newResults.length);
+
+    // Full results go to the history; the job keeps a summary row per domain
+    // pointing at its history entry
+    const checked = newResults.filter(entry => entry.ok);
+    const historyIds = await recordChecks(supabase, user.id, checked.map(entry => ({
+      kind: 'domain',
+      domain: entry.domain,
+      input: { bulkJobId: job.id },
+      result: entry.checks,
+      apiKeyId: apiKey?.id,
+    })));
+    const historyIdOf = new Map(checked.map((entry, i) => [entry.domain, historyIds[i] || null]));
+
+    const rows = [
+      ...job.results,
+      ...newResults.map(entry => ({ ...summarizeDomainResult(entry), historyId: historyIdOf.get(entry.domain) ?? null })),
+    ];
+    const status = rows.length >= job.domains.length ? 'completed' : 'pending';
+
+    const { error: jobUpdateError } = await supabase
+      .from('bulk_jobs')
+      .update({ results: rows, status, locked_until: null, updated_at: new Date().toISOString() })
+      .eq('id', job.id);
+
+    if (jobUpdateError) {
+      console.error('Bulk job update error:', jobUpdateError);
+      return res.status(500).json({ error: 'Failed to save job progress' });
+    }
+
+    return res.status(200).json(jobResponse({ ...job, status, results: rows }, newResults));
+  } catch (err) {
+    console.error('Bulk check error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,81 @@
+import { createClient } from '@supabase/supabase-js';
+import { authenticate } from '../../lib/auth.js';
+import { aggregateSummary, toCSV } from '../../lib/bulk.js';
+
+// Callers may use an API key instead of a session, so jobs are read with
+// the service role and filtered by owner here
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+  );
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id, format } = req.query;
+  if (!id) {
+    return res.status(400).json({ error: 'Job id required' });
+  }
+
+  try {
+    const auth = await authenticate(req, res, { scope: 'domain' });
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { user } = auth;
+
+    const { data: job, error: jobError } = await supabase
+      .from('bulk_jobs')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (jobError) {
+      console.error('Bulk job fetch error:', jobError);
+      return res.status(500).json({ error: 'Failed to load job' });
+    }
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    // One summary row per domain; the full results are in the history
+    const rows = job.results;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="inboxlx-bulk-${job.id}.csv"`);
+      return res.status(200).send(toCSV(rows));
+    }
+
+    return res.status(200).json({
+      jobId: job.id,
+      status: job.status,
+      total: job.domains.length,
+      processed: job.results.length,
+      rejected: job.rejected,
+      summary: aggregateSummary(rows),
+      rows,
+      createdAt: job.created_at,
+      updatedAt: job.updated_at,
+    });
+  } catch (err) {
+    console.error('Bulk job error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -1,109 +1,19 @@
 import { createClient } from '@supabase/supabase-js';
-import dns from 'dns2';
-import whois from 'whois-json';
-import { promisify } from 'util';
-
+import { authenticate } from '../lib/auth.js';
+import net from 'net';
+import { isValidSelector, MAX_CUSTOM_SELECTORS } from '../lib/dkim.js';
+import { DOMAIN_PATTERN, normalizeDomain, runDomainChecks } from '../lib/domain-check.js';
+import { recordCheck } from '../lib/history.js';
+import { meterUsage, refundUsage } from '../lib/metering.js';
+import { MAX_PROBE_TIMEOUT_MS } from '../lib/smtp-probe.js';
+
+// Service role: results are saved to check_history, which is closed to
+// writes from clients
 const supabase = createClient(
   process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
+  process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-const { Resolver } = dns;
-const resolver = new Resolver();
-const whoisPromisified = promisify(whois);
-
-// ---------- Helper Functions ----------
-
-async function resolveMX(domain) {
-  try {
-    const result = await resolver.resolveMX(domain);
-    return result.answers.map(ans => ({
-      exchange: ans.exchange,
-      priority: ans.priority
-    }));
-  } catch (err) {
-    console.error(`MX resolution error for ${domain}:`, err);
-    return []; // Return empty array on failure
-  }
-}
-
-async function resolveSPF(domain) {
-  try {
-    const result = await resolver.resolveTXT(domain);
-    const spfRecord = result.answers.find(ans => 
-      ans.value.includes('v=spf1')
-    );
-    return spfRecord ? spfRecord.value : null;
-  } catch (err) {
-    console.error(`SPF resolution error for ${domain}:`, err);
-    return null;
-  }
-}
-
-async function resolveDKIM(domain) {
-  // Common selectors: default, dkim, mail, etc.
-  const selectors = ['default', 'dkim', 'mail', 'selector1', 'selector2'];
-  for (const selector of selectors) {
-    const dkimDomain = `${selector}._domainkey.${domain}`;
-    try {
-      const result = await resolver.resolveTXT(dkimDomain);
-      const dkimRecord = result.answers.find(ans => 
-        ans.value.includes('v=DKIM1')
-      );
-      if (dkimRecord) {
-        return { selector, record: dkimRecord.value };
-      }
-    } catch (err) {
-      // Ignore individual selector failures; continue checking others
-    }
-  }
-  return null;
-}
-
-async function resolveDMARC(domain) {
-  const dmarcDomain = `_dmarc.${domain}`;
-  try {
-    const result = await resolver.resolveTXT(dmarcDomain);
-    const dmarcRecord = result.answers.find(ans => 
-      ans.value.includes('v=DMARC1')
-    );
-    return dmarcRecord ? dmarcRecord.value : null;
-  } catch (err) {
-    console.error(`DMARC resolution error for ${domain}:`, err);
-    return null;
-  }
-}
-
-async function getDomainAge(domain) {
-  try {
-    const whoisData = await whoisPromisified(domain);
-    // Common creation date field names across different TLDs
-    const creationField = whoisData.creationDate || 
-                         whoisData['Creation Date'] || 
-                         whoisData['created'] || 
-                         whoisData['registered'] || 
-                         whoisData['Created On'] ||
-                         whoisData['Registration Date'];
-    
-    if (creationField) {
-      const creationDate = new Date(creationField);
-      if (!isNaN(creationDate.getTime())) {
-        const now = new Date();
-        const ageMs = now - creationDate;
-        const ageDays = Math.floor(ageMs / (1000 * 60 * 60 * 24));
-        return {
-          creationDate: creationField,
-          ageDays,
-        };
-      }
-    }
-    return { creationDate: null, ageDays: null };
-  } catch (err) {
-    console.error(`WHOIS error for ${domain}:`, err);
-    return { creationDate: null, ageDays: null };
-  }
-}
-
 // ---------- Main Handler ----------
 
 export default async function handler(req, res) {
@@ -126,93 +36,75 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { domain } = req.body;
+  const { domain: rawDomain, ip, selectors: rawSelectors, includeSpfIps = false, probeSmtp = false, smtpTimeoutMs } = req.body || {};
+  // Checked and recorded as the bare domain, so history entries line up
+  const domain = normalizeDomain(rawDomain);
   if (!domain) {
     return res.status(400).json({ error: 'Domain required' });
   }
-
-  // Authenticate user
-  const authHeader = req.headers.authorization;
-  if (!authHeader) {
-    return res.status(401).json({ error: 'Missing authorization header' });
+  if (!DOMAIN_PATTERN.test(domain)) {
+    return res.status(400).json({ error: 'Invalid domain' });
+  }
+  // Optional sending IP to evaluate against the SPF policy
+  if (ip && !net.isIP(ip)) {
+    return res.status(400).json({ error: 'Invalid sending IP address' });
+  }
+  // Optional DKIM selectors, as an array or a comma-separated string
+  const selectors = (Array.isArray(rawSelectors) ? rawSelectors : String(rawSelectors || '').split(','))
+    .map(s => String(s).trim())
+    .filter(Boolean);
+  if (selectors.length > MAX_CUSTOM_SELECTORS) {
+    return res.status(400).json({ error: `At most ${MAX_CUSTOM_SELECTORS} DKIM selectors allowed` });
+  }
+  const invalidSelector = selectors.find(s => !isValidSelector(s));
+  if (invalidSelector) {
+    return res.status(400).json({ error: `Invalid DKIM selector: ${invalidSelector}` });
   }
 
-  const token = authHeader.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ error: 'Invalid authorization header' });
+  // Optional SMTP probe of the MX hosts, with a per-host timeout
+  if (smtpTimeoutMs !== undefined && !(Number.isInteger(smtpTimeoutMs) && smtpTimeoutMs >= 1000 && smtpTimeoutMs <= MAX_PROBE_TIMEOUT_MS)) {
+    return res.status(400).json({ error: `smtpTimeoutMs must be between 1000 and ${MAX_PROBE_TIMEOUT_MS}` });
   }
+  const smtpProbe = probeSmtp ? (smtpTimeoutMs ? { timeoutMs: smtpTimeoutMs } : true) : false;
 
   try {
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
-    if (authError || !user) {
-      console.error('Auth error:', authError);
-      return res.status(401).json({ error: 'Invalid or expired token' });
-    }
-
-    // Check usage limit (free tier = 1 per month)
-    const now = new Date();
-    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).toISOString().split('T')[0];
-
-    const { data: usage, error: usageError } = await supabase
-      .from('usage')
-      .select('domain_checks')
-      .eq('user_id', user.id)
-      .eq('month', monthStart)
-      .maybeSingle();
-
-    if (usageError) {
-      console.error('Usage fetch error:', usageError);
-      return res.status(500).json({ error: 'Failed to verify usage' });
-    }
-
-    // Fetch user's subscription tier
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .select('subscription_tier')
-      .eq('id', user.id)
-      .single();
-
-    if (profileError && profileError.code !== 'PGRST116') {
-      console.error('Profile fetch error:', profileError);
+    // Authenticate user (session or API key)
+    const auth = await authenticate(req, res, { scope: 'domain' });
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
     }
+    const { user, apiKey } = auth;
 
-    const tier = profile?.subscription_tier || 'free';
-    const domainChecksUsed = usage?.domain_checks || 0;
-    const domainChecksLimit = tier === 'pro' ? Infinity : 1;
-
-    if (domainChecksUsed >= domainChecksLimit) {
-      return res.status(403).json({ error: 'Monthly domain check limit reached' });
+    // Spend one domain check up front so concurrent requests can't overshoot the quota
+    const metered = await meterUsage(res, user.id, 'domain');
+    if (metered.error) {
+      return res.status(metered.status).json({ error: metered.error });
     }
 
     // Perform domain checks
-    const mxRecords = await resolveMX(domain);
-    const spfRecord = await resolveSPF(domain);
-    const dkimRecord = await resolveDKIM(domain);
-    const dmarcRecord = await resolveDMARC(domain);
-    const domainAge = await getDomainAge(domain);
-
-    // Update usage counter
-    const { error: updateError } = await supabase
-      .from('usage')
-      .upsert({
-        user_id: user.id,
-        month: monthStart,
-        domain_checks: domainChecksUsed + 1,
-        updated_at: new Date().toISOString(),
-      }, { onConflict: 'user_id, month' });
-
-    if (updateError) {
-      console.error('Usage update error:', updateError);
+    let results;
+    try {
+      results = await runDomainChecks(domain, {
+        ip: ip || null,
+        selectors,
+        includeSpfIps: Boolean(includeSpfIps),
+        smtpProbe,
+      });
+    } catch (err) {
+      await refundUsage(user.id, 'domain');
+      throw err;
     }
 
-    // Return results
-    return res.status(200).json({
-      mx: mxRecords,
-      spf: spfRecord,
-      dkim: dkimRecord,
-      dmarc: dmarcRecord,
-      age: domainAge,
+    const historyId = await recordCheck(supabase, user.id, {
+      kind: 'domain',
+      domain,
+      input: { ip: ip || null, selectors, includeSpfIps: Boolean(includeSpfIps), probeSmtp: Boolean(probeSmtp) },
+      result: results,
+      apiKeyId: apiKey?.id,
     });
+
+    // Return results
+    return res.status(200).json({ ...results, historyId });
   } catch (err) {
     console.error('Domain check error:', err);
     return res.status(500).json({ error: 'Internal server error' });
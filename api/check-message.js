@@ -0,0 +1,150 @@
+import { createClient } from '@supabase/supabase-js';
+import { authenticate } from '../lib/auth.js';
+import { analyzeEmailCopy } from '../lib/copy-analysis.js';
+import { copyLengthError } from '../lib/copy-options.js';
+import { loadRuleSet, resolveRules } from '../lib/copy-rules.js';
+import { VERIFY_RECOMMENDATIONS, verifyMessageSignatures } from '../lib/dkim-verify.js';
+import { HEADER_RECOMMENDATIONS, analyzeHeaders } from '../lib/header-analysis.js';
+import { recordCheck } from '../lib/history.js';
+import { meterUsage } from '../lib/metering.js';
+import { MAX_MESSAGE_BYTES, decodeEncodedWords, extractBody, getHeader, parseMessage } from '../lib/message.js';
+import { createResolver } from '../lib/resolver.js';
+
+// Service role: check_history is locked down by RLS
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Same resolver setup as the domain checks' DKIM lookups
+const resolver = createResolver();
+
+const COPY_STATUS = { compliant: 'pass', 'needs-review': 'warning', 'non-compliant': 'fail' };
+
+// One report for a raw message: header authentication, our own DKIM
+// verification and the copy analysis of its body. Returns { error } when
+// the copy is over the copy endpoints' length limits.
+async function buildReport(raw, rules) {
+  const message = parseMessage(raw);
+  const subject = decodeEncodedWords(getHeader(message.headers, 'Subject') || '');
+  const body = message.headersOnly ? null : extractBody(message);
+  const lengthError = body && (copyLengthError(subject, body.html || '') || copyLengthError(subject, body.text || ''));
+  if (lengthError) return { error: lengthError };
+  const headers = analyzeHeaders(message.headers);
+  // The HTML part is analyzed as such, against the text/plain part if any.
+  // A "Re:" is only misleading on a message that does not reply to another.
+  const sendingDomain = headers.alignment.fromDomain;
+  const inThread = Boolean(getHeader(message.headers, 'In-Reply-To') || getHeader(message.headers, 'References'));
+  let copy = null;
+  if (body?.html) {
+    const textAlternative = body.parts.includes('text/plain') ? body.text : null;
+    copy = analyzeEmailCopy(subject, body.html, { rules, sendingDomain, format: 'html', textAlternative, inThread });
+  } else if (body && (subject.trim() || body.text)) {
+    copy = analyzeEmailCopy(subject, body.text, { rules, sendingDomain, inThread });
+  }
+  // Signatures can only be checked against the full message
+  const dkimVerification = message.headersOnly || !headers.dkimSignatures.length
+    ? null
+    : await verifyMessageSignatures(message, { resolver });
+
+  const statuses = [headers.status, copy ? COPY_STATUS[copy.verdict] : 'pass', dkimVerification?.status || 'pass'];
+  let verdict = 'pass';
+  if (statuses.includes('fail')) verdict = 'fail';
+  else if (statuses.includes('warning')) verdict = 'warning';
+
+  const recommendations = [...new Set([
+    ...headers.findings.map(f => HEADER_RECOMMENDATIONS[f.code]),
+    ...(dkimVerification?.signatures || []).flatMap(s => s.findings.map(f => VERIFY_RECOMMENDATIONS[f.code])),
+  ].filter(Boolean))];
+  if (copy) recommendations.push(...copy.recommendations);
+
+  return {
+    subject,
+    headersOnly: message.headersOnly,
+    headers,
+    dkimVerification,
+    body: body && { text: body.text, parts: body.parts },
+    copy,
+    verdict,
+    recommendations,
+  };
+}
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+  );
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // The .eml file contents or pasted headers
+  const { raw } = req.body || {};
+  if (typeof raw !== 'string' || !raw.trim()) {
+    return res.status(400).json({ error: 'Raw message or headers required' });
+  }
+  if (Buffer.byteLength(raw) > MAX_MESSAGE_BYTES) {
+    return res.status(413).json({ error: `Message is larger than ${MAX_MESSAGE_BYTES / 1024} KB` });
+  }
+
+  try {
+    const auth = await authenticate(req, res, { scope: 'copy' });
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { user, apiKey } = auth;
+
+    // Message analysis is a Pro feature
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('subscription_tier')
+      .eq('id', user.id)
+      .single();
+
+    if (profileError && profileError.code !== 'PGRST116') {
+      console.error('Profile fetch error:', profileError);
+    }
+    if (profile?.subscription_tier !== 'pro') {
+      return res.status(403).json({ error: 'Pro subscription required' });
+    }
+
+    const ruleSet = await loadRuleSet(supabase, user.id);
+    const report = await buildReport(raw, resolveRules(ruleSet));
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+    if (!report.headers.from && !report.headers.hops.length && !report.headers.authenticationResults.length) {
+      return res.status(400).json({ error: 'No email headers found – paste the full message source' });
+    }
+
+    // Counts as a copy check
+    const metered = await meterUsage(res, user.id, 'copy');
+    if (metered.error) {
+      return res.status(metered.status).json({ error: metered.error });
+    }
+
+    // The raw message is not stored, only the report
+    const historyId = await recordCheck(supabase, user.id, {
+      kind: 'message',
+      domain: report.headers.alignment.fromDomain,
+      input: { subject: report.subject, from: report.headers.from?.address || null },
+      result: report,
+      apiKeyId: apiKey?.id,
+    });
+
+    return res.status(200).json({ ...report, historyId });
+  } catch (err) {
+    console.error('Message check error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
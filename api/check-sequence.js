@@ -0,0 +1,101 @@
+import { createClient } from '@supabase/supabase-js';
+import { authenticate } from '../lib/auth.js';
+import { parseCopyOptions } from '../lib/copy-options.js';
+import { loadRuleSet, resolveRules } from '../lib/copy-rules.js';
+import { latestCheckedDomain, recordCheck } from '../lib/history.js';
+import { meterUsage, refundUsage } from '../lib/metering.js';
+import { analyzeSequence, parseSequenceInput } from '../lib/sequence-analysis.js';
+
+// History is only writable with the service role
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+  );
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { values: steps, error: stepsError } = parseSequenceInput(req.body || {});
+  if (stepsError) {
+    return res.status(400).json({ error: stepsError });
+  }
+  const { values: options, error: optionsError } = parseCopyOptions(req.body || {});
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError });
+  }
+
+  // Authenticate user
+  try {
+    const auth = await authenticate(req, res, { scope: 'copy' });
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { user, apiKey } = auth;
+
+    // Sequence checks are a Pro feature
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('subscription_tier')
+      .eq('id', user.id)
+      .single();
+
+    if (profileError && profileError.code !== 'PGRST116') {
+      console.error('Profile fetch error:', profileError);
+    }
+    if (profile?.subscription_tier !== 'pro') {
+      return res.status(403).json({ error: 'Pro subscription required' });
+    }
+
+    const { ruleSetId, sendingDomain, ...analysisOptions } = options;
+    const ruleSet = await loadRuleSet(supabase, user.id, ruleSetId);
+    if (ruleSetId && !ruleSet) {
+      return res.status(404).json({ error: 'Rule set not found' });
+    }
+
+    // Every step counts as a copy check
+    const metered = await meterUsage(res, user.id, 'copy', steps.length);
+    if (metered.error) {
+      return res.status(metered.status).json({ error: metered.error });
+    }
+
+    let analysis;
+    try {
+      analysis = analyzeSequence(steps, {
+        ...analysisOptions,
+        rules: resolveRules(ruleSet),
+        sendingDomain: sendingDomain || await latestCheckedDomain(supabase, user.id),
+      });
+    } catch (err) {
+      await refundUsage(user.id, 'copy', steps.length);
+      throw err;
+    }
+
+    // Listed in the history under the first step's subject
+    const historyId = await recordCheck(supabase, user.id, {
+      kind: 'sequence',
+      input: { subject: steps[0].subject, steps, ...options },
+      result: analysis,
+      apiKeyId: apiKey?.id,
+    });
+
+    return res.status(200).json({ ...analysis, historyId });
+  } catch (err) {
+    console.error('Sequence check error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,115 @@
+import { createClient } from '@supabase/supabase-js';
+import { mapWithConcurrency } from '../../lib/concurrency.js';
+import { MONITOR_INTERVAL_HOURS, runMonitor } from '../../lib/monitoring.js';
+import { sendAlert } from '../../lib/alerts.js';
+
+// Runs without a user session, so it needs the service role key
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MONITOR_BATCH_SIZE = 25;
+const MONITOR_CONCURRENCY = 3;
+// Leave headroom under maxDuration (60s) to save progress
+const TIME_BUDGET_MS = 40000;
+
+async function processMonitor(monitor, proUsers, startedAt) {
+  const update = { last_checked_at: new Date().toISOString(), updated_at: new Date().toISOString() };
+
+  if (!proUsers.has(monitor.user_id)) {
+    // Downgraded accounts keep their monitors, but they are not checked
+    update.last_error = 'Pro subscription required';
+    return { monitor, update, skipped: true };
+  }
+  if (Date.now() - startedAt > TIME_BUDGET_MS) {
+    return { monitor, update: null, skipped: true };
+  }
+
+  try {
+    const { current, alert } = await runMonitor(supabase, monitor);
+    update.last_verdict = current.verdict;
+    update.last_error = null;
+    if (current.id) update.last_history_id = current.id;
+
+    let deliveries = [];
+    if (alert) {
+      deliveries = await sendAlert(monitor, alert);
+      deliveries.filter(d => !d.ok).forEach(d => {
+        console.error(`Monitor alert ${d.channel} delivery failed for ${monitor.domain}:`, d.error || d.status);
+      });
+      if (deliveries.some(d => d.ok)) update.last_alerted_at = new Date().toISOString();
+    }
+    return { monitor, update, alerted: Boolean(alert), deliveries };
+  } catch (err) {
+    console.error(`Monitor check error for ${monitor.domain}:`, err);
+    update.last_error = 'Check failed';
+    return { monitor, update, failed: true };
+  }
+}
+
+export default async function handler(req, res) {
+  // Vercel cron invocations send `Authorization: Bearer <CRON_SECRET>`
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret || req.headers.authorization !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const startedAt = Date.now();
+
+  try {
+    const cutoff = new Date(Date.now() - MONITOR_INTERVAL_HOURS * 60 * 60 * 1000).toISOString();
+    const { data: monitors, error } = await supabase
+      .from('monitors')
+      .select('*')
+      .eq('active', true)
+      .or(`last_checked_at.is.null,last_checked_at.lt.${cutoff}`)
+      .order('last_checked_at', { ascending: true, nullsFirst: true })
+      .limit(MONITOR_BATCH_SIZE);
+
+    if (error) {
+      console.error('Monitors fetch error:', error);
+      return res.status(500).json({ error: 'Failed to load monitors' });
+    }
+    if (!monitors.length) {
+      return res.status(200).json({ checked: 0, alerts: 0, skipped: 0, failed: 0 });
+    }
+
+    const userIds = [...new Set(monitors.map(m => m.user_id))];
+    const { data: profiles, error: profileError } = await supabase
+      .from('profiles')
+      .select('id, subscription_tier')
+      .in('id', userIds);
+
+    if (profileError) {
+      console.error('Profile fetch error:', profileError);
+      return res.status(500).json({ error: 'Failed to load profiles' });
+    }
+    const proUsers = new Set(profiles.filter(p => p.subscription_tier === 'pro').map(p => p.id));
+
+    const outcomes = await mapWithConcurrency(monitors, MONITOR_CONCURRENCY,
+      monitor => processMonitor(monitor, proUsers, startedAt));
+
+    await Promise.all(outcomes.filter(o => o.update).map(async ({ monitor, update }) => {
+      const { error: updateError } = await supabase
+        .from('monitors')
+        .update(update)
+        .eq('id', monitor.id);
+      if (updateError) console.error('Monitor update error:', updateError);
+    }));
+
+    return res.status(200).json({
+      checked: outcomes.filter(o => o.update && !o.skipped && !o.failed).length,
+      alerts: outcomes.filter(o => o.alerted).length,
+      skipped: outcomes.filter(o => o.skipped).length,
+      failed: outcomes.filter(o => o.failed).length,
+    });
+  } catch (err) {
+    console.error('Monitor cron error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,88 @@
+import { createClient } from '@supabase/supabase-js';
+import { mapWithConcurrency } from '../../lib/concurrency.js';
+import { saveMembership, syncSubscriptionTier } from '../../lib/licenses.js';
+import { fetchMembership } from '../../lib/whop.js';
+
+// Runs without a user session, so it needs the service role key
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Catches up on webhooks that never arrived, oldest sync first
+const LICENSE_BATCH_SIZE = 50;
+const LICENSE_CONCURRENCY = 3;
+// Leave headroom under maxDuration (60s) to save progress
+const TIME_BUDGET_MS = 40000;
+
+async function reconcileLicense(license, startedAt) {
+  if (Date.now() - startedAt > TIME_BUDGET_MS) {
+    return { license, skipped: true };
+  }
+
+  try {
+    const membership = await fetchMembership(license.whop_membership_id)
+      // Memberships Whop no longer knows do not grant Pro
+      || { id: license.whop_membership_id, productId: license.product_id, status: 'deleted', valid: false, expiresAt: license.expires_at };
+    const saved = await saveMembership(supabase, membership);
+    return { license, changed: saved.valid !== license.valid };
+  } catch (err) {
+    console.error(`License reconcile error for ${license.whop_membership_id}:`, err);
+    return { license, failed: true };
+  }
+}
+
+export default async function handler(req, res) {
+  // Vercel cron invocations send `Authorization: Bearer <CRON_SECRET>`
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret || req.headers.authorization !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const startedAt = Date.now();
+
+  try {
+    const { data: licenses, error } = await supabase
+      .from('licenses')
+      .select('id, whop_membership_id, user_id, product_id, valid, expires_at')
+      .not('user_id', 'is', null)
+      .order('last_synced_at', { ascending: true, nullsFirst: true })
+      .limit(LICENSE_BATCH_SIZE);
+
+    if (error) {
+      console.error('Licenses fetch error:', error);
+      return res.status(500).json({ error: 'Failed to load licenses' });
+    }
+
+    const outcomes = await mapWithConcurrency(licenses, LICENSE_CONCURRENCY,
+      license => reconcileLicense(license, startedAt));
+
+    // A user's tier depends on all of their licenses, so sync each user once;
+    // this also repairs tiers that drifted from the licenses
+    const synced = outcomes.filter(o => !o.skipped && !o.failed);
+    const userIds = [...new Set(synced.map(o => o.license.user_id))];
+    let tierErrors = 0;
+    for (const userId of userIds) {
+      try {
+        await syncSubscriptionTier(supabase, userId);
+      } catch (err) {
+        console.error(`Subscription tier sync error for ${userId}:`, err);
+        tierErrors++;
+      }
+    }
+
+    return res.status(200).json({
+      checked: synced.length,
+      changed: synced.filter(o => o.changed).length,
+      skipped: outcomes.filter(o => o.skipped).length,
+      failed: outcomes.filter(o => o.failed).length + tierErrors,
+    });
+  } catch (err) {
+    console.error('License reconcile cron error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,75 @@
+import { createClient } from '@supabase/supabase-js';
+import { authenticate } from '../../lib/auth.js';
+import { evaluateDomain } from '../../lib/verdict.js';
+
+// Entries are fetched with the service role; the query is scoped to the caller
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+  );
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query;
+  if (!id) {
+    return res.status(400).json({ error: 'History id required' });
+  }
+
+  try {
+    const auth = await authenticate(req, res);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { user } = auth;
+
+    const { data: entry, error } = await supabase
+      .from('check_history')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('History entry fetch error:', error);
+      return res.status(500).json({ error: 'Failed to load history entry' });
+    }
+    if (!entry) {
+      return res.status(404).json({ error: 'History entry not found' });
+    }
+
+    // Snapshots saved before the readiness report existed are graded on read
+    let result = entry.result;
+    if (entry.kind === 'domain' && !result.report) {
+      result = { ...result, report: evaluateDomain(result) };
+    }
+
+    return res.status(200).json({
+      id: entry.id,
+      kind: entry.kind,
+      domain: entry.domain,
+      verdict: entry.verdict,
+      input: entry.input,
+      result,
+      createdAt: entry.created_at,
+    });
+  } catch (err) {
+    console.error('History entry error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
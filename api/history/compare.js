@@ -0,0 +1,81 @@
+import { createClient } from '@supabase/supabase-js';
+import { authenticate } from '../../lib/auth.js';
+import { normalizeDomain } from '../../lib/domain-check.js';
+import { diffDomainSnapshots } from '../../lib/history.js';
+
+// Service role; both snapshots are looked up for the caller only
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+function snapshotInfo(entry) {
+  return { id: entry.id, verdict: entry.verdict, createdAt: entry.created_at };
+}
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+  );
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Either two snapshot ids (?from=&to=) or a domain to compare its latest two
+  const { from, to, domain } = req.query;
+  if (!(from && to) && !domain) {
+    return res.status(400).json({ error: 'Provide two snapshot ids (from, to) or a domain' });
+  }
+
+  try {
+    const auth = await authenticate(req, res);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { user } = auth;
+
+    let query = supabase
+      .from('check_history')
+      .select('id, kind, domain, verdict, result, created_at')
+      .eq('user_id', user.id)
+      .eq('kind', 'domain');
+
+    query = from && to
+      ? query.in('id', [from, to])
+      : query.eq('domain', normalizeDomain(domain)).order('created_at', { ascending: false }).limit(2);
+
+    const { data: entries, error } = await query;
+    if (error) {
+      console.error('History compare fetch error:', error);
+      return res.status(500).json({ error: 'Failed to load snapshots' });
+    }
+    if (entries.length < 2) {
+      return res.status(404).json({ error: 'Two domain check snapshots are needed to compare' });
+    }
+
+    const [before, after] = [...entries].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    if (before.domain !== after.domain) {
+      return res.status(400).json({ error: 'Snapshots belong to different domains' });
+    }
+
+    return res.status(200).json({
+      domain: after.domain,
+      from: snapshotInfo(before),
+      to: snapshotInfo(after),
+      ...diffDomainSnapshots(before.result, after.result),
+    });
+  } catch (err) {
+    console.error('History compare error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
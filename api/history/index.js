@@ -0,0 +1,102 @@
+import { createClient } from '@supabase/supabase-js';
+import { authenticate } from '../../lib/auth.js';
+import { normalizeDomain } from '../../lib/domain-check.js';
+
+// check_history is read with the service role and filtered by owner below,
+// so API keys work as well as sessions
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Accepts ISO timestamps or plain dates; a plain `to` date covers the whole day
+function parseDateParam(value, endOfDay = false) {
+  if (!value) return null;
+  const text = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`
+    : value;
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? undefined : new Date(time).toISOString();
+}
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+  );
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { domain, kind } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || DEFAULT_PAGE_SIZE));
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to, true);
+
+  if (kind && !['domain', 'copy', 'message', 'sequence'].includes(kind)) {
+    return res.status(400).json({ error: 'kind must be "domain", "copy", "message" or "sequence"' });
+  }
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: 'Invalid date filter' });
+  }
+
+  try {
+    const auth = await authenticate(req, res);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { user } = auth;
+
+    // Full results are only returned by /api/history/:id
+    let query = supabase
+      .from('check_history')
+      .select('id, kind, domain, verdict, subject:input->>subject, created_at', { count: 'exact' })
+      .eq('user_id', user.id);
+
+    if (domain) query = query.eq('domain', normalizeDomain(domain));
+    if (kind) query = query.eq('kind', kind);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+
+    const offset = (page - 1) * pageSize;
+    const { data, count, error } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + pageSize - 1);
+
+    if (error) {
+      console.error('History fetch error:', error);
+      return res.status(500).json({ error: 'Failed to load history' });
+    }
+
+    return res.status(200).json({
+      items: data.map(row => ({
+        id: row.id,
+        kind: row.kind,
+        domain: row.domain,
+        subject: row.subject,
+        verdict: row.verdict,
+        createdAt: row.created_at,
+      })),
+      page,
+      pageSize,
+      total: count || 0,
+      totalPages: Math.ceil((count || 0) / pageSize),
+    });
+  } catch (err) {
+    console.error('History error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,92 @@
+import { createClient } from '@supabase/supabase-js';
+import { API_KEY_SCOPES, authenticate } from '../../lib/auth.js';
+
+// Updates and revocations go through the service role, scoped to the caller's keys
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+  );
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'PATCH' && req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query;
+  if (!id) {
+    return res.status(400).json({ error: 'API key id required' });
+  }
+
+  try {
+    const auth = await authenticate(req, res, { allowApiKey: false });
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { user } = auth;
+
+    let update;
+    if (req.method === 'DELETE') {
+      // Revoked keys are kept so past usage stays attributed
+      update = { revoked_at: new Date().toISOString() };
+    } else {
+      const { name, scopes } = req.body || {};
+      update = {};
+      if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+          return res.status(400).json({ error: 'Key name required (max 100 characters)' });
+        }
+        update.name = name.trim();
+      }
+      if (scopes !== undefined) {
+        // An empty list would leave the key unusable; revoke it instead
+        if (!Array.isArray(scopes) || !scopes.length || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+          return res.status(400).json({ error: `Scopes must be one or more of: ${API_KEY_SCOPES.join(', ')}` });
+        }
+        update.scopes = [...new Set(scopes)];
+      }
+    }
+
+    const { data: key, error } = await supabase
+      .from('api_keys')
+      .update(update)
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .is('revoked_at', null)
+      .select('id, name, prefix, scopes, last_used_at, created_at, revoked_at')
+      .maybeSingle();
+
+    if (error) {
+      console.error('API key update error:', error);
+      return res.status(500).json({ error: 'Failed to update API key' });
+    }
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    return res.status(200).json({
+      id: key.id,
+      name: key.name,
+      prefix: key.prefix,
+      scopes: key.scopes,
+      lastUsedAt: key.last_used_at,
+      createdAt: key.created_at,
+      revokedAt: key.revoked_at,
+    });
+  } catch (err) {
+    console.error('API key error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,137 @@
+import { createClient } from '@supabase/supabase-js';
+import {
+  API_KEY_SCOPES,
+  authenticate,
+  generateApiKey,
+  MAX_API_KEYS,
+} from '../../lib/auth.js';
+
+// api_keys is read-only to clients; keys are created here with the service role
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+function formatKey(key, usage = []) {
+  return {
+    id: key.id,
+    name: key.name,
+    prefix: key.prefix,
+    scopes: key.scopes,
+    rateLimitPerMinute: key.rate_limit_per_minute,
+    lastUsedAt: key.last_used_at,
+    createdAt: key.created_at,
+    revokedAt: key.revoked_at,
+    requestsThisMonth: Object.fromEntries(usage.filter(u => u.api_key_id === key.id).map(u => [u.scope, u.requests])),
+  };
+}
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+  );
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Keys are managed from a signed-in session only, never with another key
+    const auth = await authenticate(req, res, { allowApiKey: false });
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { user } = auth;
+
+    if (req.method === 'GET') {
+      const { data: keys, error } = await supabase
+        .from('api_keys')
+        .select('*')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        console.error('API keys fetch error:', error);
+        return res.status(500).json({ error: 'Failed to load API keys' });
+      }
+
+      const now = new Date();
+      const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).toISOString().split('T')[0];
+      const { data: usage, error: usageError } = keys.length
+        ? await supabase
+          .from('api_key_usage')
+          .select('api_key_id, scope, requests')
+          .in('api_key_id', keys.map(k => k.id))
+          .eq('month', monthStart)
+        : { data: [] };
+
+      if (usageError) {
+        console.error('API key usage fetch error:', usageError);
+      }
+
+      return res.status(200).json({ keys: keys.map(key => formatKey(key, usage || [])) });
+    }
+
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('subscription_tier')
+      .eq('id', user.id)
+      .single();
+
+    if (profileError && profileError.code !== 'PGRST116') {
+      console.error('Profile fetch error:', profileError);
+    }
+    if (profile?.subscription_tier !== 'pro') {
+      return res.status(403).json({ error: 'Pro subscription required' });
+    }
+
+    const { name, scopes = API_KEY_SCOPES } = req.body || {};
+    if (!name || typeof name !== 'string' || !name.trim() || name.length > 100) {
+      return res.status(400).json({ error: 'Key name required (max 100 characters)' });
+    }
+    if (!Array.isArray(scopes) || !scopes.length || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+      return res.status(400).json({ error: `Scopes must be one or more of: ${API_KEY_SCOPES.join(', ')}` });
+    }
+
+    const { count, error: countError } = await supabase
+      .from('api_keys')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', user.id)
+      .is('revoked_at', null);
+
+    if (countError) {
+      console.error('API keys count error:', countError);
+      return res.status(500).json({ error: 'Failed to create API key' });
+    }
+    if (count >= MAX_API_KEYS) {
+      return res.status(403).json({ error: `At most ${MAX_API_KEYS} active API keys allowed` });
+    }
+
+    const { key, prefix, hash } = generateApiKey();
+    const { data: created, error } = await supabase
+      .from('api_keys')
+      .insert([{ user_id: user.id, name: name.trim(), prefix, key_hash: hash, scopes: [...new Set(scopes)] }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('API key create error:', error);
+      return res.status(500).json({ error: 'Failed to create API key' });
+    }
+
+    // The plaintext key is only ever returned here
+    return res.status(201).json({ ...formatKey(created), key });
+  } catch (err) {
+    console.error('API keys error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
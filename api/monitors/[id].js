@@ -0,0 +1,104 @@
+import { createClient } from '@supabase/supabase-js';
+import { authenticate } from '../../lib/auth.js';
+import { formatMonitor, parseMonitorInput } from '../../lib/monitoring.js';
+
+// Service role; every query below is scoped to the caller's monitors
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+  );
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query;
+  if (!id) {
+    return res.status(400).json({ error: 'Monitor id required' });
+  }
+
+  try {
+    const auth = await authenticate(req, res, { scope: 'domain' });
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { user } = auth;
+
+    if (req.method === 'DELETE') {
+      const { data, error } = await supabase
+        .from('monitors')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', user.id)
+        .select('id');
+
+      if (error) {
+        console.error('Monitor delete error:', error);
+        return res.status(500).json({ error: 'Failed to delete monitor' });
+      }
+      if (!data.length) {
+        return res.status(404).json({ error: 'Monitor not found' });
+      }
+      return res.status(200).json({ deleted: true });
+    }
+
+    let query;
+    if (req.method === 'PATCH') {
+      const { values, error: inputError } = parseMonitorInput(req.body || {}, { partial: true });
+      if (inputError) {
+        return res.status(400).json({ error: inputError });
+      }
+      if (values.alert_email === null && values.webhook_url === null) {
+        return res.status(400).json({ error: 'A monitor needs an alert email or a webhook URL' });
+      }
+      // A new domain starts a new baseline
+      if (values.domain) {
+        values.last_history_id = null;
+      }
+      query = supabase
+        .from('monitors')
+        .update({ ...values, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('user_id', user.id)
+        .select();
+    } else {
+      query = supabase
+        .from('monitors')
+        .select('*')
+        .eq('id', id)
+        .eq('user_id', user.id);
+    }
+
+    const { data: monitor, error } = await query.maybeSingle();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'This domain is already monitored' });
+      }
+      console.error('Monitor fetch error:', error);
+      return res.status(500).json({ error: 'Failed to load monitor' });
+    }
+    if (!monitor) {
+      return res.status(404).json({ error: 'Monitor not found' });
+    }
+
+    return res.status(200).json(formatMonitor(monitor));
+  } catch (err) {
+    console.error('Monitor error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,114 @@
+import { createClient } from '@supabase/supabase-js';
+import { authenticate } from '../../lib/auth.js';
+import {
+  formatMonitor,
+  generateWebhookSecret,
+  MAX_MONITORS,
+  parseMonitorInput,
+} from '../../lib/monitoring.js';
+
+// Monitors are written with the service role; clients can only read theirs
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+  );
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const auth = await authenticate(req, res, { scope: 'domain' });
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { user } = auth;
+
+    if (req.method === 'GET') {
+      const { data, error } = await supabase
+        .from('monitors')
+        .select('*')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        console.error('Monitors fetch error:', error);
+        return res.status(500).json({ error: 'Failed to load monitors' });
+      }
+      return res.status(200).json({ monitors: data.map(formatMonitor) });
+    }
+
+    // Creating monitors is a Pro feature
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('subscription_tier')
+      .eq('id', user.id)
+      .single();
+
+    if (profileError && profileError.code !== 'PGRST116') {
+      console.error('Profile fetch error:', profileError);
+    }
+    if (profile?.subscription_tier !== 'pro') {
+      return res.status(403).json({ error: 'Pro subscription required' });
+    }
+
+    const { values, error: inputError } = parseMonitorInput(req.body || {});
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+    // Alert the account email unless another channel was given (API key
+    // callers have no session email, so they must name a channel)
+    if (!values.alert_email && !values.webhook_url) {
+      if (!user.email) {
+        return res.status(400).json({ error: 'alertEmail or webhookUrl required' });
+      }
+      values.alert_email = user.email;
+    }
+
+    const { count, error: countError } = await supabase
+      .from('monitors')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', user.id);
+
+    if (countError) {
+      console.error('Monitors count error:', countError);
+      return res.status(500).json({ error: 'Failed to create monitor' });
+    }
+    if (count >= MAX_MONITORS) {
+      return res.status(403).json({ error: `At most ${MAX_MONITORS} monitored domains allowed` });
+    }
+
+    const { data: monitor, error } = await supabase
+      .from('monitors')
+      .insert([{ ...values, user_id: user.id, webhook_secret: generateWebhookSecret() }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'This domain is already monitored' });
+      }
+      console.error('Monitor create error:', error);
+      return res.status(500).json({ error: 'Failed to create monitor' });
+    }
+
+    return res.status(201).json(formatMonitor(monitor));
+  } catch (err) {
+    console.error('Monitors error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -1,11 +1,23 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { createClient } from '@supabase/supabase-js';
+import { authenticate } from '../lib/auth.js';
+import { analyzeTemplate } from '../lib/copy-analysis.js';
+import { withTimeout } from '../lib/concurrency.js';
+import { parseCopyOptions } from '../lib/copy-options.js';
+import { parseRewriteInput, rewriteCopy } from '../lib/copy-rewrite.js';
+import { loadRuleSet, resolveRules } from '../lib/copy-rules.js';
+import { latestCheckedDomain } from '../lib/history.js';
+import { meterUsage, refundUsage } from '../lib/metering.js';
 
+// Service role, to look up the account's last checked domain
 const supabase = createClient(
   process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
+  process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+// Per model call; a rewrite makes up to three, within the function's 60 s
+const GENERATION_TIMEOUT_MS = 15000;
+
 export default async function handler(req, res) {
   // CORS headers (as before)
   res.setHeader('Access-Control-Allow-Credentials', true);
@@ -19,17 +31,10 @@ export default async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end();
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-  const authHeader = req.headers.authorization;
-  if (!authHeader) return res.status(401).json({ error: 'Missing authorization header' });
-  const token = authHeader.split(' ')[1];
-  if (!token) return res.status(401).json({ error: 'Invalid authorization header' });
-
   try {
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
-    if (authError || !user) {
-      console.error('Auth error:', authError);
-      return res.status(401).json({ error: 'Invalid or expired token' });
-    }
+    const auth = await authenticate(req, res, { scope: 'rewrite' });
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { user } = auth;
 
     // Check subscription
     const { data: profile, error: profileError } = await supabase
@@ -45,8 +50,11 @@ export default async function handler(req, res) {
       return res.status(403).json({ error: 'Pro subscription required' });
     }
 
-    const { text, tone } = req.body;
-    if (!text) return res.status(400).json({ error: 'Text required' });
+    const { values: input, error: inputError } = parseRewriteInput(req.body || {});
+    if (inputError) return res.status(400).json({ error: inputError });
+    // Variants are scored with the same options as a copy check
+    const { values: options, error: optionsError } = parseCopyOptions(req.body || {});
+    if (optionsError) return res.status(400).json({ error: optionsError });
 
     const apiKey = process.env.GEMINI_API_KEY; // <-- changed from GOOGLE_AI_API_KEY
     if (!apiKey) {
@@ -54,23 +62,53 @@ export default async function handler(req, res) {
       return res.status(500).json({ error: 'AI service not configured' });
     }
 
+    const { ruleSetId, sendingDomain, ...analysisOptions } = options;
+    const ruleSet = await loadRuleSet(supabase, user.id, ruleSetId);
+    if (ruleSetId && !ruleSet) {
+      return res.status(404).json({ error: 'Rule set not found' });
+    }
+    const rules = resolveRules(ruleSet);
+    const linkDomain = sendingDomain || await latestCheckedDomain(supabase, user.id);
+    const analyze = (subject, body) => analyzeTemplate(subject, body, { ...analysisOptions, rules, sendingDomain: linkDomain });
+
+    const metered = await meterUsage(res, user.id, 'rewrite');
+    if (metered.error) {
+      return res.status(metered.status).json({ error: metered.error });
+    }
+
     const genAI = new GoogleGenerativeAI(apiKey);
     const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' }); // faster model
 
-    const prompt = `Rewrite the following cold email in a ${tone} tone. Keep the same meaning but improve it for better engagement and compliance. Do not include any explanations, just the rewritten email:\n\n${text}`;
-
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 sec timeout
+    // The SDK's generateContent() takes no abort signal, so it is raced
+    // against a timer instead
+    const generate = async prompt => {
+      const result = await withTimeout(model.generateContent(prompt), GENERATION_TIMEOUT_MS, 'AI request timed out');
+      const response = await result.response;
+      return response.text();
+    };
 
-    const result = await model.generateContent(prompt, { signal: controller.signal });
-    clearTimeout(timeoutId);
-    const response = await result.response;
-    const rewritten = response.text();
+    let rewrite;
+    try {
+      rewrite = await rewriteCopy(input, { generate, analyze });
+    } catch (err) {
+      // Failed generations don't count against the quota
+      await refundUsage(user.id, 'rewrite');
+      throw err;
+    }
+    // Nor do rewrites without a single variant that passes
+    if (!rewrite.variants.length) {
+      await refundUsage(user.id, 'rewrite');
+    }
 
-    return res.status(200).json({ rewritten });
+    // `rewritten` is the best variant in the old single-text form
+    const [best] = rewrite.variants;
+    return res.status(200).json({
+      ...rewrite,
+      rewritten: best ? `Subject: ${best.subject}\n\n${best.body}` : null,
+    });
   } catch (err) {
     console.error('AI rewrite error:', err);
-    if (err.name === 'AbortError') {
+    if (err.name === 'TimeoutError') {
       return res.status(504).json({ error: 'AI request timed out' });
     }
     return res.status(500).json({ error: 'AI generation failed' });
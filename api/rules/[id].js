@@ -0,0 +1,147 @@
+import { createClient } from '@supabase/supabase-js';
+import { authenticate } from '../../lib/auth.js';
+import { formatRuleSet, parseRuleSetInput } from '../../lib/copy-rules.js';
+
+// Service role; each query is limited to the caller's rule sets
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+  );
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query;
+  if (!id) {
+    return res.status(400).json({ error: 'Rule set id required' });
+  }
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'Invalid rule set id' });
+  }
+
+  try {
+    const auth = await authenticate(req, res, { scope: 'copy' });
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { user } = auth;
+
+    if (req.method === 'DELETE') {
+      const { data, error } = await supabase
+        .from('copy_rule_sets')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', user.id)
+        .select('id');
+
+      if (error) {
+        console.error('Rule set delete error:', error);
+        return res.status(500).json({ error: 'Failed to delete rule set' });
+      }
+      if (!data.length) {
+        return res.status(404).json({ error: 'Rule set not found' });
+      }
+      return res.status(200).json({ deleted: true });
+    }
+
+    let query;
+    if (req.method === 'PATCH') {
+      // Editing rules is a Pro feature, as creating them is
+      const { data: profile, error: profileError } = await supabase
+        .from('profiles')
+        .select('subscription_tier')
+        .eq('id', user.id)
+        .single();
+
+      if (profileError && profileError.code !== 'PGRST116') {
+        console.error('Profile fetch error:', profileError);
+      }
+      if (profile?.subscription_tier !== 'pro') {
+        return res.status(403).json({ error: 'Pro subscription required' });
+      }
+
+      const { values, error: inputError } = parseRuleSetInput(req.body || {}, { partial: true });
+      if (inputError) {
+        return res.status(400).json({ error: inputError });
+      }
+
+      // The set must exist before the others are deactivated for it
+      const { data: target, error: targetError } = await supabase
+        .from('copy_rule_sets')
+        .select('id')
+        .eq('id', id)
+        .eq('user_id', user.id)
+        .maybeSingle();
+
+      if (targetError) {
+        console.error('Rule set fetch error:', targetError);
+        return res.status(500).json({ error: 'Failed to update rule set' });
+      }
+      if (!target) {
+        return res.status(404).json({ error: 'Rule set not found' });
+      }
+
+      // Only one set is active at a time
+      if (values.active) {
+        const { error: deactivateError } = await supabase
+          .from('copy_rule_sets')
+          .update({ active: false, updated_at: new Date().toISOString() })
+          .eq('user_id', user.id)
+          .eq('active', true)
+          .neq('id', id);
+
+        if (deactivateError) {
+          console.error('Rule set deactivate error:', deactivateError);
+          return res.status(500).json({ error: 'Failed to update rule set' });
+        }
+      }
+      query = supabase
+        .from('copy_rule_sets')
+        .update({ ...values, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('user_id', user.id)
+        .select();
+    } else {
+      query = supabase
+        .from('copy_rule_sets')
+        .select('*')
+        .eq('id', id)
+        .eq('user_id', user.id);
+    }
+
+    const { data: ruleSet, error } = await query.maybeSingle();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A rule set with this name already exists' });
+      }
+      console.error('Rule set fetch error:', error);
+      return res.status(500).json({ error: 'Failed to load rule set' });
+    }
+    if (!ruleSet) {
+      return res.status(404).json({ error: 'Rule set not found' });
+    }
+
+    return res.status(200).json(formatRuleSet(ruleSet));
+  } catch (err) {
+    console.error('Rule set error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,121 @@
+import { createClient } from '@supabase/supabase-js';
+import { authenticate } from '../../lib/auth.js';
+import { DEFAULT_RULES, formatRuleSet, MAX_RULE_SETS, parseRuleSetInput } from '../../lib/copy-rules.js';
+
+// Rule sets are saved with the service role after validation; clients can
+// only read them
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+  );
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const auth = await authenticate(req, res, { scope: 'copy' });
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { user } = auth;
+
+    if (req.method === 'GET') {
+      const { data, error } = await supabase
+        .from('copy_rule_sets')
+        .select('*')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        console.error('Rule sets fetch error:', error);
+        return res.status(500).json({ error: 'Failed to load rule sets' });
+      }
+      // The defaults are listed so overrides can refer to their ids
+      return res.status(200).json({
+        ruleSets: data.map(formatRuleSet),
+        defaults: DEFAULT_RULES.map(({ source, enabled, ...rule }) => rule),
+      });
+    }
+
+    // Copy checks are a Pro feature, and so are their rules
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('subscription_tier')
+      .eq('id', user.id)
+      .single();
+
+    if (profileError && profileError.code !== 'PGRST116') {
+      console.error('Profile fetch error:', profileError);
+    }
+    if (profile?.subscription_tier !== 'pro') {
+      return res.status(403).json({ error: 'Pro subscription required' });
+    }
+
+    const { values, error: inputError } = parseRuleSetInput(req.body || {});
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+
+    const { data: existing, error: countError } = await supabase
+      .from('copy_rule_sets')
+      .select('id, active')
+      .eq('user_id', user.id);
+
+    if (countError) {
+      console.error('Rule sets count error:', countError);
+      return res.status(500).json({ error: 'Failed to create rule set' });
+    }
+    if (existing.length >= MAX_RULE_SETS) {
+      return res.status(403).json({ error: `At most ${MAX_RULE_SETS} rule sets allowed` });
+    }
+    // The first set is applied right away unless told otherwise
+    if (values.active === undefined) {
+      values.active = !existing.some(set => set.active);
+    } else if (values.active) {
+      const { error: deactivateError } = await supabase
+        .from('copy_rule_sets')
+        .update({ active: false, updated_at: new Date().toISOString() })
+        .eq('user_id', user.id)
+        .eq('active', true);
+
+      if (deactivateError) {
+        console.error('Rule set deactivate error:', deactivateError);
+        return res.status(500).json({ error: 'Failed to create rule set' });
+      }
+    }
+
+    const { data: ruleSet, error } = await supabase
+      .from('copy_rule_sets')
+      .insert([{ rules: [], allowlist: [], blocked_domains: [], ...values, user_id: user.id }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A rule set with this name already exists' });
+      }
+      console.error('Rule set create error:', error);
+      return res.status(500).json({ error: 'Failed to create rule set' });
+    }
+
+    return res.status(201).json(formatRuleSet(ruleSet));
+  } catch (err) {
+    console.error('Rule sets error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
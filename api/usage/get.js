@@ -1,4 +1,6 @@
 import { createClient } from '@supabase/supabase-js';
+import { authenticate } from '../../lib/auth.js';
+import { getQuotas } from '../../lib/metering.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -23,22 +25,12 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const authHeader = req.headers.authorization;
-  if (!authHeader) {
-    return res.status(401).json({ error: 'Missing authorization header' });
-  }
-
-  const token = authHeader.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ error: 'Invalid authorization header' });
-  }
-
   try {
-    // Verify user
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
-    if (authError || !user) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
+    const auth = await authenticate(req, res);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
     }
+    const { user } = auth;
 
     // Get first day of current month (YYYY-MM-01)
     const now = new Date();
@@ -47,7 +39,7 @@ export default async function handler(req, res) {
     // Fetch usage record for this user and month
     const { data: usage, error: usageError } = await supabase
       .from('usage')
-      .select('domain_checks, copy_checks')
+      .select('domain_checks, copy_checks, rewrites, bulk_checks')
       .eq('user_id', user.id)
       .eq('month', monthStart)
       .maybeSingle();
@@ -69,11 +61,16 @@ export default async function handler(req, res) {
     }
 
     const subscription_tier = profile?.subscription_tier || 'free';
+    // Monthly limits per feature, null meaning unlimited
+    const quotas = await getQuotas(subscription_tier);
 
     return res.status(200).json({
       domain_checks_month: usage?.domain_checks || 0,
       copy_checks_month: usage?.copy_checks || 0,
+      rewrites_month: usage?.rewrites || 0,
+      bulk_checks_month: usage?.bulk_checks || 0,
       subscription_tier,
+      quotas,
     });
   } catch (err) {
     console.error('Usage get error:', err);
@@ -0,0 +1,81 @@
+import { createClient } from '@supabase/supabase-js';
+import { authenticate } from '../../lib/auth.js';
+import { METERED_FEATURES, USAGE_COLUMNS, getQuotas } from '../../lib/metering.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+const DEFAULT_MONTHS = 12;
+const MAX_MONTHS = 36;
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+  );
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const months = Math.min(MAX_MONTHS, Math.max(1, parseInt(req.query.months, 10) || DEFAULT_MONTHS));
+
+  try {
+    const auth = await authenticate(req, res);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { user } = auth;
+
+    // First day of the oldest month requested (YYYY-MM-01)
+    const now = new Date();
+    const since = new Date(now.getFullYear(), now.getMonth() - (months - 1), 1).toISOString().split('T')[0];
+
+    const { data: usage, error: usageError } = await supabase
+      .from('usage')
+      .select(`month, ${Object.values(USAGE_COLUMNS).join(', ')}`)
+      .eq('user_id', user.id)
+      .gte('month', since)
+      .order('month', { ascending: false });
+
+    if (usageError) {
+      console.error('Usage history fetch error:', usageError);
+      return res.status(500).json({ error: 'Failed to fetch usage history' });
+    }
+
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('subscription_tier')
+      .eq('id', user.id)
+      .single();
+
+    if (profileError && profileError.code !== 'PGRST116') {
+      console.error('Profile fetch error:', profileError);
+    }
+
+    const tier = profile?.subscription_tier || 'free';
+    const quotas = await getQuotas(tier);
+
+    return res.status(200).json({
+      tier,
+      quotas,
+      months: usage.map(row => ({
+        month: row.month,
+        usage: Object.fromEntries(METERED_FEATURES.map(feature => [feature, row[USAGE_COLUMNS[feature]] || 0])),
+      })),
+    });
+  } catch (err) {
+    console.error('Usage history error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
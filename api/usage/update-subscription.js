@@ -1,72 +0,0 @@
-import { createClient } from '@supabase/supabase-js';
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
-
-export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Credentials', true);
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader(
-    'Access-Control-Allow-Headers',
-    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
-  );
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
-
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
-  const authHeader = req.headers.authorization;
-  if (!authHeader) {
-    return res.status(401).json({ error: 'Missing authorization header' });
-  }
-
-  const token = authHeader.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ error: 'Invalid authorization header' });
-  }
-
-  const { tier, licenseKey } = req.body;
-  if (!tier || (tier !== 'free' && tier !== 'pro')) {
-    return res.status(400).json({ error: 'Valid tier (free/pro) required' });
-  }
-
-  try {
-    // Verify user
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
-    if (authError || !user) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
-    }
-
-    // Update profile
-    const updateData = {
-      subscription_tier: tier,
-      updated_at: new Date().toISOString(),
-    };
-    if (licenseKey) {
-      updateData.license_key = licenseKey;
-    }
-
-    const { error: updateError } = await supabase
-      .from('profiles')
-      .update(updateData)
-      .eq('id', user.id);
-
-    if (updateError) {
-      console.error('Profile update error:', updateError);
-      return res.status(500).json({ error: 'Failed to update subscription' });
-    }
-
-    return res.status(200).json({ success: true });
-  } catch (err) {
-    console.error('Update subscription error:', err);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
-}
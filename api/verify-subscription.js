@@ -1,4 +1,15 @@
 // api/verify-subscription.js
+import { createClient } from '@supabase/supabase-js';
+import { authenticate } from '../lib/auth.js';
+import { bindLicense, syncSubscriptionTier } from '../lib/licenses.js';
+import { fetchMembership, grantsPro } from '../lib/whop.js';
+
+// Licenses and subscription tiers are only written server-side
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
 export default async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Credentials', true);
@@ -19,14 +30,31 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { licenseKey } = req.body;
-    if (!licenseKey) {
+    const { licenseKey } = req.body || {};
+    if (typeof licenseKey !== 'string' || !licenseKey.trim()) {
       return res.status(400).json({ valid: false, error: 'License key is required' });
     }
+    const key = licenseKey.trim();
+
+    // The license is bound to the signed-in account
+    const auth = await authenticate(req, res, { allowApiKey: false });
+    if (auth.error) {
+      return res.status(auth.status).json({ valid: false, error: auth.error });
+    }
+    const { user } = auth;
 
     // 1. Admin secret (internal testing only – never exposed)
     const ADMIN_SECRET = process.env.ADMIN_SECRET;
-    if (ADMIN_SECRET && licenseKey === ADMIN_SECRET) {
+    if (ADMIN_SECRET && key === ADMIN_SECRET) {
+      const { error: updateError } = await supabase
+        .from('profiles')
+        .update({ subscription_tier: 'pro', updated_at: new Date().toISOString() })
+        .eq('id', user.id);
+
+      if (updateError) {
+        console.error('Profile update error:', updateError);
+        return res.status(500).json({ valid: false, error: 'Failed to update subscription' });
+      }
       console.log('Admin access granted');
       return res.status(200).json({
         valid: true,
@@ -37,10 +65,7 @@ export default async function handler(req, res) {
     }
 
     // 2. Production: require Whop credentials
-    const WHOP_API_KEY = process.env.WHOP_API_KEY;
-    const WHOP_PRODUCT_ID = process.env.WHOP_PRODUCT_ID;
-
-    if (!WHOP_API_KEY || !WHOP_PRODUCT_ID) {
+    if (!process.env.WHOP_API_KEY || !process.env.WHOP_PRODUCT_ID) {
       console.error('Whop API credentials not configured');
       return res.status(500).json({
         valid: false,
@@ -49,40 +74,32 @@ export default async function handler(req, res) {
     }
 
     // 3. Verify with Whop API – no fallback
+    let membership;
     try {
-      const response = await fetch('https://api.whop.com/api/v2/licenses/validate', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${WHOP_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          license_key: licenseKey,
-          product_id: WHOP_PRODUCT_ID
-        })
-      });
-
-      if (!response.ok) {
-        // Log but don't leak internal details
-        console.error(`Whop API error: ${response.status}`);
-        return res.status(401).json({ valid: false, error: 'Invalid license key' });
-      }
-
-      const data = await response.json();
-
-      if (data.valid === true && data.status === 'active') {
-        return res.status(200).json({
-          valid: true,
-          tier: 'pro',
-          message: 'License verified'
-        });
-      } else {
-        return res.status(401).json({ valid: false, error: 'Invalid or inactive license' });
-      }
+      membership = await fetchMembership(key);
     } catch (error) {
-      console.error('Whop API connection error:', error);
+      // Log but don't leak internal details
+      console.error('Whop API error:', error);
       return res.status(503).json({ valid: false, error: 'License service unavailable' });
     }
+
+    if (!membership || !grantsPro(membership)) {
+      return res.status(401).json({ valid: false, error: 'Invalid or inactive license' });
+    }
+
+    // 4. Bind to this account; a key works for one account only
+    const { bound } = await bindLicense(supabase, user.id, membership, key);
+    if (!bound) {
+      return res.status(409).json({ valid: false, error: 'License is already activated on another account' });
+    }
+
+    const tier = await syncSubscriptionTier(supabase, user.id);
+    return res.status(200).json({
+      valid: true,
+      tier,
+      expiresAt: membership.expiresAt,
+      message: 'License verified'
+    });
   } catch (error) {
     console.error('Subscription verification error:', error);
     return res.status(500).json({ valid: false, error: 'Internal server error' });
@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import { saveMembership, syncSubscriptionTier } from '../../lib/licenses.js';
+import { MEMBERSHIP_EVENTS, fetchMembership, normalizeMembership, verifyWebhookSignature } from '../../lib/whop.js';
+
+// Whop calls this without a user session, so it needs the service role key
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// The signature covers the exact bytes Whop sent, so the body must reach the
+// handler unparsed
+export const config = { api: { bodyParser: false } };
+
+// Reads the request stream without touching req.body, which Vercel parses
+// (and consumes the stream for) on first access. A body a parser has already
+// consumed only still has the signed bytes if it was kept as text.
+async function readRawBody(req) {
+  if (!req.readableEnded) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+  }
+  if (typeof req.body === 'string') return req.body;
+  if (Buffer.isBuffer(req.body)) return req.body.toString('utf8');
+  return '';
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const rawBody = await readRawBody(req);
+    if (!verifyWebhookSignature(process.env.WHOP_WEBHOOK_SECRET, rawBody, req.headers['x-whop-signature'])) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody);
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid JSON' });
+    }
+
+    const action = event.action || event.type;
+    if (!MEMBERSHIP_EVENTS.includes(action)) {
+      return res.status(200).json({ received: true, ignored: true });
+    }
+    const membershipId = event.data?.id;
+    if (!membershipId) {
+      return res.status(400).json({ error: 'Membership ID missing' });
+    }
+
+    // Retried deliveries are applied once
+    const eventId = event.id || crypto.createHash('sha256').update(rawBody).digest('hex');
+    const { data: seen, error: seenError } = await supabase
+      .from('whop_events')
+      .select('id')
+      .eq('id', eventId)
+      .maybeSingle();
+
+    if (seenError) {
+      console.error('Webhook event lookup error:', seenError);
+      return res.status(500).json({ error: 'Failed to process event' });
+    }
+    if (seen) {
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+
+    // The current state comes from the API rather than the payload, so
+    // out-of-order deliveries still end on the right tier
+    let membership;
+    try {
+      membership = await fetchMembership(membershipId);
+    } catch (err) {
+      console.error('Whop API error:', err);
+      // A non-2xx response makes Whop retry later
+      return res.status(503).json({ error: 'License service unavailable' });
+    }
+    if (!membership) {
+      membership = { ...normalizeMembership(event.data), status: 'deleted', valid: false };
+    }
+
+    const license = await saveMembership(supabase, membership);
+    const tier = license.user_id ? await syncSubscriptionTier(supabase, license.user_id) : null;
+
+    const { error: eventError } = await supabase
+      .from('whop_events')
+      .upsert({ id: eventId, action, membership_id: membershipId }, { onConflict: 'id', ignoreDuplicates: true });
+
+    if (eventError) {
+      console.error('Webhook event insert error:', eventError);
+    }
+
+    return res.status(200).json({ received: true, tier });
+  } catch (err) {
+    console.error('Whop webhook error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
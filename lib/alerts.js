@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import https from 'https';
+import { isPrivateHostname, publicLookup } from './network.js';
+
+// Regression alert delivery: email (Resend HTTP API) and signed webhooks.
+
+const ALERT_TIMEOUT_MS = 10000;
+
+// Webhooks must be public https endpoints so the cron job cannot be pointed
+// at internal services. Only the text is checked here; host names resolving
+// to private addresses are refused when the alert is sent.
+export function isAllowedWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return false;
+  }
+  if (url.protocol !== 'https:') return false;
+  return !isPrivateHostname(url.hostname);
+}
+
+export function signPayload(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// POSTs with the private-address lookup; redirects are not followed.
+// Resolves to the response status code.
+function post(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const request = https.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(ALERT_TIMEOUT_MS),
+    }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+export async function sendWebhookAlert(url, secret, payload) {
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json', 'X-InboxLX-Event': payload.event };
+  if (secret) headers['X-InboxLX-Signature'] = signPayload(secret, body);
+  // The stored URL is checked again; the lookup then refuses private addresses
+  if (!isAllowedWebhookUrl(url)) {
+    return { channel: 'webhook', ok: false, error: 'Webhook URL must be a public https:// address' };
+  }
+  try {
+    const status = await post(new URL(url), headers, body);
+    return { channel: 'webhook', ok: status >= 200 && status < 300, status };
+  } catch (err) {
+    return { channel: 'webhook', ok: false, error: err.message };
+  }
+}
+
+function emailText(payload) {
+  const lines = [
+    `The scheduled check of ${payload.domain} found ${payload.regressions.length} regression(s) since ${payload.previousCheck.createdAt}:`,
+    '',
+    ...payload.regressions.map(change => `- ${change.message}`),
+  ];
+  const others = payload.changes.filter(change => change.severity !== 'regression');
+  if (others.length) {
+    lines.push('', 'Other changes:', ...others.map(change => `- ${change.message}`));
+  }
+  lines.push('', `Current verdict: ${payload.verdict}`);
+  return lines.join('\n');
+}
+
+// Needs RESEND_API_KEY and ALERT_FROM_EMAIL; ALERT_EMAIL_API_URL can point
+// at any Resend-compatible endpoint
+export async function sendEmailAlert(to, payload) {
+  const apiKey = process.env.RESEND_API_KEY;
+  const from = process.env.ALERT_FROM_EMAIL;
+  if (!apiKey || !from) {
+    return { channel: 'email', ok: false, error: 'Email alerts are not configured' };
+  }
+  try {
+    const response = await fetch(process.env.ALERT_EMAIL_API_URL || 'https://api.resend.com/emails', {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        from,
+        to: [to],
+        subject: `[InboxLX] ${payload.domain}: ${payload.regressions.length} deliverability regression(s)`,
+        text: emailText(payload),
+      }),
+      signal: AbortSignal.timeout(ALERT_TIMEOUT_MS),
+    });
+    return { channel: 'email', ok: response.ok, status: response.status };
+  } catch (err) {
+    return { channel: 'email', ok: false, error: err.message };
+  }
+}
+
+export async function sendAlert(monitor, payload) {
+  const deliveries = [];
+  if (monitor.alert_email) deliveries.push(sendEmailAlert(monitor.alert_email, payload));
+  if (monitor.webhook_url) deliveries.push(sendWebhookAlert(monitor.webhook_url, monitor.webhook_secret, payload));
+  return Promise.all(deliveries);
+}
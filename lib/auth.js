@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+
+// Request authentication: a Supabase session token or a personal API key.
+
+// API keys can only be looked up with the service role
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const API_KEY_PREFIX = 'ilx_';
+export const API_KEY_SCOPES = ['domain', 'copy', 'rewrite'];
+export const MAX_API_KEYS = 10;
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// The plaintext key is shown once; only its hash and a display prefix are stored
+export function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 8), hash: hashApiKey(key) };
+}
+
+// Keys go in `Authorization: Bearer ilx_...` or `X-Api-Key: ilx_...`
+function credentialsFrom(req) {
+  if (req.headers['x-api-key']) {
+    return { apiKey: String(req.headers['x-api-key']).trim() };
+  }
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return { error: 'Missing authorization header' };
+  const token = authHeader.split(' ')[1];
+  if (!token) return { error: 'Invalid authorization header' };
+  return token.startsWith(API_KEY_PREFIX) ? { apiKey: token } : { token };
+}
+
+async function authenticateApiKey(apiKey, res, scope) {
+  // Looks the key up by hash, applies the per-key rate limit and records
+  // last-used and per-feature usage in one atomic call
+  const { data, error } = await supabase
+    .rpc('authenticate_api_key', { p_key_hash: hashApiKey(apiKey), p_scope: scope || null })
+    .maybeSingle();
+
+  if (error) {
+    console.error('API key lookup error:', error);
+    return { status: 500, error: 'Failed to verify API key' };
+  }
+  if (!data) {
+    return { status: 401, error: 'Invalid or revoked API key' };
+  }
+
+  res.setHeader('X-RateLimit-Limit', data.rate_limit);
+  res.setHeader('X-RateLimit-Remaining', data.remaining);
+  res.setHeader('X-RateLimit-Reset', Math.ceil(new Date(data.reset_at).getTime() / 1000));
+
+  if (!data.in_scope) {
+    return { status: 403, error: `API key is not allowed to use ${scope}` };
+  }
+  if (!data.allowed) {
+    res.setHeader('Retry-After', Math.max(1, Math.ceil((new Date(data.reset_at) - Date.now()) / 1000)));
+    return { status: 429, error: 'API key rate limit exceeded' };
+  }
+
+  // Keys stop working if the account leaves Pro
+  const { data: profile, error: profileError } = await supabase
+    .from('profiles')
+    .select('subscription_tier')
+    .eq('id', data.user_id)
+    .single();
+
+  if (profileError && profileError.code !== 'PGRST116') {
+    console.error('Profile fetch error:', profileError);
+  }
+  if (profile?.subscription_tier !== 'pro') {
+    return { status: 403, error: 'API keys require a Pro subscription' };
+  }
+
+  return { user: { id: data.user_id }, apiKey: { id: data.key_id, scopes: data.scopes } };
+}
+
+// Resolves the caller of a request. Returns { user, apiKey } (apiKey is null
+// for sessions) or { status, error } for the handler to send back. `scope` is
+// the API key scope the endpoint needs; `allowApiKey: false` limits an
+// endpoint to browser sessions.
+export async function authenticate(req, res, { scope, allowApiKey = true } = {}) {
+  const credentials = credentialsFrom(req);
+  if (credentials.error) {
+    return { status: 401, error: credentials.error };
+  }
+
+  if (credentials.apiKey) {
+    if (!allowApiKey) {
+      return { status: 403, error: 'This endpoint requires a signed-in session' };
+    }
+    return authenticateApiKey(credentials.apiKey, res, scope);
+  }
+
+  const { data: { user }, error: authError } = await supabase.auth.getUser(credentials.token);
+  if (authError || !user) {
+    return { status: 401, error: 'Invalid or expired token' };
+  }
+  return { user, apiKey: null };
+}
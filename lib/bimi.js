@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import { defaultFetcher } from './fetcher.js';
+import { organizationalDomain } from './dmarc.js';
+
+// BIMI (Brand Indicators for Message Identification) record, logo and
+// certificate checks.
+
+// Mailbox providers reject larger logos
+const MAX_SVG_BYTES = 32 * 1024;
+
+// ---------- Parsing ----------
+
+export function parseBIMI(record) {
+  const tags = {};
+  const errors = [];
+  record.split(';').map(part => part.trim()).filter(Boolean).forEach(pair => {
+    const eq = pair.indexOf('=');
+    if (eq === -1) {
+      errors.push(`Malformed tag "${pair}"`);
+      return;
+    }
+    tags[pair.slice(0, eq).trim().toLowerCase()] = pair.slice(eq + 1).trim();
+  });
+  if (tags.v !== 'BIMI1') errors.push('Record must start with "v=BIMI1"');
+  if (tags.l === undefined) errors.push('Logo tag "l" is required (it may be empty to decline BIMI)');
+  ['l', 'a'].forEach(name => {
+    if (tags[name] && !/^https:\/\/[^\s,]+$/i.test(tags[name])) {
+      errors.push(`"${name}" must be a single https:// URL`);
+    }
+  });
+  if (tags.l && !/\.svg([?#]|$)/i.test(tags.l)) {
+    errors.push('Logo URL must point to an .svg file');
+  }
+  return {
+    tags,
+    logoUrl: tags.l || null,
+    authorityUrl: tags.a || null,
+    declined: !tags.l && !tags.a,
+    errors,
+  };
+}
+
+// ---------- Assets ----------
+
+// SVG Tiny Portable/Secure profile requirements that are cheap to verify
+export function inspectLogo(svg) {
+  const issues = [];
+  if (!/<svg[\s>]/i.test(svg)) {
+    issues.push('File is not an SVG image');
+    return issues;
+  }
+  if (!/baseProfile\s*=\s*["']tiny-ps["']/i.test(svg)) issues.push('SVG must use baseProfile="tiny-ps"');
+  if (!/<title[\s>]/i.test(svg)) issues.push('SVG must contain a <title> element');
+  if (/<script[\s>]/i.test(svg)) issues.push('SVG must not contain scripts');
+  if (/\s(x|xlink:)?href\s*=\s*["'](?!#)/i.test(svg)) issues.push('SVG must not reference external resources');
+  if (/<image[\s>]/i.test(svg)) issues.push('SVG must not embed raster images');
+  return issues;
+}
+
+// Verified Mark Certificates are served as a PEM chain; the leaf comes first
+export function inspectCertificate(pem, domain, now = new Date()) {
+  const match = pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/);
+  if (!match) return { valid: false, issues: ['No PEM certificate found'] };
+
+  let cert;
+  try {
+    cert = new crypto.X509Certificate(match[0]);
+  } catch (err) {
+    return { valid: false, issues: [`Certificate could not be parsed: ${err.message}`] };
+  }
+
+  const issues = [];
+  const validTo = new Date(cert.validTo);
+  if (validTo < now) issues.push(`Certificate expired on ${validTo.toISOString().split('T')[0]}`);
+  if (new Date(cert.validFrom) > now) issues.push('Certificate is not valid yet');
+
+  const names = (cert.subjectAltName || '').split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry.startsWith('DNS:'))
+    .map(entry => entry.slice(4).toLowerCase());
+  const orgDomain = organizationalDomain(domain);
+  if (!names.includes(domain) && !names.includes(orgDomain)) {
+    issues.push(`Certificate does not cover ${domain}`);
+  }
+
+  return {
+    valid: issues.length === 0,
+    issuer: cert.issuer,
+    subject: cert.subject,
+    validTo: validTo.toISOString(),
+    names,
+    issues,
+  };
+}
+
+async function fetchAsset(fetcher, url) {
+  try {
+    const response = await fetcher(url);
+    if (response.status !== 200) return { error: `HTTP ${response.status}` };
+    return { response };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// ---------- Check ----------
+
+async function fetchBIMIRecords(resolver, domain) {
+  const result = await resolver.resolveTXT(`default._bimi.${domain}`);
+  return result.answers.map(ans => ans.value).filter(value => /^v\s*=\s*BIMI1/i.test(value.trim()));
+}
+
+// BIMI only displays when DMARC is at enforcement for all mail
+function dmarcEnforced(dmarc) {
+  if (!dmarc?.record || !dmarc.policy) return false;
+  const policy = dmarc.inherited ? dmarc.policy.sp : dmarc.policy.p;
+  return policy === 'reject' || (policy === 'quarantine' && dmarc.policy.pct === 100);
+}
+
+export async function checkBIMI(domain, { resolver, fetcher = defaultFetcher, dmarc = null } = {}) {
+  const findings = [];
+
+  // Subdomains without a record fall back to the organizational domain
+  let recordDomain = domain;
+  let records = await fetchBIMIRecords(resolver, domain);
+  const orgDomain = organizationalDomain(domain);
+  if (records.length === 0 && orgDomain !== domain) {
+    recordDomain = orgDomain;
+    records = await fetchBIMIRecords(resolver, orgDomain);
+  }
+
+  if (records.length === 0) {
+    findings.push({ code: 'bimi-missing', severity: 'info', message: 'No BIMI record – your logo will not show next to your emails' });
+    return { record: null, recordDomain: null, inherited: false, status: 'info', findings };
+  }
+  if (records.length > 1) {
+    findings.push({ code: 'bimi-multiple-records', severity: 'warning', message: `${records.length} BIMI records found; receivers will ignore them` });
+  }
+
+  const parsed = parseBIMI(records[0]);
+  const result = {
+    record: records[0],
+    recordDomain,
+    inherited: recordDomain !== domain,
+    logoUrl: parsed.logoUrl,
+    authorityUrl: parsed.authorityUrl,
+    logo: null,
+    certificate: null,
+  };
+  parsed.errors.forEach(message => findings.push({ code: 'bimi-syntax', severity: 'warning', message }));
+
+  if (parsed.declined) {
+    findings.push({ code: 'bimi-declined', severity: 'info', message: 'BIMI record explicitly declines to publish a logo' });
+    return { ...result, status: 'info', findings };
+  }
+
+  if (!dmarcEnforced(dmarc)) {
+    findings.push({ code: 'bimi-dmarc-not-enforced', severity: 'warning', message: 'BIMI requires DMARC p=quarantine (pct=100) or p=reject; the logo will not be shown' });
+  }
+
+  if (parsed.logoUrl && !parsed.errors.length) {
+    const { response, error } = await fetchAsset(fetcher, parsed.logoUrl);
+    if (error) {
+      findings.push({ code: 'bimi-logo-unreachable', severity: 'warning', message: `Logo could not be fetched: ${error}` });
+    } else {
+      const issues = inspectLogo(response.body);
+      result.logo = { size: response.size, contentType: response.contentType, issues };
+      issues.forEach(message => findings.push({ code: 'bimi-logo-invalid', severity: 'warning', message }));
+      if (response.size > MAX_SVG_BYTES) {
+        findings.push({ code: 'bimi-logo-too-large', severity: 'warning', message: `Logo is ${Math.round(response.size / 1024)} KB; keep it under 32 KB` });
+      }
+    }
+  }
+
+  if (!parsed.authorityUrl) {
+    findings.push({ code: 'bimi-no-vmc', severity: 'info', message: 'No Verified Mark Certificate – Gmail and Apple Mail only show logos backed by a VMC' });
+  } else if (!parsed.errors.length) {
+    const { response, error } = await fetchAsset(fetcher, parsed.authorityUrl);
+    if (error) {
+      findings.push({ code: 'bimi-vmc-unreachable', severity: 'warning', message: `Certificate could not be fetched: ${error}` });
+    } else {
+      result.certificate = inspectCertificate(response.body, recordDomain);
+      result.certificate.issues.forEach(message => findings.push({ code: 'bimi-vmc-invalid', severity: 'warning', message }));
+    }
+  }
+
+  const status = findings.some(f => f.severity === 'warning') ? 'warning' : 'pass';
+  return { ...result, status, findings };
+}
@@ -0,0 +1,138 @@
+import { DOMAIN_PATTERN, normalizeDomain } from './domain-check.js';
+import { evaluateDomain } from './verdict.js';
+
+// Input parsing, per-domain summaries and CSV export for bulk domain checks.
+
+export const MAX_BULK_DOMAINS = 500;
+export const BULK_CONCURRENCY = 5;
+
+// ---------- Input ----------
+
+function splitCSVLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',' || ch === ';' || ch === '\t') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells.map(c => c.trim());
+}
+
+// Accepts an array of domains, a newline list, or a CSV with an optional
+// header row (a "domain"/"website"/"email" column is used when present)
+export function parseDomainList(input) {
+  let candidates;
+  if (Array.isArray(input)) {
+    candidates = input;
+  } else {
+    const lines = String(input || '').split(/\r?\n/).filter(line => line.trim());
+    const rows = lines.map(splitCSVLine);
+    const header = rows[0]?.map(cell => cell.toLowerCase()) || [];
+    const column = header.findIndex(cell => ['domain', 'domains', 'website', 'url', 'email'].includes(cell));
+    if (column !== -1) {
+      candidates = rows.slice(1).map(row => row[column]);
+    } else {
+      candidates = rows.map(row => row[0]);
+    }
+  }
+
+  const domains = [];
+  const rejected = [];
+  const seen = new Set();
+  candidates.forEach(raw => {
+    const domain = normalizeDomain(raw);
+    if (!domain) return;
+    if (!DOMAIN_PATTERN.test(domain)) {
+      rejected.push({ input: String(raw), reason: 'Invalid domain' });
+    } else if (!seen.has(domain)) {
+      seen.add(domain);
+      domains.push(domain);
+    }
+  });
+  return { domains, rejected };
+}
+
+// ---------- Summaries ----------
+
+// One flat row per domain, used for tables and CSV export
+export function summarizeDomainResult(entry) {
+  if (!entry.ok) {
+    return { domain: entry.domain, error: entry.error };
+  }
+  const { mx, spf, dkim, dmarc, age, reputation, mtaSts } = entry.checks;
+  const report = entry.checks.report || evaluateDomain(entry.checks);
+
+  return {
+    domain: entry.domain,
+    verdict: report.verdict,
+    score: report.score,
+    ...Object.fromEntries(Object.entries(report.checks).map(([check, result]) => [`${check}Status`, result.status])),
+    mxHosts: mx.map(m => m.exchange).join(' '),
+    spfRecord: spf?.record || '',
+    spfLookups: spf?.lookups ?? '',
+    dkimSelectors: (dkim?.found || []).filter(k => !k.revoked).map(k => k.selector).join(' '),
+    dmarcPolicy: dmarc?.policy ? (dmarc.inherited ? dmarc.policy.sp : dmarc.policy.p) : '',
+    blocklistings: reputation?.listings.length ?? '',
+    ageDays: age?.ageDays ?? '',
+    mtaStsMode: mtaSts?.policy?.mode || '',
+    error: '',
+  };
+}
+
+export function aggregateSummary(rows) {
+  const ok = rows.filter(row => !row.error);
+  const count = (check, status) => ok.filter(row => row[`${check}Status`] === status).length;
+  return {
+    total: rows.length,
+    checked: ok.length,
+    errors: rows.length - ok.length,
+    ready: ok.filter(row => row.verdict === 'ready').length,
+    risky: ok.filter(row => row.verdict === 'risky').length,
+    notReady: ok.filter(row => row.verdict === 'not-ready').length,
+    failing: {
+      mx: count('mx', 'fail'),
+      spf: count('spf', 'fail'),
+      dkim: count('dkim', 'fail'),
+      dmarc: count('dmarc', 'fail'),
+      reputation: count('reputation', 'fail'),
+      age: count('age', 'fail'),
+      mtaSts: count('mtaSts', 'fail'),
+    },
+  };
+}
+
+// ---------- CSV Export ----------
+
+const CSV_COLUMNS = [
+  'domain', 'verdict', 'score', 'mxStatus', 'spfStatus', 'dkimStatus', 'dmarcStatus', 'reputationStatus', 'ageStatus',
+  'mtaStsStatus', 'tlsRptStatus', 'bimiStatus',
+  'mxHosts', 'spfRecord', 'spfLookups', 'dkimSelectors', 'dmarcPolicy', 'blocklistings', 'ageDays', 'mtaStsMode', 'error',
+];
+
+// Cells a spreadsheet would run as a formula are prefixed with a quote
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+  rows.forEach(row => lines.push(CSV_COLUMNS.map(column => csvCell(row[column])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
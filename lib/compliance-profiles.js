@@ -0,0 +1,184 @@
+import { DEFAULT_LANGUAGE, LANGUAGES, lexiconPattern } from './copy-languages.js';
+
+// Jurisdiction profiles for commercial email law: what CAN-SPAM (US),
+// GDPR/PECR (UK and EU) and CASL (Canada) require to appear in a message,
+// checked against the copy and cited per requirement. These are heuristics
+// on the text – they flag what is missing, they are not legal advice.
+
+export const JURISDICTIONS = {
+  'can-spam': { name: 'CAN-SPAM', region: 'United States' },
+  'gdpr-pecr': { name: 'GDPR / PECR', region: 'UK & EU' },
+  casl: { name: 'CASL', region: 'Canada' },
+};
+export const JURISDICTION_CODES = Object.keys(JURISDICTIONS);
+export const DEFAULT_JURISDICTIONS = ['can-spam'];
+
+// Re:, AW:, SV:, Antw:, Fwd:, WG:, TR: and the like, possibly repeated or numbered
+export const REPLY_PREFIX_PATTERN = /^\s*((re|aw|sv|antw|rif|fwd?|wg|tr|rv)\s*(\[\d+\])?\s*:\s*)+/i;
+
+// Subjects posing as account or order notifications
+const TRANSACTIONAL_SUBJECT = /(?<![\p{L}\p{N}_])(invoice|receipt|order confirmation|your order|payment (received|due|failed)|password reset|account (suspended|locked|verification)|delivery (failed|notification)|rechnung|zahlungserinnerung|factura|facture)(?![\p{L}\p{N}_])/iu;
+
+// Street addresses, PO boxes and postal codes as written in the US, Canada,
+// the UK, Germany, France and Spain
+const ADDRESS_PATTERNS = [
+  /\b\d{1,6}[A-Za-z]?\s+(?:[\p{L}\d.'-]+\s+){0,4}(?:street|st|avenue|ave|road|rd|boulevard|blvd|drive|dr|lane|ln|way|court|ct|place|pl|suite|ste|parkway|pkwy|highway|hwy|square|sq)\b/iu,
+  /\bp\.?\s?o\.?\s+box\s+\d+/i,
+  /\b[A-Z]{2}\s+\d{5}(?:-\d{4})?\b/,
+  /\b[A-Z]{1,2}\d[A-Z\d]?\s?\d[ABD-HJLNP-UW-Z]{2}\b/,
+  /\b[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z]\s?\d[ABCEGHJ-NPRSTV-Z]\d\b/,
+  /\p{L}+(?:straße|strasse|str\.|weg|platz|allee|ring)\s+\d+/iu,
+  /\b\d{1,4},?\s+(?:rue|avenue|boulevard|bd|place|chemin|allée|impasse)\s/iu,
+  /(?:calle|c\/|avenida|avda\.|plaza|paseo)\s+[\p{L} .'-]+,?\s*(?:n[º°o]\.?\s*)?\d+/iu,
+  /\b(?:postfach|apartado(?: de correos)?|bo[iî]te postale|bp)\s+\d+/iu,
+];
+
+const EMAIL_ADDRESS = /[\p{L}\d._%+-]+@[\p{L}\d-]+(?:\.[\p{L}\d-]+)+/u;
+const PHONE_NUMBER = /(?:\+\d{1,3}[\s.-]?)?\(?\d{2,4}\)?[\s.-]\d{3,4}[\s.-]?\d{3,4}\b/;
+
+// A capitalized name followed by a legal form: Acme Inc., Beispiel GmbH, Ejemplo S.L.
+const LEGAL_ENTITY = /\p{Lu}[\p{L}\d&'-]*,?\s+(?:Inc|LLC|L\.L\.C\.|Ltd|Limited|Corp|Corporation|Co|GmbH|AG|UG|SE|KG|S\.A\.|SA|S\.L\.|SL|SAS|SARL|S\.r\.l\.|PLC|plc|LLP|Pty|B\.V\.|BV)(?![\p{L}\p{N}])\.?/u;
+// "I'm Jane from Acme", "my name is Jane"
+const SELF_INTRODUCTION = /\b(?:[Mm]y name is|I'm|I am|[Tt]his is)\s+\p{Lu}\p{L}+/u;
+const PERSON_NAME = /^\p{Lu}[\p{L}'.-]*(?:\s+\p{Lu}[\p{L}'.-]*){0,3}$/u;
+
+export const COMPLIANCE_RECOMMENDATIONS = {
+  'sender-unidentified': 'Sign the email with your name and your company\'s legal name.',
+  'organization-unidentified': 'Name the business sending the email (e.g. "Jane Doe, Acme Inc.") in the signature.',
+  'postal-address-missing': 'Add your business\'s physical postal address to the footer.',
+  'contact-details-missing': 'Give a way to reach you besides replying: an email address, phone number or website.',
+  'opt-out-missing': 'Add an unsubscribe link or clear opt-out instructions ("reply \'unsubscribe\' and I won\'t email again").',
+  'subject-fake-reply': 'Remove "Re:" or "Fwd:" from subjects of emails that do not continue a conversation.',
+  'subject-transactional': 'Do not word cold email subjects like invoices, orders or account notices.',
+  'legitimate-interest-missing': 'Say why you are emailing and where you got their details (legitimate interest).',
+  'privacy-notice-missing': 'Link to your privacy notice in the footer.',
+  'privacy-notice-unlinked': 'Make the privacy notice a link, not just a mention.',
+  'consent-unverified': 'Make sure you have express or implied consent (e.g. a conspicuously published business address) for every Canadian recipient.',
+};
+
+// ---------- Signals ----------
+
+// The sign-off's name, if a sign-off line ("Best,", "Viele Grüße") is
+// followed by one
+function signatureName(text, language) {
+  const signOffs = [...new Set([...LANGUAGES[DEFAULT_LANGUAGE].signOffs, ...LANGUAGES[language].signOffs])];
+  const signOff = new RegExp(`^(?:${signOffs.join('|')})[,.!]*$`, 'iu');
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  const index = lines.findIndex(line => signOff.test(line));
+  if (index === -1 || index === lines.length - 1) return null;
+  const name = lines[index + 1].replace(/^[-–—]\s*/, '').split(/[,|]/)[0].trim();
+  return PERSON_NAME.test(name) ? name : null;
+}
+
+// What the copy says about its sender and the recipient's rights
+function complianceSignals(subject, text, { language, links, inThread }) {
+  const privacy = lexiconPattern('privacy', language);
+  const optOut = lexiconPattern('unsubscribe', language);
+  const mailto = links.items.filter(item => /^mailto:/i.test(item.url));
+  return {
+    sender: signatureName(text, language) || text.match(SELF_INTRODUCTION)?.[0] || null,
+    organization: text.match(LEGAL_ENTITY)?.[0]
+      || (links.sendingDomain && links.items.some(item => item.domain === links.sendingDomain) ? links.sendingDomain : null),
+    postalAddress: ADDRESS_PATTERNS.some(pattern => pattern.test(text)),
+    contact: EMAIL_ADDRESS.test(text) || PHONE_NUMBER.test(text) || mailto.length > 0 || links.count > 0,
+    optOut: optOut.test(text) || links.items.some(item => optOut.test(item.url)),
+    fakeReply: !inThread && REPLY_PREFIX_PATTERN.test(subject),
+    transactionalSubject: TRANSACTIONAL_SUBJECT.test(subject),
+    legitimateInterest: lexiconPattern('legitimateInterest', language).test(text),
+    privacyLink: links.items.some(item => item.type !== 'image' && (privacy.test(item.url) || privacy.test(item.text || ''))),
+    privacyMention: privacy.test(text),
+  };
+}
+
+// ---------- Profiles ----------
+
+function check(code, requirement, citation, status, message) {
+  return { code, requirement, citation, status, message };
+}
+
+function senderCheck(signals, citation, { organizationRequired }) {
+  const requirement = 'Sender identification';
+  if (!signals.sender && !signals.organization) {
+    return check('sender-unidentified', requirement, citation, 'fail', 'The copy does not say who is sending it');
+  }
+  if (organizationRequired && !signals.organization) {
+    return check('organization-unidentified', requirement, citation, 'warning', `${signals.sender} is named, but not the business sending the email`);
+  }
+  return check('sender-unidentified', requirement, citation, 'pass', `Sender: ${[signals.sender, signals.organization].filter(Boolean).join(', ')}`);
+}
+
+function optOutCheck(signals, citation) {
+  return signals.optOut
+    ? check('opt-out-missing', 'Opt-out mechanism', citation, 'pass', 'Opt-out present')
+    : check('opt-out-missing', 'Opt-out mechanism', citation, 'fail', 'No unsubscribe link or opt-out instructions');
+}
+
+function subjectChecks(signals, citation) {
+  return [
+    signals.fakeReply
+      ? check('subject-fake-reply', 'Misleading subject line', citation, 'fail', 'The subject poses as a reply or forward')
+      : check('subject-fake-reply', 'Misleading subject line', citation, 'pass', 'No fake reply or forward prefix'),
+    ...(signals.transactionalSubject
+      ? [check('subject-transactional', 'Misleading subject line', citation, 'warning', 'The subject reads like an invoice, order or account notice')]
+      : []),
+  ];
+}
+
+const PROFILES = {
+  'can-spam': signals => [
+    senderCheck(signals, '15 U.S.C. § 7704(a)(1)', { organizationRequired: false }),
+    signals.postalAddress
+      ? check('postal-address-missing', 'Physical postal address', '15 U.S.C. § 7704(a)(5)(A)(iii)', 'pass', 'Postal address present')
+      : check('postal-address-missing', 'Physical postal address', '15 U.S.C. § 7704(a)(5)(A)(iii)', 'fail', 'No physical postal address'),
+    optOutCheck(signals, '15 U.S.C. § 7704(a)(3), (a)(5)(A)(ii)'),
+    ...subjectChecks(signals, '15 U.S.C. § 7704(a)(2)'),
+  ],
+  'gdpr-pecr': signals => [
+    senderCheck(signals, 'PECR reg. 23(a); GDPR Art. 14(1)(a)', { organizationRequired: true }),
+    signals.contact || signals.postalAddress
+      ? check('contact-details-missing', 'Controller contact details', 'GDPR Art. 14(1)(a)', 'pass', 'Contact details present')
+      : check('contact-details-missing', 'Controller contact details', 'GDPR Art. 14(1)(a)', 'warning', 'No contact details besides the reply address'),
+    optOutCheck(signals, 'PECR reg. 23(b); GDPR Art. 21(2)-(4)'),
+    signals.legitimateInterest
+      ? check('legitimate-interest-missing', 'Legitimate-interest disclosure', 'GDPR Art. 6(1)(f), 14(2)(b), 14(2)(f)', 'pass', 'Explains why the recipient is contacted')
+      : check('legitimate-interest-missing', 'Legitimate-interest disclosure', 'GDPR Art. 6(1)(f), 14(2)(b), 14(2)(f)', 'warning', 'Does not say why the recipient is contacted or where their details come from'),
+    signals.privacyLink
+      ? check('privacy-notice-missing', 'Privacy notice', 'GDPR Art. 12(1), 14(3)(b)', 'pass', 'Links to a privacy notice')
+      : signals.privacyMention
+        ? check('privacy-notice-unlinked', 'Privacy notice', 'GDPR Art. 12(1), 14(3)(b)', 'warning', 'Mentions a privacy notice but does not link to it')
+        : check('privacy-notice-missing', 'Privacy notice', 'GDPR Art. 12(1), 14(3)(b)', 'fail', 'No link to a privacy notice'),
+  ],
+  casl: signals => [
+    senderCheck(signals, 'CASL s. 6(2)(a); CRTC Regs. s. 2(a)-(b)', { organizationRequired: true }),
+    signals.postalAddress
+      ? check('postal-address-missing', 'Mailing address', 'CASL s. 6(2)(b); CRTC Regs. s. 2(c)', 'pass', 'Mailing address present')
+      : check('postal-address-missing', 'Mailing address', 'CASL s. 6(2)(b); CRTC Regs. s. 2(c)', 'fail', 'No mailing address'),
+    signals.contact
+      ? check('contact-details-missing', 'Contact information', 'CASL s. 6(2)(b); CRTC Regs. s. 2(c)', 'pass', 'Email address, phone number or website present')
+      : check('contact-details-missing', 'Contact information', 'CASL s. 6(2)(b); CRTC Regs. s. 2(c)', 'fail', 'No email address, phone number or website'),
+    optOutCheck(signals, 'CASL s. 6(2)(c), 11(1)'),
+    ...subjectChecks(signals, 'Competition Act s. 74.011(2)'),
+    check('consent-unverified', 'Consent', 'CASL s. 6(1)(a), 10(9)(b)', 'info', 'Consent cannot be verified from the copy'),
+  ],
+};
+
+// ---------- Evaluation ----------
+
+// One result per jurisdiction in `jurisdictions`, each with its checks, the
+// failed ones as findings and its own verdict. `language` is a lexicon code,
+// `links` the copy's link analysis; with `inThread` reply prefixes are genuine.
+export function checkCompliance(subject, text, {
+  jurisdictions = DEFAULT_JURISDICTIONS, language = DEFAULT_LANGUAGE, links, inThread = false,
+} = {}) {
+  const signals = complianceSignals(subject, text, { language, links, inThread });
+  return jurisdictions.map(code => {
+    const checks = PROFILES[code](signals);
+    const findings = checks
+      .filter(c => c.status !== 'pass')
+      .map(c => ({ code: c.code, severity: c.status, message: c.message, requirement: c.requirement, citation: c.citation }));
+    let verdict = 'compliant';
+    if (findings.some(f => f.severity === 'fail')) verdict = 'non-compliant';
+    else if (findings.some(f => f.severity === 'warning')) verdict = 'needs-review';
+    return { code, ...JURISDICTIONS[code], verdict, checks, findings };
+  });
+}
@@ -0,0 +1,193 @@
+// Rule-based cold email copy analysis shared by the copy compliance endpoints.
+
+import { COMPLIANCE_RECOMMENDATIONS, DEFAULT_JURISDICTIONS, JURISDICTIONS, checkCompliance } from './compliance-profiles.js';
+import {
+  DEFAULT_LANGUAGE, LANGUAGES, UNKNOWN_LANGUAGE, detectLanguage, lexiconPattern, segmentSentences, segmentWords,
+} from './copy-languages.js';
+import { applyRules, resolveRules } from './copy-rules.js';
+import { HTML_RECOMMENDATIONS, analyzeHtml, looksLikeHtml } from './html-analysis.js';
+import { LINK_RECOMMENDATIONS, analyzeLinks } from './link-analysis.js';
+import { checkTemplate } from './merge-tags.js';
+import { SUBJECT_RECOMMENDATIONS, analyzeSubject } from './subject-analysis.js';
+
+const LOOKS_GOOD = 'Your copy looks good! Consider A/B testing.';
+
+// The language asked for, or the one detected in the copy
+function resolveLanguage(text, language) {
+  if (language && language !== 'auto') {
+    return { code: language, name: LANGUAGES[language].name, confidence: 1, detected: false };
+  }
+  return { ...detectLanguage(text), detected: true };
+}
+
+// ---------- Analysis ----------
+
+// `rules` is the output of resolveRules(); the defaults apply without one.
+// `language` is one of LANGUAGE_CODES, or 'auto' to detect it from the copy;
+// copy in an unknown language is checked with the English rules.
+// Links are checked against `sendingDomain`. With `format` 'html' (or 'auto'
+// and a body that looks like HTML) the markup is analyzed too, against the
+// plain-text alternative in `textAlternative`, and the rules and tone run on
+// its visible text. The copy is checked against the legal requirements of
+// each of `jurisdictions`; `inThread` marks a genuine reply, whose "Re:" is
+// not misleading. The subject line is analyzed with `preheader`, or the HTML's
+// own preheader.
+export function analyzeEmailCopy(subject = '', body = '', {
+  rules = resolveRules(), language = 'auto', sendingDomain = null, format = 'text', textAlternative = null,
+  jurisdictions = DEFAULT_JURISDICTIONS, inThread = false, preheader = null,
+} = {}) {
+  const html = format === 'html' || (format === 'auto' && looksLikeHtml(body))
+    ? analyzeHtml(body, { text: textAlternative })
+    : null;
+  const text = html ? html.text : body;
+  // Filters read hidden text too, so the rules do as well
+  const hidden = html ? [html.preheader, ...html.hiddenText.map(run => run.text)].filter(Boolean) : [];
+  const fullText = [subject, text, ...hidden].join(' ').normalize('NFC');
+  const detected = resolveLanguage(fullText, language);
+  const lexicon = detected.code === UNKNOWN_LANGUAGE.code ? DEFAULT_LANGUAGE : detected.code;
+
+  const findings = applyRules(fullText, rules, lexicon);
+  const byCategory = category => findings.filter(f => f.category === category);
+  const weightOf = list => list.reduce((sum, f) => sum + f.weight, 0);
+  const matchesOf = list => [...new Set(list.flatMap(f => f.matches))];
+
+  const foundSpam = matchesOf(byCategory('spam'));
+  const foundOverclaim = matchesOf(byCategory('overclaim'));
+  const foundDeceptive = matchesOf(byCategory('personalization'));
+  const hasUnsubscribe = lexiconPattern('unsubscribe', lexicon).test(fullText);
+  const links = analyzeLinks(body, { sendingDomain, blockedDomains: rules.blockedDomains });
+  // Legal requirements only count where recipients can see them
+  const legal = checkCompliance(subject, text, { jurisdictions, language: lexicon, links, inThread });
+  const subjectLine = analyzeSubject(subject, {
+    preheader: preheader || html?.preheader || null, text, rules, language: lexicon, inThread, expectsPreheader: Boolean(html),
+  });
+
+  // Tone metrics – word count, sentence length
+  const words = segmentWords(text, detected.code).length;
+  const sentences = segmentSentences(text, detected.code).length;
+  const avgSentenceLength = sentences ? Number((words / sentences).toFixed(1)) : 0;
+
+  // Per-category scores from rule weights (higher = worse, except tone and
+  // compliance); overclaims also count towards spam
+  const spamScore = Math.min(100, weightOf(byCategory('spam')) + weightOf(byCategory('overclaim')) * 0.75);
+  const overclaimScore = Math.min(100, weightOf(byCategory('overclaim')));
+  const personalizationScore = Math.min(100, weightOf(byCategory('personalization')));
+  const unsubscribeScore = hasUnsubscribe ? 0 : 70;
+  const toneScore = Math.max(0, 100 - (avgSentenceLength > 30 ? 30 : avgSentenceLength * 2)) + (words > 300 ? -20 : 0);
+  const complianceScore = Math.max(0, 100 - (
+    spamScore * 0.4 +
+    overclaimScore * 0.3 +
+    personalizationScore * 0.2 +
+    unsubscribeScore * 0.1 +
+    links.score * 0.3 +
+    (html ? html.score * 0.2 : 0) +
+    (subjectLine ? (100 - subjectLine.score) * 0.2 : 0)
+  ));
+
+  let verdict = complianceScore >= 70 ? 'compliant' : complianceScore >= 40 ? 'needs-review' : 'non-compliant';
+  // A rule, link, HTML or subject finding with severity "fail", or a
+  // jurisdiction the copy does not comply with, always needs a second look
+  if (verdict === 'compliant' && (
+    [...findings, ...links.findings, ...(html?.findings || []), ...(subjectLine?.findings || [])].some(f => f.severity === 'fail')
+    || legal.some(j => j.verdict === 'non-compliant')
+  )) {
+    verdict = 'needs-review';
+  }
+
+  const recommendations = [];
+  if (foundSpam.length) recommendations.push(`Remove spam trigger words: ${foundSpam.join(', ')}`);
+  if (foundOverclaim.length) recommendations.push(`Replace exaggerated claims: ${foundOverclaim.join(', ')}`);
+  if (foundDeceptive.length) recommendations.push(`Use real personalization instead of placeholders like ${foundDeceptive.join(', ')}`);
+  findings.filter(f => f.replacement).forEach(f => {
+    recommendations.push(`Replace "${f.matches.join('", "')}" with "${f.replacement}"`);
+  });
+  [...new Set(links.findings.map(f => LINK_RECOMMENDATIONS[f.code]))].forEach(r => recommendations.push(r));
+  [...new Set((html?.findings || []).map(f => HTML_RECOMMENDATIONS[f.code]).filter(Boolean))].forEach(r => recommendations.push(r));
+  // One line per missing requirement, naming the laws that require it
+  const lawsByCode = new Map();
+  legal.forEach(j => j.findings.filter(f => f.severity !== 'info').forEach(f => {
+    lawsByCode.set(f.code, [...(lawsByCode.get(f.code) || []), JURISDICTIONS[j.code].name]);
+  }));
+  lawsByCode.forEach((laws, code) => recommendations.push(`${laws.join(', ')}: ${COMPLIANCE_RECOMMENDATIONS[code]}`));
+  // A fake "Re:" the jurisdictions already flag is not repeated
+  [...new Set((subjectLine?.findings || [])
+    .filter(f => !(f.code === 'subject-fake-prefix' && lawsByCode.has('subject-fake-reply')))
+    .map(f => SUBJECT_RECOMMENDATIONS[f.code])
+    .filter(Boolean))].forEach(r => recommendations.push(r));
+  if (avgSentenceLength > 25) recommendations.push(`Sentences are too long (avg ${avgSentenceLength} words). Break them up.`);
+  if (words > 250) recommendations.push('Email is too long (best under 150 words)');
+  if (verdict === 'compliant') recommendations.push(LOOKS_GOOD);
+
+  return {
+    language: detected,
+    spam: { found: foundSpam },
+    overclaim: { found: foundOverclaim },
+    personalization: { found: foundDeceptive },
+    unsubscribe: { present: hasUnsubscribe },
+    jurisdictions: legal,
+    links,
+    html,
+    subjectLine,
+    findings,
+    ruleSet: rules.ruleSet,
+    tone: { words, sentences, avgSentenceLength },
+    scores: {
+      spam: spamScore,
+      overclaim: overclaimScore,
+      personalization: personalizationScore,
+      unsubscribe: unsubscribeScore,
+      links: links.score,
+      html: html ? html.score : null,
+      subject: subjectLine ? subjectLine.score : null,
+      tone: toneScore,
+      compliance: Math.round(complianceScore),
+    },
+    verdict,
+    recommendations,
+  };
+}
+
+// ---------- Templates ----------
+
+// Copy with merge tags or spintax: every variant (or a sample of them) is
+// analyzed and the worst-scoring one is reported, with the template's own
+// syntax findings on top. Copy without template syntax gets `template: null`.
+export function analyzeTemplate(subject = '', body = '', { variables = [], ...options } = {}) {
+  const template = checkTemplate(subject, body, { variables });
+  if (!template) return { ...analyzeEmailCopy(subject, body, options), template: null };
+
+  const analyses = template.variants.map(variant => analyzeEmailCopy(variant.subject, variant.body, options));
+  const worst = analyses.reduce((w, analysis, index) => (
+    analysis.scores.compliance < analyses[w].scores.compliance ? index : w
+  ), 0);
+  const report = analyses[worst];
+
+  // Broken syntax reaches recipients as literal braces
+  let verdict = report.verdict;
+  if (verdict === 'compliant' && template.findings.some(f => f.severity === 'fail')) verdict = 'needs-review';
+  const recommendations = [
+    ...template.findings.filter(f => f.severity !== 'info').map(f => f.message),
+    ...report.recommendations.filter(r => r !== LOOKS_GOOD || !template.findings.length),
+  ];
+  if (template.sampled) {
+    recommendations.push(`Only ${analyses.length} of ${template.variantCount ?? 'the'} spintax variants were analyzed – the worst unchecked one may score lower`);
+  }
+
+  return {
+    ...report,
+    verdict,
+    recommendations,
+    template: {
+      findings: template.findings,
+      variables: template.variables,
+      variantCount: template.variantCount,
+      sampled: template.sampled,
+      worstVariant: worst,
+      variants: template.variants.map((variant, index) => ({
+        ...variant,
+        compliance: analyses[index].scores.compliance,
+        verdict: analyses[index].verdict,
+      })),
+    },
+  };
+}
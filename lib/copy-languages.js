@@ -0,0 +1,269 @@
+// Per-language lexicons for the copy analysis, language detection and
+// Unicode-aware word and sentence segmentation.
+
+export const DEFAULT_LANGUAGE = 'en';
+// Reported when no lexicon fits; the English rules still apply
+export const UNKNOWN_LANGUAGE = { code: 'und', name: 'Unknown' };
+
+// ---------- Lexicons ----------
+
+export const LANGUAGES = {
+  en: {
+    name: 'English',
+    stopwords: [
+      'the', 'and', 'is', 'are', 'you', 'your', 'to', 'of', 'in', 'for', 'that', 'this', 'with', 'we',
+      'our', 'it', 'on', 'be', 'have', 'not', 'i', 'at', 'as', 'can', 'will', 'would', 'if', 'an', 'do',
+    ],
+    spamTriggers: [
+      'free', 'guarantee', 'winner', 'prize', 'discount', 'save up to', 'act now', 'limited time',
+      'offer expires', 'click here', 'buy now', 'order now', 'special promotion', 'dear friend',
+      'urgent', 'important information', 'risk-free', '100% free', 'no cost', 'no fees',
+      'once in a lifetime', 'you have been selected', 'money', 'cash', 'income', 'earn',
+      'make money', 'extra income', 'home based', 'get paid', 'opportunity', 'system', 'sample',
+      'gift', 'check or money order', 'credit card', 'apply now', 'call now', 'contact us immediately',
+      'don\'t delete', 'fantastic deal', 'for free', 'great offer', 'information you requested',
+      'no catch', 'no strings attached'
+    ],
+    overclaimPatterns: [
+      'increase.*by.*%', 'grow.*by.*%', 'boost.*by.*%', '300%', '500%', '1000%', 'double', 'triple',
+      'revolutionary', 'groundbreaking', 'breakthrough', 'miracle', 'magic', 'secret', 'hidden',
+      'overnight', 'instant', 'immediately', 'guaranteed results', 'proven method', 'scientifically proven',
+      'exclusive', 'limited', 'never before seen', 'million', 'billion', 'fortune', 'wealth',
+      'life-changing', 'transform your', 'change your life'
+    ],
+    personalization: [
+      '{first name}', '{first_name}', '{firstname}', '{last name}', '{last_name}', '{lastname}',
+      '{company}', '{company name}', '{city}', '{industry}', 'dear friend', 'dear valued customer',
+      'dear [name]', 'dear [firstname]', 'hello [name]'
+    ],
+    unsubscribe: ['unsubscribe', 'opt-out', 'opt out', 'optout', 'remove me', 'email preferences'],
+    // Terms that weigh more in a subject line than in the body
+    subjectTriggers: [
+      'last chance', 'final notice', 'final reminder', 'congratulations', 'you won', 'you\'ve won', 'act fast',
+      'don\'t miss', 'open immediately', 'open now', 'read this', 'important', 'urgent', 'hurry',
+      'special offer', 'free', 'winner', 'limited time', 'deal'
+    ],
+    privacy: ['privacy policy', 'privacy notice', 'privacy', 'data protection'],
+    legitimateInterest: [
+      'legitimate interest', 'why you are receiving', 'why you\'re receiving', 'you are receiving this',
+      'you\'re receiving this', 'your details from', 'your contact details', 'publicly available'
+    ],
+    signOffs: [
+      'best', 'best regards', 'kind regards', 'warm regards', 'regards', 'cheers', 'thanks', 'thank you',
+      'many thanks', 'sincerely', 'all the best', 'talk soon'
+    ],
+  },
+  de: {
+    name: 'German',
+    stopwords: [
+      'der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'sie', 'es', 'wir', 'mit', 'für', 'auf', 'ein',
+      'eine', 'zu', 'den', 'von', 'im', 'dem', 'sich', 'auch', 'wie', 'bei', 'oder', 'aber', 'ihr',
+      'ihre', 'uns', 'haben', 'wird', 'werden', 'ihnen', 'über', 'können',
+    ],
+    spamTriggers: [
+      'kostenlos', 'gratis', 'gewinner', 'gewinnen', 'rabatt', 'jetzt kaufen', 'jetzt bestellen',
+      'nur heute', 'begrenztes angebot', 'zeitlich begrenzt', 'klicken sie hier', 'hier klicken',
+      'geld verdienen', 'bargeld', 'nebeneinkommen', 'risikofrei', 'ohne risiko', 'keine kosten',
+      'garantie', 'dringend', 'einmalige gelegenheit', 'sie wurden ausgewählt', 'geschenk',
+      'kreditkarte', 'jetzt anrufen', 'sonderangebot', 'lieber freund', 'schnell reich'
+    ],
+    overclaimPatterns: [
+      'steiger.*um.*%', 'erhöh.*um.*%', 'verdoppeln', 'verdreifachen', 'revolutionär', 'bahnbrechend',
+      'durchbruch', 'wunder', 'magisch', 'geheimnis', 'über nacht', 'sofort', 'garantierte ergebnisse',
+      'bewährte methode', 'wissenschaftlich bewiesen', 'exklusiv', 'noch nie dagewesen', 'millionen',
+      'milliarden', 'vermögen', 'reichtum', 'lebensverändernd', 'verändern sie ihr leben'
+    ],
+    personalization: [
+      '{vorname}', '{nachname}', '{firma}', '{unternehmen}', '{stadt}', '{branche}', 'lieber freund',
+      'liebe freundin', 'sehr geehrter kunde', 'sehr geehrte kundin', 'hallo [name]', 'liebe/r [name]'
+    ],
+    unsubscribe: ['abmelden', 'abmeldung', 'abbestellen', 'austragen', 'keine e-mails mehr', 'e-mail-einstellungen'],
+    subjectTriggers: [
+      'letzte chance', 'letzte erinnerung', 'herzlichen glückwunsch', 'sie haben gewonnen', 'nicht verpassen',
+      'sofort öffnen', 'wichtig', 'dringend', 'gratis', 'kostenlos', 'angebot'
+    ],
+    privacy: ['datenschutzerklärung', 'datenschutzhinweise', 'datenschutz'],
+    legitimateInterest: [
+      'berechtigtes interesse', 'berechtigtem interesse', 'berechtigten interesses', 'berechtigten interesse', 'warum sie diese e-mail',
+      'ihre kontaktdaten', 'öffentlich zugänglich'
+    ],
+    signOffs: ['mit freundlichen grüßen', 'freundliche grüße', 'viele grüße', 'beste grüße', 'liebe grüße', 'grüße', 'danke'],
+  },
+  es: {
+    name: 'Spanish',
+    stopwords: [
+      'el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'un', 'una', 'es', 'por', 'con', 'para', 'no',
+      'se', 'su', 'sus', 'al', 'lo', 'como', 'más', 'pero', 'le', 'ya', 'muy', 'también', 'nuestro',
+      'usted', 'del', 'este', 'esta', 'puede',
+    ],
+    spamTriggers: [
+      'gratis', 'gratuito', 'ganador', 'premio', 'descuento', 'ahorre', 'actúe ahora', 'oferta limitada',
+      'tiempo limitado', 'haga clic aquí', 'haz clic aquí', 'compre ahora', 'compra ahora', 'dinero',
+      'efectivo', 'gane dinero', 'ganar dinero', 'ingresos extra', 'sin riesgo', 'sin costo', 'sin coste',
+      'garantía', 'urgente', 'ha sido seleccionado', 'has sido seleccionado', 'regalo',
+      'tarjeta de crédito', 'llame ahora', 'oportunidad única', 'oferta especial', 'querido amigo'
+    ],
+    overclaimPatterns: [
+      'aument.*un.*%', 'aument.*en.*%', 'duplicar', 'triplicar', 'revolucionario', 'milagro', 'mágico',
+      'secreto', 'de la noche a la mañana', 'instantáneo', 'inmediatamente', 'resultados garantizados',
+      'método probado', 'científicamente probado', 'exclusivo', 'nunca antes visto', 'millones',
+      'fortuna', 'riqueza', 'cambiará tu vida', 'cambie su vida'
+    ],
+    personalization: [
+      '{nombre}', '{apellido}', '{empresa}', '{ciudad}', '{sector}', 'querido amigo', 'querida amiga',
+      'estimado cliente', 'estimada clienta', 'hola [nombre]', 'estimado/a [nombre]'
+    ],
+    unsubscribe: [
+      'darse de baja', 'darte de baja', 'dar de baja', 'date de baja', 'cancelar suscripción',
+      'cancelar la suscripción', 'anular suscripción', 'desuscribirse', 'no recibir más correos'
+    ],
+    subjectTriggers: [
+      'última oportunidad', 'último aviso', 'felicidades', 'has ganado', 'ha ganado', 'no te lo pierdas',
+      'abrir inmediatamente', 'importante', 'urgente', 'gratis', 'oferta'
+    ],
+    privacy: ['política de privacidad', 'aviso de privacidad', 'privacidad', 'protección de datos'],
+    legitimateInterest: [
+      'interés legítimo', 'por qué recibes', 'por qué recibe', 'recibes este correo', 'recibe este correo',
+      'sus datos de contacto', 'tus datos de contacto', 'públicamente disponible'
+    ],
+    signOffs: ['saludos', 'un saludo', 'saludos cordiales', 'atentamente', 'gracias', 'un abrazo'],
+  },
+  fr: {
+    name: 'French',
+    stopwords: [
+      'le', 'la', 'les', 'de', 'des', 'du', 'et', 'est', 'en', 'un', 'une', 'que', 'qui', 'pour', 'pas',
+      'dans', 'ce', 'sur', 'avec', 'vous', 'nous', 'au', 'il', 'elle', 'ne', 'plus', 'par', 'sont',
+      'votre', 'notre', 'vos', 'nos', 'aux',
+    ],
+    spamTriggers: [
+      'gratuit', 'gratuitement', 'gagnant', 'remise', 'réduction', 'agissez maintenant', 'offre limitée',
+      'durée limitée', 'cliquez ici', 'achetez maintenant', 'commandez maintenant', 'argent',
+      'gagner de l\'argent', 'revenu supplémentaire', 'sans risque', 'sans frais', 'garantie',
+      'urgent', 'vous avez été sélectionné', 'cadeau', 'carte de crédit', 'appelez maintenant',
+      'offre spéciale', 'opportunité unique', 'cher ami'
+    ],
+    overclaimPatterns: [
+      'augment.*de.*%', 'doubler', 'tripler', 'révolutionnaire', 'miracle', 'magique', 'secret',
+      'du jour au lendemain', 'instantané', 'immédiatement', 'résultats garantis', 'méthode éprouvée',
+      'scientifiquement prouvé', 'exclusif', 'jamais vu', 'millions', 'milliards', 'fortune',
+      'richesse', 'changer votre vie', 'changera votre vie'
+    ],
+    personalization: [
+      '{prénom}', '{prenom}', '{nom}', '{entreprise}', '{société}', '{ville}', '{secteur}', 'cher ami',
+      'chère amie', 'cher client', 'chère cliente', 'bonjour [prénom]', 'cher/chère [nom]'
+    ],
+    unsubscribe: ['se désabonner', 'désabonner', 'désabonnement', 'se désinscrire', 'désinscription', 'ne plus recevoir'],
+    subjectTriggers: [
+      'dernière chance', 'dernier rappel', 'félicitations', 'vous avez gagné', 'à ne pas manquer',
+      'ouvrir immédiatement', 'important', 'urgent', 'gratuit', 'offre'
+    ],
+    privacy: ['politique de confidentialité', 'confidentialité', 'protection des données', 'données personnelles'],
+    legitimateInterest: [
+      'intérêt légitime', 'pourquoi vous recevez', 'vous recevez cet e-mail', 'vous recevez ce message',
+      'vos coordonnées', 'publiquement disponible'
+    ],
+    signOffs: ['cordialement', 'bien cordialement', 'bien à vous', 'salutations', 'merci', 'bonne journée'],
+  },
+};
+
+export const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+// Matches any phrase of a lexicon list, in English and in `language`, as
+// English wording is common in footers whatever the copy's language. Only
+// the start of a phrase has to be on a word boundary, so "unsubscribed"
+// counts too.
+export function lexiconPattern(key, language = DEFAULT_LANGUAGE) {
+  const phrases = [...LANGUAGES[DEFAULT_LANGUAGE][key], ...(language !== DEFAULT_LANGUAGE ? LANGUAGES[language]?.[key] || [] : [])]
+    .map(p => p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/[\s-]+/g, '[\\s-]?'));
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${phrases.join('|')})`, 'iu');
+}
+
+// Letters that only one of the supported languages uses
+const LANGUAGE_HINTS = {
+  de: /[äöüß]/giu,
+  es: /[ñ¿¡]/giu,
+  fr: /[çœàâèêëîïôùû]/giu,
+};
+
+// ---------- Segmentation ----------
+
+// Longest piece of text handed to a segmenter at once. Every segment object
+// V8 creates holds on to its input, so segmenting a long text in one go
+// takes memory quadratic in its length.
+const MAX_SEGMENT_INPUT = 2000;
+
+// The text cut at line breaks, and long lines at the last space before the
+// limit, so no word is split
+function* segmenterInputs(text) {
+  for (const line of String(text).normalize('NFC').split('\n')) {
+    let rest = line;
+    while (rest.length > MAX_SEGMENT_INPUT) {
+      const cut = rest.lastIndexOf(' ', MAX_SEGMENT_INPUT);
+      const end = cut > 0 ? cut : MAX_SEGMENT_INPUT;
+      yield rest.slice(0, end);
+      rest = rest.slice(end);
+    }
+    if (rest) yield rest;
+  }
+}
+
+function segmenterFor(language, granularity) {
+  return new Intl.Segmenter(language === UNKNOWN_LANGUAGE.code ? undefined : language, { granularity });
+}
+
+// Word-like segments (letters or digits in any script), lowercased
+export function segmentWords(text, language = DEFAULT_LANGUAGE) {
+  const segmenter = segmenterFor(language, 'word');
+  const words = [];
+  for (const input of segmenterInputs(text)) {
+    for (const { segment, isWordLike } of segmenter.segment(input)) {
+      if (isWordLike) words.push(segment.toLocaleLowerCase());
+    }
+  }
+  return words;
+}
+
+// Sentences with at least one word; handles ¿…?, ellipses and 。
+export function segmentSentences(text, language = DEFAULT_LANGUAGE) {
+  const segmenter = segmenterFor(language, 'sentence');
+  const sentences = [];
+  for (const input of segmenterInputs(text)) {
+    for (const { segment } of segmenter.segment(input)) {
+      const sentence = segment.trim();
+      if (/[\p{L}\p{N}]/u.test(sentence)) sentences.push(sentence);
+    }
+  }
+  return sentences;
+}
+
+// ---------- Detection ----------
+
+// Scores each lexicon by its share of stopwords in the text, plus letters
+// only one language uses. Resolves to { code, name, confidence }.
+export function detectLanguage(text) {
+  const normalized = String(text).normalize('NFC');
+  const words = segmentWords(normalized);
+  const letters = normalized.match(/\p{L}/gu) || [];
+  const latin = normalized.match(/\p{Script=Latin}/gu) || [];
+  // The lexicons are all Latin-script
+  if (!words.length || latin.length < letters.length / 2) {
+    return { ...UNKNOWN_LANGUAGE, confidence: 0 };
+  }
+
+  const scores = LANGUAGE_CODES.map(code => {
+    const stopwords = new Set(LANGUAGES[code].stopwords);
+    const hits = words.filter(word => stopwords.has(word)).length;
+    const hints = (normalized.match(LANGUAGE_HINTS[code] || /$^/gu) || []).length;
+    return { code, score: hits / words.length + Math.min(hints / words.length, 0.2) };
+  }).sort((a, b) => b.score - a.score);
+
+  const total = scores.reduce((sum, s) => sum + s.score, 0);
+  if (!total || scores[0].score < 0.05) {
+    return { ...UNKNOWN_LANGUAGE, confidence: 0 };
+  }
+  return {
+    code: scores[0].code,
+    name: LANGUAGES[scores[0].code].name,
+    confidence: Number((scores[0].score / total).toFixed(2)),
+  };
+}
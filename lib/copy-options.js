@@ -0,0 +1,58 @@
+import { DEFAULT_JURISDICTIONS, JURISDICTION_CODES } from './compliance-profiles.js';
+import { LANGUAGE_CODES } from './copy-languages.js';
+import { DOMAIN_PATTERN, normalizeDomain } from './domain-check.js';
+import { MAX_CUSTOM_VARIABLES } from './merge-tags.js';
+import { MAX_PREHEADER_LENGTH } from './subject-analysis.js';
+
+// Analysis options shared by the copy and sequence check endpoints.
+
+export const COPY_FORMATS = ['auto', 'text', 'html'];
+// RFC 5322's line length limit
+export const MAX_SUBJECT_LENGTH = 998;
+// Well past Gmail's 102 KB clipping point, so that finding still shows
+export const MAX_BODY_LENGTH = 200000;
+
+// The length limits of the copy itself; returns an error message or null
+export function copyLengthError(subject, body) {
+  if (subject.length > MAX_SUBJECT_LENGTH) return `Subject must be at most ${MAX_SUBJECT_LENGTH} characters`;
+  if (body.length > MAX_BODY_LENGTH) return `Body must be at most ${MAX_BODY_LENGTH} characters`;
+  return null;
+}
+
+// Validates the options of a request body; returns { values } or { error }
+export function parseCopyOptions(body = {}) {
+  const {
+    ruleSetId = null, language = 'auto', variables = [], format = 'auto', textAlternative = null,
+    jurisdictions = DEFAULT_JURISDICTIONS, preheader = null,
+  } = body;
+  // The From domain links should match; the endpoint may fill in a default
+  const sendingDomain = body.sendingDomain ? normalizeDomain(body.sendingDomain) : null;
+
+  if (ruleSetId !== null && typeof ruleSetId !== 'string') return { error: 'ruleSetId must be a string' };
+  if (language !== 'auto' && !LANGUAGE_CODES.includes(language)) {
+    return { error: `language must be auto or one of ${LANGUAGE_CODES.join(', ')}` };
+  }
+  if (!COPY_FORMATS.includes(format)) return { error: `format must be one of ${COPY_FORMATS.join(', ')}` };
+  if (textAlternative !== null && (typeof textAlternative !== 'string' || textAlternative.length > MAX_BODY_LENGTH)) {
+    return { error: `textAlternative must be a string of at most ${MAX_BODY_LENGTH} characters` };
+  }
+  if (preheader !== null && (typeof preheader !== 'string' || preheader.length > MAX_PREHEADER_LENGTH)) {
+    return { error: `preheader must be a string of at most ${MAX_PREHEADER_LENGTH} characters` };
+  }
+  // Custom fields of the sequencer account, so their merge tags are not flagged as unknown
+  if (!Array.isArray(variables) || variables.length > MAX_CUSTOM_VARIABLES || variables.some(v => typeof v !== 'string')) {
+    return { error: `variables must be an array of at most ${MAX_CUSTOM_VARIABLES} names` };
+  }
+  if (sendingDomain && !DOMAIN_PATTERN.test(sendingDomain)) return { error: 'Invalid sending domain' };
+  // The laws of the recipients' countries
+  if (!Array.isArray(jurisdictions) || !jurisdictions.length || jurisdictions.some(j => !JURISDICTION_CODES.includes(j))) {
+    return { error: `jurisdictions must be a non-empty array of ${JURISDICTION_CODES.join(', ')}` };
+  }
+
+  return {
+    values: {
+      ruleSetId, language, variables, format, textAlternative, preheader: preheader || null, sendingDomain,
+      jurisdictions: [...new Set(jurisdictions)],
+    },
+  };
+}
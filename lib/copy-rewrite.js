@@ -0,0 +1,280 @@
+import { copyLengthError } from './copy-options.js';
+import { extractLinks } from './link-analysis.js';
+import { parseTemplate } from './merge-tags.js';
+
+// Compliance-guided rewrites: the copy's findings go into the prompt, merge
+// tags and links are swapped for placeholders the model has to keep, and
+// every variant is re-analyzed – variants that still fail are regenerated
+// with feedback, then rejected.
+
+export const REWRITE_TONES = ['professional', 'friendly', 'persuasive', 'concise'];
+export const MAX_REWRITE_VARIANTS = 5;
+const DEFAULT_VARIANTS = 3;
+// Generation rounds: the first, then regenerations of the failing variants
+const MAX_ROUNDS = 3;
+// Token pairs above which the diff falls back to replacing the whole text
+const MAX_DIFF_CELLS = 250000;
+
+// Failures a rewrite cannot fix: requirements that need the sender's own
+// details, and broken merge tags, which are kept as written. They do not
+// block a variant when the original has them too.
+const UNFIXABLE = new Set([
+  'postal-address-missing', 'sender-unidentified', 'organization-unidentified', 'contact-details-missing',
+  'privacy-notice-missing', 'merge-tag-invalid', 'template-unbalanced-braces',
+]);
+
+// ---------- Input ----------
+
+// Validates { subject, body, tone, variants }, or the older { text, tone }
+// with a "Subject:" first line; returns { values } or { error }
+export function parseRewriteInput(input = {}) {
+  let { subject = '', body = '' } = input;
+  const { text, tone = 'professional', variants = DEFAULT_VARIANTS } = input;
+  if (text !== undefined && !subject && !body) {
+    if (typeof text !== 'string') return { error: 'text must be a string' };
+    const match = text.match(/^\s*subject:[ \t]*(.*)\r?\n?/i);
+    subject = match ? match[1].trim() : '';
+    body = match ? text.slice(match[0].length).trim() : text;
+  }
+  if (typeof subject !== 'string' || typeof body !== 'string') return { error: 'Subject and body must be strings' };
+  if (!subject.trim() && !body.trim()) return { error: 'Subject or body required' };
+  const lengthError = copyLengthError(subject, body);
+  if (lengthError) return { error: lengthError };
+  if (!REWRITE_TONES.includes(tone)) return { error: `tone must be one of ${REWRITE_TONES.join(', ')}` };
+  if (!Number.isInteger(variants) || variants < 1 || variants > MAX_REWRITE_VARIANTS) {
+    return { error: `variants must be an integer from 1 to ${MAX_REWRITE_VARIANTS}` };
+  }
+  return { values: { subject, body, tone, variants } };
+}
+
+// ---------- Protected Tokens ----------
+
+// Merge tags, spintax and link URLs, exactly as written
+function protectedTokens(subject, body) {
+  const template = [subject, body].flatMap(text => parseTemplate(text).nodes)
+    .filter(node => node.type !== 'text')
+    .map(node => node.raw);
+  const links = extractLinks(body).map(item => item.url);
+  return [...new Set([...links, ...template])];
+}
+
+// Replaces the tokens with [[KEEP_n]], longest first so a tag inside a URL
+// stays part of the URL
+function protect(text, tokens) {
+  return [...tokens].sort((a, b) => b.length - a.length)
+    .reduce((result, token) => result.split(token).join(`[[KEEP_${tokens.indexOf(token) + 1}]]`), text);
+}
+
+function restore(text, tokens) {
+  return text.replace(/\[\[KEEP_(\d+)\]\]/g, (placeholder, n) => tokens[n - 1] ?? placeholder);
+}
+
+// The tokens a variant dropped or added, as problems
+function tokenProblems(original, variant) {
+  const before = new Set(protectedTokens(original.subject, original.body));
+  const after = new Set(protectedTokens(variant.subject, variant.body));
+  const problems = [];
+  before.forEach(token => {
+    if (!after.has(token)) problems.push(`Dropped or changed ${token}`);
+  });
+  after.forEach(token => {
+    if (!before.has(token)) problems.push(`Added ${token}`);
+  });
+  if (/\[\[KEEP_\d+\]\]/.test(variant.subject + variant.body)) problems.push('Unknown placeholder left in the text');
+  return problems;
+}
+
+// ---------- Issues ----------
+
+// Every warning or failure of a copy report, keyed so two reports can be compared
+export function reportIssues(report) {
+  const issues = [];
+  const add = (key, severity, message) => {
+    if (severity !== 'info') issues.push({ key, severity, message });
+  };
+  report.findings.forEach(f => add(`rule:${f.ruleId}`, f.severity, `${f.category}: ${f.matches.join(', ')}`));
+  report.links.findings.forEach(f => add(`link:${f.code}`, f.severity, f.message));
+  (report.html?.findings || []).forEach(f => add(`html:${f.code}`, f.severity, f.message));
+  (report.subjectLine?.findings || []).forEach(f => add(`subject:${f.code}`, f.severity, f.message));
+  (report.template?.findings || []).forEach(f => add(`template:${f.code}`, f.severity, f.message));
+  report.jurisdictions.forEach(j => j.findings.forEach(f => add(`${j.code}:${f.code}`, f.severity, `${j.name} – ${f.message} (${f.citation})`)));
+  if (report.tone.avgSentenceLength > 25) add('tone:long-sentences', 'warning', `Sentences average ${report.tone.avgSentenceLength} words`);
+  if (report.tone.words > 250) add('tone:too-long', 'warning', `${report.tone.words} words`);
+  return issues;
+}
+
+const issueCode = issue => issue.key.slice(issue.key.indexOf(':') + 1);
+
+// Failures a variant must not have: any it introduced, and those of the
+// original a rewrite can fix
+function blockingIssues(report, originalKeys) {
+  const blocking = reportIssues(report)
+    .filter(issue => issue.severity === 'fail' && (!originalKeys.has(issue.key) || !UNFIXABLE.has(issueCode(issue))))
+    .map(issue => issue.message);
+  if (report.verdict === 'non-compliant') blocking.push(`Compliance score ${report.scores.compliance}/100`);
+  return blocking;
+}
+
+// ---------- Diff ----------
+
+// Word-level diff as [{ op: 'equal' | 'delete' | 'insert', text }], from the
+// longest common subsequence of words and whitespace runs
+export function wordDiff(before, after) {
+  const a = before.match(/\s+|[^\s]+/g) || [];
+  const b = after.match(/\s+|[^\s]+/g) || [];
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [...(before ? [{ op: 'delete', text: before }] : []), ...(after ? [{ op: 'insert', text: after }] : [])];
+  }
+
+  // lengths[i][j]: LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (op, text) => {
+    const last = ops[ops.length - 1];
+    if (last?.op === op) last.text += text;
+    else ops.push({ op, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push('equal', a[i++]);
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  return ops;
+}
+
+// ---------- Prompt ----------
+
+function buildPrompt({ subject, body, tone, count, issues, retries }) {
+  const lines = [
+    `Rewrite the following cold email in a ${tone} tone. Write ${count} clearly different variant${count === 1 ? '' : 's'} that keep the same offer and meaning.`,
+    '',
+    'Rules:',
+    '- Copy every placeholder like [[KEEP_1]] exactly as written. They stand for merge tags and links; do not add, remove, translate or change them.',
+    '- Do not add new links, merge tags or placeholders.',
+    '- Do not invent facts, numbers, names, addresses or claims.',
+    '- Keep the language of the original email.',
+    '- Plain text only, no Markdown. Keep an HTML body as HTML with the same structure.',
+  ];
+  if (issues.length) {
+    lines.push('', 'Fix these problems found by our compliance check:', ...issues.map(issue => `- ${issue.message}`));
+  }
+  if (retries.length) {
+    lines.push('', 'Earlier rewrites were rejected for these reasons – avoid them:', ...retries.map(reason => `- ${reason}`));
+  }
+  lines.push(
+    '',
+    `Reply with JSON only, in the form {"variants": [{"subject": "...", "body": "..."}]} with exactly ${count} item${count === 1 ? '' : 's'}.`,
+    '',
+    `Subject: ${subject}`,
+    '',
+    body,
+  );
+  return lines.join('\n');
+}
+
+// The variants of a model reply, which may be wrapped in a Markdown code fence
+export function parseModelVariants(text) {
+  const json = String(text).replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    const start = json.indexOf('{');
+    const end = json.lastIndexOf('}');
+    if (start === -1 || end <= start) return [];
+    try {
+      parsed = JSON.parse(json.slice(start, end + 1));
+    } catch {
+      return [];
+    }
+  }
+  const variants = Array.isArray(parsed) ? parsed : parsed?.variants;
+  return (Array.isArray(variants) ? variants : [])
+    .filter(v => v && typeof v.subject === 'string' && typeof v.body === 'string')
+    .map(v => ({ subject: v.subject.trim(), body: v.body.trim() }));
+}
+
+// ---------- Rewrite ----------
+
+// `generate(prompt)` resolves to the model's reply text; `analyze(subject,
+// body)` returns a copy report (analyzeTemplate() with the request's options).
+// Resolves to the original's issues, the accepted variants with their
+// scores, diffs and fixed findings, and the rejected ones with the reasons.
+export async function rewriteCopy({ subject, body, tone, variants: count }, { generate, analyze }) {
+  const original = analyze(subject, body);
+  const originalIssues = reportIssues(original);
+  const originalKeys = new Set(originalIssues.map(issue => issue.key));
+  const tokens = protectedTokens(subject, body);
+  const protectedCopy = { subject: protect(subject, tokens), body: protect(body, tokens) };
+
+  const accepted = [];
+  const rejected = [];
+  const seen = new Set([`${subject}\n${body}`]);
+  let rounds = 0;
+  while (accepted.length < count && rounds < MAX_ROUNDS) {
+    rounds++;
+    // Feedback speaks of placeholders, as the model sees them. Merge tag
+    // findings and details only the sender has are left out.
+    const retries = [...new Set(rejected.flatMap(variant => variant.reasons))].map(reason => protect(reason, tokens));
+    const issues = originalIssues.filter(issue => !issue.key.startsWith('template:') && !UNFIXABLE.has(issueCode(issue)))
+      .map(issue => ({ ...issue, message: protect(issue.message, tokens) }));
+    const reply = await generate(buildPrompt({
+      ...protectedCopy, tone, count: count - accepted.length, issues, retries,
+    }));
+
+    parseModelVariants(reply).slice(0, count - accepted.length).forEach(draft => {
+      const variant = { subject: restore(draft.subject, tokens), body: restore(draft.body, tokens) };
+      const signature = `${variant.subject}\n${variant.body}`;
+      if (seen.has(signature)) return;
+      seen.add(signature);
+
+      const problems = tokenProblems({ subject, body }, variant);
+      const report = analyze(variant.subject, variant.body);
+      const reasons = [...problems, ...blockingIssues(report, originalKeys)];
+      if (reasons.length) {
+        rejected.push({ ...variant, round: rounds, verdict: report.verdict, reasons });
+        return;
+      }
+
+      const issues = reportIssues(report);
+      const keys = new Set(issues.map(issue => issue.key));
+      accepted.push({
+        ...variant,
+        round: rounds,
+        verdict: report.verdict,
+        scores: { compliance: report.scores.compliance, subject: report.scores.subject },
+        fixed: originalIssues.filter(issue => !keys.has(issue.key)),
+        remaining: issues.filter(issue => originalKeys.has(issue.key)),
+        introduced: issues.filter(issue => !originalKeys.has(issue.key)),
+        diff: { subject: wordDiff(subject, variant.subject), body: wordDiff(body, variant.body) },
+      });
+    });
+  }
+
+  accepted.sort((a, b) => b.scores.compliance - a.scores.compliance);
+  return {
+    original: {
+      subject,
+      body,
+      verdict: original.verdict,
+      scores: { compliance: original.scores.compliance, subject: original.scores.subject },
+      issues: originalIssues,
+    },
+    variants: accepted,
+    rejected,
+    rounds,
+  };
+}
@@ -0,0 +1,289 @@
+// Copy analysis rules: the built-in defaults plus per-account rule sets that
+// add rules, override or disable defaults, allowlist harmless terms and block
+// link domains.
+
+import vm from 'vm';
+import { DEFAULT_LANGUAGE, LANGUAGE_CODES, LANGUAGES } from './copy-languages.js';
+import { parseBlockedDomains } from './link-analysis.js';
+
+export const RULE_TYPES = ['word', 'phrase', 'regex'];
+export const RULE_CATEGORIES = ['spam', 'overclaim', 'personalization'];
+export const RULE_SEVERITIES = ['fail', 'warning', 'info'];
+
+export const MAX_RULE_SETS = 10;
+export const MAX_RULES = 200;
+export const MAX_ALLOWLIST = 200;
+const MAX_PATTERN_LENGTH = 200;
+// Time all of an account's regex rules get per text; rules still running
+// when it is used up are skipped
+const REGEX_TIME_BUDGET_MS = 50;
+
+// Quantified groups and backreferences are what lets a pattern backtrack
+// exponentially ("(a+)+$", "(a|aa)*"), so account regexes may not use them.
+// Tested against regexStructure(), so "[)]+" or "\)+" do not count.
+const UNSAFE_REGEX = /\)(?:[*+]|\{\d+,\d*\})|\\[1-9]|\\k</;
+
+// The pattern with each character class and escaped character (other than
+// a backreference) replaced by "x", leaving its groups and quantifiers
+function regexStructure(pattern) {
+  let structure = '';
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] === '\\') {
+      structure += /[1-9k]/.test(pattern[i + 1]) ? pattern.slice(i, i + 2) : 'x';
+      i++;
+    } else if (pattern[i] === '[') {
+      // The pattern compiled with the u flag, so the class ends at the first unescaped ]
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+      structure += 'x';
+    } else {
+      structure += pattern[i];
+    }
+  }
+  return structure;
+}
+
+// Score points per matched rule, and how findings are shown, per category
+const CATEGORY_DEFAULTS = {
+  spam: { weight: 10, severity: 'warning' },
+  overclaim: { weight: 20, severity: 'warning' },
+  personalization: { weight: 80, severity: 'warning' },
+};
+
+// ---------- Default Rules ----------
+
+// Rules are identified by category and pattern (and language, outside
+// English), so an account rule with the same id replaces the default
+export function ruleId(category, pattern, language = null) {
+  const id = `${category}:${String(pattern).trim().toLowerCase()}`;
+  return language && language !== DEFAULT_LANGUAGE ? `${language}:${id}` : id;
+}
+
+function defaultRule(language, category, pattern, type = /\s/.test(pattern) ? 'phrase' : 'word') {
+  return {
+    id: ruleId(category, pattern, language),
+    type,
+    pattern,
+    category,
+    language,
+    ...CATEGORY_DEFAULTS[category],
+    replacement: null,
+    enabled: true,
+    source: 'default',
+  };
+}
+
+export const DEFAULT_RULES = LANGUAGE_CODES.flatMap(language => {
+  const lexicon = LANGUAGES[language];
+  return [
+    ...lexicon.spamTriggers.map(p => defaultRule(language, 'spam', p)),
+    ...lexicon.overclaimPatterns.map(p => defaultRule(language, 'overclaim', p, p.includes('.*') ? 'regex' : undefined)),
+    ...lexicon.personalization.map(p => defaultRule(language, 'personalization', p)),
+  ];
+});
+
+// ---------- Rule Sets ----------
+
+function parseRule(input, index) {
+  const label = `Rule ${index + 1}`;
+  if (!input || typeof input !== 'object') return { error: `${label} must be an object` };
+
+  // A rule that only names a default (by id) can disable or reweight it;
+  // other ids are derived from category and pattern
+  const target = input.id ? DEFAULT_RULES.find(r => r.id === input.id) : null;
+  const category = input.category ?? target?.category;
+  if (!RULE_CATEGORIES.includes(category)) return { error: `${label}: category must be one of ${RULE_CATEGORIES.join(', ')}` };
+  const pattern = typeof input.pattern === 'string' ? input.pattern.trim() : target?.pattern;
+  if (!pattern || pattern.length > MAX_PATTERN_LENGTH) return { error: `${label}: pattern must be 1-${MAX_PATTERN_LENGTH} characters` };
+
+  const type = input.type ?? target?.type ?? (/\s/.test(pattern) ? 'phrase' : 'word');
+  if (!RULE_TYPES.includes(type)) return { error: `${label}: type must be one of ${RULE_TYPES.join(', ')}` };
+  if (type === 'word' && /\s/.test(pattern)) return { error: `${label}: a word rule cannot contain spaces – use a phrase` };
+  if (type === 'regex') {
+    try {
+      new RegExp(pattern, 'iu');
+    } catch (err) {
+      return { error: `${label}: invalid regex (${err.message})` };
+    }
+    if (UNSAFE_REGEX.test(regexStructure(pattern))) {
+      return { error: `${label}: regex rules cannot repeat a group or use backreferences` };
+    }
+  }
+
+  // Rules without a language apply to copy in any language
+  const language = input.language ?? target?.language ?? null;
+  if (language !== null && !LANGUAGE_CODES.includes(language)) return { error: `${label}: language must be one of ${LANGUAGE_CODES.join(', ')}` };
+
+  const defaults = CATEGORY_DEFAULTS[category];
+  const weight = input.weight ?? target?.weight ?? defaults.weight;
+  if (!Number.isInteger(weight) || weight < 0 || weight > 100) return { error: `${label}: weight must be an integer from 0 to 100` };
+  const severity = input.severity ?? target?.severity ?? defaults.severity;
+  if (!RULE_SEVERITIES.includes(severity)) return { error: `${label}: severity must be one of ${RULE_SEVERITIES.join(', ')}` };
+  if (input.replacement != null && (typeof input.replacement !== 'string' || input.replacement.length > MAX_PATTERN_LENGTH)) {
+    return { error: `${label}: replacement must be a string of at most ${MAX_PATTERN_LENGTH} characters` };
+  }
+
+  return {
+    rule: {
+      id: target ? target.id : ruleId(category, pattern, language),
+      type,
+      pattern,
+      category,
+      language,
+      weight,
+      severity,
+      replacement: input.replacement || null,
+      enabled: input.enabled !== false,
+    },
+  };
+}
+
+// Validates a rule set from a request body into table columns
+export function parseRuleSetInput(body = {}, { partial = false } = {}) {
+  const values = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 100) return { error: 'Name must be 1-100 characters' };
+    values.name = name;
+  }
+  if (body.rules !== undefined) {
+    if (!Array.isArray(body.rules)) return { error: 'rules must be an array' };
+    if (body.rules.length > MAX_RULES) return { error: `At most ${MAX_RULES} rules allowed` };
+    const rules = [];
+    for (const [index, input] of body.rules.entries()) {
+      const { rule, error } = parseRule(input, index);
+      if (error) return { error };
+      rules.push(rule);
+    }
+    values.rules = rules;
+  }
+  if (body.allowlist !== undefined) {
+    const allowlist = (Array.isArray(body.allowlist) ? body.allowlist : String(body.allowlist || '').split(','))
+      .map(term => String(term).trim().toLowerCase())
+      .filter(Boolean);
+    if (allowlist.length > MAX_ALLOWLIST) return { error: `At most ${MAX_ALLOWLIST} allowlisted terms allowed` };
+    if (allowlist.some(term => term.length > MAX_PATTERN_LENGTH)) return { error: `Allowlisted terms must be at most ${MAX_PATTERN_LENGTH} characters` };
+    values.allowlist = [...new Set(allowlist)];
+  }
+  if (body.blockedDomains !== undefined) {
+    const { values: blockedDomains, error } = parseBlockedDomains(body.blockedDomains);
+    if (error) return { error };
+    values.blocked_domains = blockedDomains;
+  }
+  if (body.active !== undefined) {
+    values.active = Boolean(body.active);
+  }
+  return { values };
+}
+
+export function formatRuleSet(ruleSet) {
+  return {
+    id: ruleSet.id,
+    name: ruleSet.name,
+    active: ruleSet.active,
+    rules: ruleSet.rules,
+    allowlist: ruleSet.allowlist,
+    blockedDomains: ruleSet.blocked_domains || [],
+    createdAt: ruleSet.created_at,
+    updatedAt: ruleSet.updated_at,
+  };
+}
+
+// The defaults with an account rule set applied: its rules replace defaults
+// with the same id or are added, disabled rules are dropped, and its blocked
+// link domains are passed on to the link analysis
+export function resolveRules(ruleSet = null) {
+  const overrides = new Map((ruleSet?.rules || []).map(rule => [rule.id, rule]));
+  const rules = DEFAULT_RULES.map(rule => (overrides.has(rule.id) ? { ...overrides.get(rule.id), source: 'account' } : rule));
+  overrides.forEach((rule, id) => {
+    if (!DEFAULT_RULES.some(r => r.id === id)) rules.push({ ...rule, source: 'account' });
+  });
+  return {
+    ruleSet: ruleSet ? { id: ruleSet.id, name: ruleSet.name } : null,
+    rules: rules.filter(rule => rule.enabled),
+    allowlist: new Set(ruleSet?.allowlist || []),
+    blockedDomains: ruleSet?.blocked_domains || [],
+  };
+}
+
+// The rule set to apply for an account: the one asked for, or its active set
+export async function loadRuleSet(supabase, userId, ruleSetId = null) {
+  let query = supabase
+    .from('copy_rule_sets')
+    .select('*')
+    .eq('user_id', userId);
+  query = ruleSetId ? query.eq('id', ruleSetId) : query.eq('active', true);
+
+  const { data, error } = await query.maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// ---------- Matching ----------
+
+function compileRule(rule) {
+  if (rule.type === 'regex') {
+    // Rule sets saved before Unicode matching may use escapes the 'u' flag rejects
+    try {
+      return new RegExp(rule.pattern, 'giu');
+    } catch {
+      return new RegExp(rule.pattern, 'gi');
+    }
+  }
+  // Words and phrases match whole words only, so "free" does not flag
+  // "freedom" and "gratis" does not flag "gratisprobe"; letters of any script
+  // count as word characters
+  const escaped = rule.pattern.normalize('NFC').replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, 'giu');
+}
+
+// Account regexes run in their own context with a time limit, which also
+// covers rule sets saved before unsafe patterns were rejected
+const regexContext = vm.createContext({});
+const matchScript = new vm.Script('Array.from(text.matchAll(pattern), m => m[0])');
+
+function ruleMatches(text, rule, deadline) {
+  const pattern = compileRule(rule);
+  if (rule.type !== 'regex' || rule.source === 'default') {
+    return [...text.matchAll(pattern)].map(m => m[0]);
+  }
+  Object.assign(regexContext, { text, pattern });
+  try {
+    return matchScript.runInContext(regexContext, { timeout: Math.max(1, deadline - Date.now()) });
+  } catch (err) {
+    if (err.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw err;
+    console.error(`Copy rule ${rule.id} timed out`);
+    return [];
+  } finally {
+    Object.assign(regexContext, { text: null, pattern: null });
+  }
+}
+
+// One finding per rule that matched, naming the rule and the matched text.
+// Only rules for `language` (or for any language) are applied.
+export function applyRules(text, resolved, language = DEFAULT_LANGUAGE) {
+  const normalized = String(text).normalize('NFC');
+  const deadline = Date.now() + REGEX_TIME_BUDGET_MS;
+  const findings = [];
+  resolved.rules.forEach(rule => {
+    if (rule.language && rule.language !== language) return;
+    if (resolved.allowlist.has(rule.pattern.toLowerCase())) return;
+    const matches = ruleMatches(normalized, rule, deadline)
+      .filter(match => match && !resolved.allowlist.has(match.trim().toLowerCase()));
+    if (!matches.length) return;
+    findings.push({
+      ruleId: rule.id,
+      source: rule.source,
+      language: rule.language || null,
+      category: rule.category,
+      severity: rule.severity,
+      weight: rule.weight,
+      matches: [...new Set(matches.map(m => m.toLocaleLowerCase().replace(/\s+/g, ' ')))],
+      count: matches.length,
+      replacement: rule.replacement,
+    });
+  });
+  return findings;
+}
@@ -0,0 +1,250 @@
+import crypto from 'crypto';
+import { fetchDKIMRecord, parseDKIM } from './dkim.js';
+import { parseDkimSignatureHeader } from './header-analysis.js';
+import { getHeaders } from './message.js';
+
+// DKIM signature verification of a submitted message (RFC 6376 section 6,
+// RFC 8463 for Ed25519).
+
+const SUPPORTED_ALGORITHMS = ['rsa-sha256', 'rsa-sha1', 'ed25519-sha256'];
+const REQUIRED_TAGS = ['v', 'a', 'b', 'bh', 'd', 'h', 's'];
+
+// DER prefix that turns a raw 32-byte Ed25519 key into SubjectPublicKeyInfo
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+export const VERIFY_RECOMMENDATIONS = {
+  'dkim-verify-body-modified': 'Something changed the body after signing – turn off link rewriting, tracking or footers added after the DKIM signature, or have them applied before signing.',
+  'dkim-verify-header-mismatch': 'A signed header was changed after signing – check relays, mailing lists or gateways that rewrite Subject, From or other signed headers.',
+  'dkim-verify-expired': 'Raise or drop the signature expiration (x=) so signatures stay valid while mail is queued.',
+  'dkim-verify-key-missing': 'Publish the DKIM public key for the selector used in the signature.',
+  'dkim-verify-key-revoked': 'Your sender still signs with a revoked key – update the signing key in your sending platform.',
+  'dkim-verify-key-invalid': 'Republish the DKIM public key – the record in DNS cannot be decoded.',
+  'dkim-verify-key-type': 'Publish a key whose type (k=) matches the signing algorithm.',
+  'dkim-verify-algorithm': 'Sign with rsa-sha256 or ed25519-sha256.',
+  'dkim-verify-sha1': 'Switch DKIM signing from rsa-sha1 to rsa-sha256.',
+  'dkim-verify-syntax': 'Fix the DKIM-Signature header produced by your sending platform.',
+  'dkim-verify-body-length': 'Stop using the DKIM l= tag – content after the signed length is unprotected.',
+  'dkim-verify-body-truncated': 'The body is shorter than the signed length (l=) – something removed content after signing.',
+  'dkim-verify-unsigned-header': 'Over-sign headers such as From and Subject (list them one extra time in h=) so extra copies cannot be added.',
+};
+
+function finding(code, severity, message) {
+  return { code, severity, message };
+}
+
+// ---------- Canonicalization ----------
+
+export function canonicalizeHeader(raw, mode) {
+  if (mode === 'simple') return `${raw}\r\n`;
+  const colon = raw.indexOf(':');
+  const name = raw.slice(0, colon).trim().toLowerCase();
+  const value = raw.slice(colon + 1).replace(/\r\n/g, '').replace(/[ \t]+/g, ' ').trim();
+  return `${name}:${value}\r\n`;
+}
+
+export function canonicalizeBody(body, mode) {
+  let text = body;
+  if (mode === 'relaxed') {
+    text = text.split('\r\n').map(line => line.replace(/[ \t]+/g, ' ').replace(/ $/, '')).join('\r\n');
+  }
+  text = text.replace(/(\r\n)*$/, '');
+  // An empty body is CRLF under simple and nothing under relaxed
+  if (!text) return mode === 'simple' ? '\r\n' : '';
+  return `${text}\r\n`;
+}
+
+// Picks the header instances named in h=, each taken from the bottom up
+// (RFC 6376 section 5.4.2); names without a remaining instance sign as empty
+function selectSignedHeaders(headers, signedNames) {
+  const used = new Set();
+  return signedNames.map(name => {
+    const instances = getHeaders(headers, name).filter(h => !used.has(h));
+    const header = instances[instances.length - 1];
+    if (header) used.add(header);
+    return header || null;
+  });
+}
+
+// The signature header itself is signed with an empty b= value
+function stripSignatureValue(raw) {
+  return raw.replace(/(^|;)([ \t\r\n]*b[ \t\r\n]*=)[^;]*/i, '$1$2');
+}
+
+// ---------- Keys ----------
+
+function createKey(keyType, p) {
+  const der = Buffer.from(p, 'base64');
+  if (keyType === 'ed25519') {
+    return crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, der]), format: 'der', type: 'spki' });
+  }
+  for (const type of ['spki', 'pkcs1']) {
+    try {
+      return crypto.createPublicKey({ key: der, format: 'der', type });
+    } catch (err) {
+      // Try the next encoding
+    }
+  }
+  throw new Error('Public key could not be decoded');
+}
+
+async function lookupKey(resolver, selector, domain) {
+  let record;
+  try {
+    record = await fetchDKIMRecord(resolver, selector, domain);
+  } catch (err) {
+    return { error: finding('dkim-verify-key-lookup', 'warning', `Key lookup for ${selector}._domainkey.${domain} failed: ${err.message}`), result: 'temperror' };
+  }
+  if (!record) {
+    return { error: finding('dkim-verify-key-missing', 'fail', `No key published at ${selector}._domainkey.${domain}`), result: 'permerror' };
+  }
+  const parsed = parseDKIM(record);
+  if (parsed.revoked) {
+    return { error: finding('dkim-verify-key-revoked', 'fail', `Key ${selector}._domainkey.${domain} has been revoked`), result: 'permerror' };
+  }
+  try {
+    return { record, parsed, key: createKey(parsed.keyType, parsed.tags.p) };
+  } catch (err) {
+    return { error: finding('dkim-verify-key-invalid', 'fail', `Key ${selector}._domainkey.${domain} is invalid: ${err.message}`), result: 'permerror' };
+  }
+}
+
+// ---------- Verification ----------
+
+// Verifies one DKIM-Signature header against the message
+export async function verifySignature(message, signatureHeader, { resolver, now = new Date() } = {}) {
+  const sig = parseDkimSignatureHeader(signatureHeader.value);
+  const { tags } = sig;
+  const result = {
+    domain: sig.domain,
+    selector: sig.selector,
+    algorithm: sig.algorithm,
+    canonicalization: `${sig.canonicalization.header}/${sig.canonicalization.body}`,
+    signedHeaders: sig.signedHeaders,
+    bodyHashMatches: null,
+    signatureValid: null,
+    keyBits: null,
+    result: 'neutral',
+    findings: [],
+  };
+  const fail = (status, ...findings) => {
+    result.findings.push(...findings);
+    return { ...result, result: status };
+  };
+
+  // Tags
+  const missing = REQUIRED_TAGS.filter(tag => !tags[tag]);
+  if (missing.length) {
+    return fail('permerror', finding('dkim-verify-syntax', 'fail', `Signature is missing required tag(s): ${missing.join(', ')}`));
+  }
+  if (tags.v !== '1') {
+    return fail('permerror', finding('dkim-verify-syntax', 'fail', `Unsupported signature version v=${tags.v}`));
+  }
+  if (!SUPPORTED_ALGORITHMS.includes(sig.algorithm)) {
+    return fail('permerror', finding('dkim-verify-algorithm', 'fail', `Unsupported algorithm a=${tags.a}`));
+  }
+  if (!['simple', 'relaxed'].includes(sig.canonicalization.header) || !['simple', 'relaxed'].includes(sig.canonicalization.body)) {
+    return fail('permerror', finding('dkim-verify-syntax', 'fail', `Unsupported canonicalization c=${tags.c}`));
+  }
+  if (!sig.signedHeaders.includes('from')) {
+    return fail('permerror', finding('dkim-verify-syntax', 'fail', 'Signature does not cover the From header'));
+  }
+  if (sig.identity) {
+    const identityDomain = sig.identity.slice(sig.identity.lastIndexOf('@') + 1).toLowerCase();
+    if (identityDomain !== sig.domain && !identityDomain.endsWith(`.${sig.domain}`)) {
+      return fail('permerror', finding('dkim-verify-syntax', 'fail', `Identity i=${sig.identity} is not within d=${sig.domain}`));
+    }
+  }
+  if (sig.expiration !== null && sig.expiration * 1000 < now.getTime()) {
+    result.findings.push(finding('dkim-verify-expired', 'fail', `Signature expired on ${new Date(sig.expiration * 1000).toISOString()} (x=)`));
+  }
+  if (sig.algorithm === 'rsa-sha1') {
+    result.findings.push(finding('dkim-verify-sha1', 'warning', 'rsa-sha1 signatures are no longer trusted by major receivers'));
+  }
+
+  // Extra copies of a signed header are not covered by the signature and
+  // let a relay or attacker change what the recipient sees
+  const listed = sig.signedHeaders.reduce((counts, name) => ({ ...counts, [name]: (counts[name] || 0) + 1 }), {});
+  Object.entries(listed).forEach(([name, count]) => {
+    const present = getHeaders(message.headers, name).length;
+    if (present > count) {
+      result.findings.push(finding('dkim-verify-unsigned-header', 'warning', `Message has ${present} ${name} headers but only ${count} signed`));
+    }
+  });
+
+  // Body
+  const hashAlgorithm = sig.algorithm.endsWith('sha1') ? 'sha1' : 'sha256';
+  let body = canonicalizeBody(message.body, sig.canonicalization.body);
+  if (sig.bodyLength !== null) {
+    const bytes = Buffer.from(body);
+    if (sig.bodyLength > bytes.length) {
+      return fail('permerror', finding('dkim-verify-body-truncated', 'fail', `l=${sig.bodyLength} is longer than the body (${bytes.length} bytes)`));
+    }
+    if (sig.bodyLength < bytes.length) {
+      result.findings.push(finding('dkim-verify-body-length', 'warning', `Only the first ${sig.bodyLength} of ${bytes.length} body bytes are signed (l=)`));
+    }
+    body = bytes.subarray(0, sig.bodyLength);
+  }
+  const bodyHash = crypto.createHash(hashAlgorithm).update(body).digest('base64');
+  result.bodyHashMatches = bodyHash === tags.bh;
+
+  // Headers
+  const headerCanon = sig.canonicalization.header;
+  const signedData = selectSignedHeaders(message.headers, sig.signedHeaders)
+    .filter(Boolean)
+    .map(h => canonicalizeHeader(h.raw, headerCanon))
+    .join('')
+    // The signature header goes last, without its trailing CRLF
+    + canonicalizeHeader(stripSignatureValue(signatureHeader.raw), headerCanon).replace(/\r\n$/, '');
+
+  // Key
+  const lookup = await lookupKey(resolver, sig.selector, sig.domain);
+  if (lookup.error) return fail(lookup.result, lookup.error);
+  result.keyBits = lookup.parsed.keyBits;
+  if (lookup.parsed.keyType !== sig.keyType) {
+    return fail('permerror', finding('dkim-verify-key-type', 'fail', `Key is ${lookup.parsed.keyType} but the signature uses ${sig.algorithm}`));
+  }
+  if (lookup.parsed.testing) {
+    result.findings.push(finding('dkim-verify-testing', 'info', 'Key is in testing mode (t=y) – receivers may ignore the result'));
+  }
+
+  const signature = Buffer.from(tags.b, 'base64');
+  try {
+    result.signatureValid = sig.keyType === 'ed25519'
+      // Ed25519 signs the SHA-256 hash of the header data
+      ? crypto.verify(null, crypto.createHash('sha256').update(signedData).digest(), lookup.key, signature)
+      : crypto.verify(hashAlgorithm, Buffer.from(signedData), lookup.key, signature);
+  } catch (err) {
+    result.signatureValid = false;
+  }
+
+  // Explanation
+  if (!result.bodyHashMatches) {
+    result.findings.push(finding('dkim-verify-body-modified', 'fail', 'Body hash does not match – the body was changed after signing (e.g. link rewriting, footers or re-encoding)'));
+  }
+  if (!result.signatureValid) {
+    result.findings.push(finding('dkim-verify-header-mismatch', 'fail', result.bodyHashMatches
+      ? `Signature does not verify – one of the signed headers (${sig.signedHeaders.join(', ')}) was changed, added or removed after signing`
+      : 'Signature does not verify over the signed headers'));
+  }
+
+  const failed = result.findings.some(f => f.severity === 'fail');
+  return { ...result, result: failed ? 'fail' : 'pass' };
+}
+
+export async function verifyMessageSignatures(message, options = {}) {
+  const signatures = getHeaders(message.headers, 'DKIM-Signature');
+  const results = [];
+  for (const header of signatures) {
+    results.push(await verifySignature(message, header, options));
+  }
+
+  let status = 'pass';
+  if (!results.length) status = 'fail';
+  else if (!results.some(r => r.result === 'pass')) status = 'fail';
+  else if (results.some(r => r.result !== 'pass')) status = 'warning';
+  return {
+    signatures: results,
+    passing: results.filter(r => r.result === 'pass').map(r => r.domain),
+    status,
+  };
+}
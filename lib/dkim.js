@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import { mapWithConcurrency } from './concurrency.js';
+
+// DKIM selector discovery and key analysis (RFC 6376 section 3.6.1).
+
+// Well-known selectors keyed by the provider that publishes them
+export const PROVIDER_SELECTORS = {
+  generic: ['default', 'dkim', 'mail', 'email', 'smtp', 'selector', 'key1', 'key2', 'dkim1', 'dkim2', 'x'],
+  google: ['google', 'google2048'],
+  microsoft365: ['selector1', 'selector2'],
+  sendgrid: ['s1', 's2', 'smtpapi', 'em'],
+  mailgun: ['k1', 'k2', 'k3', 'mx', 'mailo', 'krs', 'pic', 'smtp'],
+  mailchimp: ['k1', 'k2', 'k3', 'mandrill', 'mte1', 'mte2'],
+  amazonses: ['amazonses'],
+  postmark: ['pm', 'pm-bounces'],
+  sparkpost: ['scph0117', 'scph1017', 'sparkpost'],
+  brevo: ['mail', 'sib', 'brevo1', 'brevo2'],
+  mailjet: ['mailjet'],
+  zoho: ['zoho', 'zmail', 'zoho1'],
+  fastmail: ['fm1', 'fm2', 'fm3'],
+  protonmail: ['protonmail', 'protonmail2', 'protonmail3'],
+  yahoo: ['s1024', 's2048'],
+  hubspot: ['hs1', 'hs2'],
+  salesforce: ['sf1', 'sf2'],
+  klaviyo: ['kl', 'kl2'],
+  constantcontact: ['ctct1', 'ctct2'],
+  zendesk: ['zendesk1', 'zendesk2'],
+  mailerlite: ['ml', 'ml2', 'litesrv'],
+  instantly: ['instantly'],
+};
+
+const MAX_PARALLEL_LOOKUPS = 10;
+export const MAX_CUSTOM_SELECTORS = 20;
+
+const SELECTOR_PATTERN = /^[a-z0-9](?:[a-z0-9_-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9_-]*[a-z0-9])?)*$/i;
+
+export function isValidSelector(selector) {
+  return typeof selector === 'string' && selector.length <= 63 && SELECTOR_PATTERN.test(selector);
+}
+
+// ---------- Parsing ----------
+
+// Decodes the p= key and returns its type and size in bits
+export function analyzeKey(keyType, publicKey) {
+  const der = Buffer.from(publicKey, 'base64');
+  if (keyType === 'ed25519') {
+    return der.length === 32 ? { bits: 256, error: null } : { bits: null, error: 'Ed25519 key must be 32 bytes' };
+  }
+  for (const type of ['spki', 'pkcs1']) {
+    try {
+      const key = crypto.createPublicKey({ key: der, format: 'der', type });
+      return { bits: key.asymmetricKeyDetails?.modulusLength ?? null, error: null };
+    } catch (err) {
+      // Try the next encoding
+    }
+  }
+  return { bits: null, error: 'Public key could not be decoded' };
+}
+
+export function parseDKIM(record) {
+  const tags = {};
+  record.split(';').map(part => part.trim()).filter(Boolean).forEach(pair => {
+    const eq = pair.indexOf('=');
+    if (eq === -1) return;
+    tags[pair.slice(0, eq).trim().toLowerCase()] = pair.slice(eq + 1).replace(/\s+/g, '');
+  });
+
+  const keyType = (tags.k || 'rsa').toLowerCase();
+  const flags = (tags.t || '').split(':').map(f => f.trim().toLowerCase());
+  const revoked = tags.p === '';
+  const findings = [];
+  let keyBits = null;
+
+  if (tags.v && tags.v !== 'DKIM1') {
+    findings.push({ code: 'dkim-syntax', severity: 'fail', message: `Unsupported version "v=${tags.v}"` });
+  }
+  if (tags.p === undefined) {
+    findings.push({ code: 'dkim-syntax', severity: 'fail', message: 'Record has no public key (p=)' });
+  } else if (revoked) {
+    findings.push({ code: 'dkim-revoked', severity: 'warning', message: 'Key has been revoked (empty p=)' });
+  } else if (!['rsa', 'ed25519'].includes(keyType)) {
+    findings.push({ code: 'dkim-key-type', severity: 'fail', message: `Unsupported key type "k=${keyType}"` });
+  } else {
+    const key = analyzeKey(keyType, tags.p);
+    keyBits = key.bits;
+    if (key.error) {
+      findings.push({ code: 'dkim-key-invalid', severity: 'fail', message: key.error });
+    } else if (keyType === 'rsa' && keyBits < 1024) {
+      findings.push({ code: 'dkim-key-weak', severity: 'fail', message: `${keyBits}-bit RSA key is too weak and is rejected by major receivers` });
+    } else if (keyType === 'rsa' && keyBits === 1024) {
+      findings.push({ code: 'dkim-key-1024', severity: 'warning', message: '1024-bit RSA key – rotate to 2048 bits' });
+    }
+  }
+  if (flags.includes('y')) {
+    findings.push({ code: 'dkim-testing', severity: 'warning', message: 'Testing mode (t=y) – receivers may treat signatures as unsigned' });
+  }
+
+  return {
+    tags,
+    keyType,
+    keyBits,
+    testing: flags.includes('y'),
+    strictSubdomains: flags.includes('s'),
+    revoked,
+    findings,
+  };
+}
+
+// ---------- Discovery ----------
+
+function selectorCandidates(customSelectors) {
+  const candidates = new Map();
+  customSelectors.forEach(selector => candidates.set(selector.toLowerCase(), 'custom'));
+  Object.entries(PROVIDER_SELECTORS).forEach(([provider, selectors]) => {
+    selectors.forEach(selector => {
+      if (!candidates.has(selector)) candidates.set(selector, provider);
+    });
+  });
+  return [...candidates.entries()].map(([selector, provider]) => ({ selector, provider }));
+}
+
+export async function fetchDKIMRecord(resolver, selector, domain) {
+  const result = await resolver.resolveTXT(`${selector}._domainkey.${domain}`);
+  // A key record may omit v=, so accept anything carrying a p= tag
+  const answer = result.answers.find(ans => /(^|;)\s*p\s*=/i.test(ans.value) || ans.value.includes('v=DKIM1'));
+  return answer ? answer.value : null;
+}
+
+export async function discoverDKIM(domain, { resolver, selectors = [] } = {}) {
+  const candidates = selectorCandidates(selectors);
+
+  const lookups = await mapWithConcurrency(candidates, MAX_PARALLEL_LOOKUPS, async ({ selector, provider }) => {
+    try {
+      const record = await fetchDKIMRecord(resolver, selector, domain);
+      return record ? { selector, provider, record, ...parseDKIM(record) } : null;
+    } catch (err) {
+      // Ignore individual selector failures; continue checking others
+      return null;
+    }
+  });
+
+  const found = lookups.filter(Boolean).map(entry => ({
+    ...entry,
+    status: entry.findings.some(f => f.severity === 'fail') ? 'fail'
+      : entry.findings.some(f => f.severity === 'warning') ? 'warning'
+        : 'pass',
+  }));
+  const missingCustom = selectors.filter(s => !found.some(f => f.selector === s.toLowerCase()));
+
+  // Revoked keys are retired selectors; only live keys affect the status
+  const active = found.filter(entry => !entry.revoked);
+
+  const findings = [];
+  if (found.length === 0) {
+    findings.push({ code: 'dkim-missing', severity: 'fail', message: `No DKIM record found (${candidates.length} selectors checked)` });
+  } else if (active.length === 0) {
+    findings.push({ code: 'dkim-all-revoked', severity: 'fail', message: 'Every DKIM key found has been revoked' });
+  } else if (active.every(entry => entry.status === 'fail')) {
+    findings.push({ code: 'dkim-no-usable-key', severity: 'fail', message: 'No DKIM key found is usable for signing' });
+  }
+  missingCustom.forEach(selector => {
+    findings.push({ code: 'dkim-selector-missing', severity: 'warning', message: `Selector "${selector}" has no DKIM record` });
+  });
+
+  const status = findings.some(f => f.severity === 'fail') ? 'fail'
+    : findings.length || active.some(entry => entry.status !== 'pass') ? 'warning'
+      : 'pass';
+
+  return {
+    selectorsChecked: candidates.length,
+    found,
+    status,
+    findings,
+  };
+}
@@ -0,0 +1,216 @@
+import psl from 'psl';
+
+// DMARC record parsing, policy discovery and grading per RFC 7489.
+
+const POLICIES = ['none', 'quarantine', 'reject'];
+const KNOWN_TAGS = ['v', 'p', 'sp', 'np', 'pct', 'rua', 'ruf', 'adkim', 'aspf', 'fo', 'ri', 'rf'];
+
+// ---------- Parsing ----------
+
+function parseReportURIs(value) {
+  return value.split(',').map(raw => {
+    const uri = raw.trim();
+    // Optional size limit suffix, e.g. mailto:dmarc@example.com!10m
+    const match = uri.match(/^mailto:([^!@\s]+@([^!\s]+))(?:!(\d+[kmgt]?))?$/i);
+    if (!match) return { uri, valid: false, address: null, domain: null };
+    return { uri, valid: true, address: match[1], domain: match[2].toLowerCase(), sizeLimit: match[3] || null };
+  });
+}
+
+export function parseDMARC(record) {
+  const tags = {};
+  const errors = [];
+  const warnings = [];
+
+  const pairs = record.split(';').map(part => part.trim()).filter(Boolean);
+  pairs.forEach((pair, index) => {
+    const eq = pair.indexOf('=');
+    if (eq === -1) {
+      errors.push({ code: 'dmarc-syntax', message: `Malformed tag "${pair}"` });
+      return;
+    }
+    const name = pair.slice(0, eq).trim().toLowerCase();
+    const value = pair.slice(eq + 1).trim();
+    if (index === 0 && name !== 'v') {
+      errors.push({ code: 'dmarc-syntax', message: 'Record must start with "v=DMARC1"' });
+    }
+    if (name in tags) {
+      errors.push({ code: 'dmarc-syntax', message: `Tag "${name}" appears more than once` });
+    }
+    if (!KNOWN_TAGS.includes(name)) {
+      warnings.push({ code: 'dmarc-unknown-tag', message: `Unknown tag "${name}" is ignored` });
+    }
+    tags[name] = value;
+  });
+
+  if (tags.v !== 'DMARC1') {
+    errors.push({ code: 'dmarc-syntax', message: 'Version must be "v=DMARC1"' });
+  }
+  if (!tags.p) {
+    errors.push({ code: 'dmarc-syntax', message: 'Required policy tag "p" is missing' });
+  } else if (!POLICIES.includes(tags.p.toLowerCase())) {
+    errors.push({ code: 'dmarc-syntax', message: `Invalid policy "p=${tags.p}"` });
+  }
+  ['sp', 'np'].forEach(name => {
+    if (tags[name] && !POLICIES.includes(tags[name].toLowerCase())) {
+      errors.push({ code: 'dmarc-syntax', message: `Invalid policy "${name}=${tags[name]}"` });
+    }
+  });
+  if (tags.pct !== undefined && !/^(100|[1-9]?\d)$/.test(tags.pct)) {
+    errors.push({ code: 'dmarc-syntax', message: `"pct" must be an integer from 0 to 100 (got "${tags.pct}")` });
+  }
+  ['adkim', 'aspf'].forEach(name => {
+    if (tags[name] && !['r', 's'].includes(tags[name].toLowerCase())) {
+      errors.push({ code: 'dmarc-syntax', message: `"${name}" must be "r" or "s"` });
+    }
+  });
+  if (tags.fo && !tags.fo.split(':').every(opt => ['0', '1', 'd', 's'].includes(opt.trim().toLowerCase()))) {
+    errors.push({ code: 'dmarc-syntax', message: `Invalid failure reporting options "fo=${tags.fo}"` });
+  }
+  if (tags.ri !== undefined && !/^\d+$/.test(tags.ri)) {
+    errors.push({ code: 'dmarc-syntax', message: '"ri" must be a number of seconds' });
+  }
+
+  const rua = tags.rua ? parseReportURIs(tags.rua) : [];
+  const ruf = tags.ruf ? parseReportURIs(tags.ruf) : [];
+  [...rua, ...ruf].filter(u => !u.valid).forEach(u => {
+    errors.push({ code: 'dmarc-syntax', message: `Invalid reporting URI "${u.uri}"` });
+  });
+
+  const p = tags.p?.toLowerCase() || null;
+  return {
+    tags,
+    policy: {
+      p,
+      sp: tags.sp?.toLowerCase() || p,
+      pct: tags.pct !== undefined ? Number(tags.pct) : 100,
+      adkim: tags.adkim?.toLowerCase() || 'r',
+      aspf: tags.aspf?.toLowerCase() || 'r',
+      fo: tags.fo || '0',
+      ri: tags.ri !== undefined ? Number(tags.ri) : 86400,
+    },
+    rua,
+    ruf,
+    errors,
+    warnings,
+  };
+}
+
+// ---------- Discovery ----------
+
+export function organizationalDomain(domain) {
+  return psl.get(domain.toLowerCase().replace(/\.$/, '')) || domain.toLowerCase();
+}
+
+async function fetchDMARCRecords(resolver, domain) {
+  try {
+    const result = await resolver.resolveTXT(`_dmarc.${domain}`);
+    return result.answers
+      .map(ans => ans.value)
+      .filter(value => /^v\s*=\s*DMARC1\s*(;|$)/i.test(value.trim()));
+  } catch (err) {
+    console.error(`DMARC resolution error for ${domain}:`, err);
+    return [];
+  }
+}
+
+// RFC 7489 section 7.1: a report receiver on another organizational domain
+// must publish <policy-domain>._report._dmarc.<receiver-domain>
+async function checkExternalReporting(resolver, policyDomain, uris) {
+  const orgDomain = organizationalDomain(policyDomain);
+  return Promise.all(uris.filter(u => u.valid).map(async u => {
+    const external = organizationalDomain(u.domain) !== orgDomain;
+    if (!external) return { uri: u.uri, domain: u.domain, external, authorized: true };
+    try {
+      const result = await resolver.resolveTXT(`${policyDomain}._report._dmarc.${u.domain}`);
+      const authorized = result.answers.some(ans => /^v\s*=\s*DMARC1/i.test(ans.value.trim()));
+      return { uri: u.uri, domain: u.domain, external, authorized };
+    } catch (err) {
+      return { uri: u.uri, domain: u.domain, external, authorized: false };
+    }
+  }));
+}
+
+// ---------- Grading ----------
+
+export function gradeDMARC(result) {
+  const findings = [];
+  if (!result.record) {
+    findings.push({ code: 'dmarc-missing', severity: 'fail', message: 'No DMARC record found' });
+  } else {
+    result.errors.forEach(e => findings.push({ ...e, severity: 'fail' }));
+    const policy = result.inherited ? result.policy.sp : result.policy.p;
+    if (policy === 'none') {
+      findings.push({ code: 'dmarc-policy-none', severity: 'warning', message: 'Policy is p=none – failing mail is only monitored, not blocked' });
+    }
+    if (result.policy.pct < 100) {
+      findings.push({ code: 'dmarc-partial-pct', severity: 'warning', message: `Policy only applies to ${result.policy.pct}% of failing mail` });
+    }
+    if (!result.inherited && result.policy.sp === 'none' && result.policy.p !== 'none') {
+      findings.push({ code: 'dmarc-subdomain-none', severity: 'warning', message: 'Subdomain policy sp=none leaves subdomains unprotected' });
+    }
+    if (!result.rua.length) {
+      findings.push({ code: 'dmarc-no-rua', severity: 'warning', message: 'No aggregate reporting address (rua) – you will not see who sends as your domain' });
+    }
+    result.reporting.filter(r => r.external && !r.authorized).forEach(r => {
+      findings.push({
+        code: 'dmarc-report-unauthorized',
+        severity: 'warning',
+        message: `${r.domain} has not authorized reports for ${result.policyDomain} (missing ${result.policyDomain}._report._dmarc.${r.domain})`,
+      });
+    });
+    result.warnings.forEach(w => findings.push({ ...w, severity: 'warning' }));
+  }
+
+  const status = findings.some(f => f.severity === 'fail') ? 'fail'
+    : findings.some(f => f.severity === 'warning') ? 'warning'
+      : 'pass';
+  return { status, findings };
+}
+
+// ---------- Public API ----------
+
+export async function checkDMARC(domain, { resolver }) {
+  const orgDomain = organizationalDomain(domain);
+
+  let policyDomain = domain;
+  let records = await fetchDMARCRecords(resolver, domain);
+  if (records.length === 0 && orgDomain !== domain) {
+    policyDomain = orgDomain;
+    records = await fetchDMARCRecords(resolver, orgDomain);
+  }
+
+  const result = {
+    domain,
+    organizationalDomain: orgDomain,
+    policyDomain: records.length ? policyDomain : null,
+    inherited: records.length > 0 && policyDomain !== domain,
+    record: records[0] || null,
+    tags: {},
+    policy: null,
+    rua: [],
+    ruf: [],
+    reporting: [],
+    errors: [],
+    warnings: [],
+  };
+
+  if (records.length > 1) {
+    result.errors.push({ code: 'dmarc-multiple-records', message: `${policyDomain} publishes ${records.length} DMARC records, so receivers ignore all of them` });
+  }
+
+  if (result.record) {
+    const parsed = parseDMARC(result.record);
+    Object.assign(result, {
+      tags: parsed.tags,
+      policy: parsed.policy,
+      rua: parsed.rua,
+      ruf: parsed.ruf,
+      errors: [...result.errors, ...parsed.errors],
+      warnings: parsed.warnings,
+    });
+    result.reporting = await checkExternalReporting(resolver, policyDomain, [...parsed.rua, ...parsed.ruf]);
+  }
+
+  return { ...result, ...gradeDMARC(result) };
+}
@@ -0,0 +1,192 @@
+import whois from 'whois-json';
+import { promisify } from 'util';
+import { createResolver } from './resolver.js';
+import { collectNetworks, evaluateSPF } from './spf.js';
+import { checkDMARC } from './dmarc.js';
+import { discoverDKIM } from './dkim.js';
+import { checkReputation } from './reputation.js';
+import { checkMtaSts, checkTlsRpt } from './mta-sts.js';
+import { checkBIMI } from './bimi.js';
+import { defaultFetcher } from './fetcher.js';
+import { probeMX } from './smtp-probe.js';
+import { evaluateDomain } from './verdict.js';
+
+// The full domain readiness check, shared by single and bulk checks.
+
+const resolver = createResolver();
+const whoisPromisified = promisify(whois);
+
+export const DOMAIN_PATTERN = /^([a-z0-9]+(-[a-z0-9]+)*\.)+[a-z]{2,}$/i;
+
+// Accepts pasted URLs/emails and reduces them to a bare domain
+export function normalizeDomain(input) {
+  return String(input || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^[^@/]*@/, '')
+    .replace(/^www\./, '')
+    .replace(/[/?#:].*$/, '')
+    .replace(/\.$/, '');
+}
+
+// ---------- Helper Functions ----------
+
+async function resolveMX(domain) {
+  try {
+    const result = await resolver.resolveMX(domain);
+    return result.answers.map(ans => ({
+      exchange: ans.exchange,
+      priority: ans.priority
+    }));
+  } catch (err) {
+    console.error(`MX resolution error for ${domain}:`, err);
+    return []; // Return empty array on failure
+  }
+}
+
+async function resolveSPF(domain, ip) {
+  try {
+    return await evaluateSPF(domain, { resolver, ip });
+  } catch (err) {
+    console.error(`SPF evaluation error for ${domain}:`, err);
+    return null;
+  }
+}
+
+async function resolveDKIM(domain, selectors) {
+  try {
+    return await discoverDKIM(domain, { resolver, selectors });
+  } catch (err) {
+    console.error(`DKIM discovery error for ${domain}:`, err);
+    return null;
+  }
+}
+
+async function resolveDMARC(domain) {
+  try {
+    return await checkDMARC(domain, { resolver });
+  } catch (err) {
+    console.error(`DMARC check error for ${domain}:`, err);
+    return null;
+  }
+}
+
+async function resolveReputation(domain, mx, spf, includeSpfIps) {
+  try {
+    const spfNetworks = includeSpfIps && spf ? collectNetworks(spf.tree) : [];
+    return await checkReputation(domain, { resolver, mx, spfNetworks });
+  } catch (err) {
+    console.error(`Reputation check error for ${domain}:`, err);
+    return null;
+  }
+}
+
+async function resolveMtaSts(domain, mx, fetcher) {
+  try {
+    return await checkMtaSts(domain, { resolver, fetcher, mx });
+  } catch (err) {
+    console.error(`MTA-STS check error for ${domain}:`, err);
+    return null;
+  }
+}
+
+async function resolveTlsRpt(domain) {
+  try {
+    return await checkTlsRpt(domain, { resolver });
+  } catch (err) {
+    console.error(`TLS-RPT check error for ${domain}:`, err);
+    return null;
+  }
+}
+
+async function resolveBIMI(domain, dmarc, fetcher) {
+  try {
+    return await checkBIMI(domain, { resolver, fetcher, dmarc });
+  } catch (err) {
+    console.error(`BIMI check error for ${domain}:`, err);
+    return null;
+  }
+}
+
+async function resolveSmtpProbe(domain, mx, options) {
+  try {
+    return await probeMX(mx, { resolver, ...options });
+  } catch (err) {
+    console.error(`SMTP probe error for ${domain}:`, err);
+    return null;
+  }
+}
+
+function parseWhoisDate(value) {
+  if (!value) return null;
+  const date = new Date(Array.isArray(value) ? value[0] : value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+async function getDomainAge(domain) {
+  try {
+    const whoisData = await whoisPromisified(domain);
+    // Common creation date field names across different TLDs
+    const creationField = whoisData.creationDate || 
+                         whoisData['Creation Date'] || 
+                         whoisData['created'] || 
+                         whoisData['registered'] || 
+                         whoisData['Created On'] ||
+                         whoisData['Registration Date'];
+    // ...and expiry date field names, so monitoring can warn before a lapse
+    const expiryDate = parseWhoisDate(whoisData.registryExpiryDate ||
+                         whoisData.registrarRegistrationExpirationDate ||
+                         whoisData.expirationDate ||
+                         whoisData['Expiration Date'] ||
+                         whoisData['expires'] ||
+                         whoisData['paid-till']);
+    const expiry = {
+      expiresAt: expiryDate ? expiryDate.toISOString() : null,
+      daysUntilExpiry: expiryDate ? Math.floor((expiryDate - new Date()) / (1000 * 60 * 60 * 24)) : null,
+    };
+
+    const creationDate = parseWhoisDate(creationField);
+    if (creationDate) {
+      const now = new Date();
+      const ageMs = now - creationDate;
+      const ageDays = Math.floor(ageMs / (1000 * 60 * 60 * 24));
+      return {
+        creationDate: creationField,
+        ageDays,
+        ...expiry,
+      };
+    }
+    return { creationDate: null, ageDays: null, ...expiry };
+  } catch (err) {
+    console.error(`WHOIS error for ${domain}:`, err);
+    return { creationDate: null, ageDays: null, expiresAt: null, daysUntilExpiry: null };
+  }
+}
+
+// ---------- Main Check ----------
+
+// `fetcher` handles the HTTPS requests for MTA-STS policies and BIMI assets.
+// `smtpProbe` (true or probe options such as { timeoutMs }) opts in to
+// connecting to the MX hosts.
+export async function runDomainChecks(domain, { ip = null, selectors = [], includeSpfIps = false, fetcher = defaultFetcher, smtpProbe = false } = {}) {
+  const [mx, spf, dkim, dmarc, age, tlsRpt] = await Promise.all([
+    resolveMX(domain),
+    resolveSPF(domain, ip),
+    resolveDKIM(domain, selectors),
+    resolveDMARC(domain),
+    getDomainAge(domain),
+    resolveTlsRpt(domain),
+  ]);
+  // These depend on the MX hosts, SPF networks and DMARC policy found above
+  const [reputation, mtaSts, bimi, smtp] = await Promise.all([
+    resolveReputation(domain, mx, spf, includeSpfIps),
+    resolveMtaSts(domain, mx, fetcher),
+    resolveBIMI(domain, dmarc, fetcher),
+    smtpProbe ? resolveSmtpProbe(domain, mx, smtpProbe === true ? {} : smtpProbe) : undefined,
+  ]);
+
+  const results = { mx, spf, dkim, dmarc, age, reputation, mtaSts, tlsRpt, bimi };
+  if (smtpProbe) results.smtp = smtp;
+  return { ...results, report: evaluateDomain(results) };
+}
@@ -0,0 +1,65 @@
+import http from 'http';
+import https from 'https';
+import { isPrivateHostname, publicLookup } from './network.js';
+
+// Minimal HTTP GET used by checks that read published policies and assets.
+// Checks take a `fetcher` option with the same signature so they can run
+// against fixtures offline.
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_MAX_BYTES = 512 * 1024;
+
+function get(url, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'http:' ? http : https;
+    client.get(url, {
+      headers: { 'User-Agent': 'InboxLX-Checker/1.0' },
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(timeoutMs),
+    }, resolve).on('error', reject);
+  });
+}
+
+// Resolves to { url, status, contentType, location, body, truncated }; rejects
+// on network errors and timeouts. The URLs come from DNS records anyone can
+// publish, so hosts resolving to private addresses are refused. Redirects are
+// returned, never followed, so they can't lead there either.
+export function createFetcher({ timeoutMs = DEFAULT_TIMEOUT_MS, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  return async function fetcher(url) {
+    const target = new URL(url);
+    if (target.protocol !== 'https:' && target.protocol !== 'http:') {
+      throw new Error(`Unsupported URL scheme ${target.protocol}`);
+    }
+    // IP literals skip the lookup, so they are checked here
+    if (isPrivateHostname(target.hostname)) {
+      throw new Error(`${target.hostname} is a private address`);
+    }
+    const response = await get(target, timeoutMs);
+
+    // Read at most maxBytes so a huge asset cannot exhaust memory
+    const chunks = [];
+    let size = 0;
+    let truncated = false;
+    for await (const chunk of response) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        truncated = true;
+        chunks.push(chunk.subarray(0, chunk.length - (size - maxBytes)));
+        break;
+      }
+      chunks.push(chunk);
+    }
+
+    return {
+      url,
+      status: response.statusCode,
+      contentType: (response.headers['content-type'] || '').toLowerCase(),
+      location: response.headers.location || null,
+      body: Buffer.concat(chunks).toString('utf8'),
+      truncated,
+      size,
+    };
+  };
+}
+
+export const defaultFetcher = createFetcher();
@@ -0,0 +1,323 @@
+import { organizationalDomain } from './dmarc.js';
+import { getHeader, getHeaders, parseAddress } from './message.js';
+
+// Header analysis of a received message: the receiver's authentication
+// results, DKIM signatures, ARC sets, SPF/DKIM/DMARC alignment and the
+// Received hop chain.
+
+// Hops slower than this are called out
+const SLOW_HOP_SECONDS = 300;
+
+export const HEADER_RECOMMENDATIONS = {
+  'header-from-missing': 'Send with a valid From address – receivers reject or junk mail without one.',
+  'header-no-auth-results': 'Forward or export the message from the receiving mailbox so the receiver\'s authentication results are included.',
+  'header-spf-fail': 'Add the sending server to the SPF record of the envelope sender (Return-Path) domain.',
+  'header-spf-weak': 'Make sure the sending server is covered by SPF and the record ends in "-all".',
+  'header-spf-unaligned': 'Use a Return-Path (bounce) domain under your From domain so SPF aligns for DMARC.',
+  'header-dkim-missing': 'Turn on DKIM signing with your From domain in your sending platform.',
+  'header-dkim-fail': 'Check that the DKIM key in DNS matches your sender and that nothing rewrites the message after signing.',
+  'header-dkim-unaligned': 'Sign with your own domain (d= matching the From domain) instead of the provider\'s default.',
+  'header-dkim-body-length': 'Stop using the DKIM l= tag – it lets anyone append content to a signed message.',
+  'header-dmarc-fail': 'Fix SPF or DKIM alignment – this message fails DMARC and will be junked or rejected.',
+  'header-dmarc-none': 'Publish a DMARC policy for your From domain.',
+  'header-arc-fail': 'A forwarder broke the ARC chain; check any mailing list or forwarding step in the path.',
+  'header-slow-hop': 'Investigate slow relays – long queues usually mean throttling or greylisting.',
+};
+
+function finding(code, severity, message) {
+  return { code, severity, message };
+}
+
+function stripComments(value) {
+  let result = value;
+  let previous;
+  // Innermost first so nested comments come out too
+  do {
+    previous = result;
+    result = result.replace(/\([^()]*\)/g, ' ');
+  } while (result !== previous);
+  return result.replace(/\s+/g, ' ').trim();
+}
+
+function domainOf(value) {
+  if (!value) return null;
+  const at = value.lastIndexOf('@');
+  return (at === -1 ? value : value.slice(at + 1)).toLowerCase().replace(/[>\s]/g, '').replace(/\.$/, '') || null;
+}
+
+// `k=v; k=v` tag lists (DKIM-Signature and ARC headers); whitespace inside
+// values is insignificant
+export function parseTagList(value) {
+  const tags = {};
+  value.split(';').map(part => part.trim()).filter(Boolean).forEach(pair => {
+    const eq = pair.indexOf('=');
+    if (eq === -1) return;
+    tags[pair.slice(0, eq).trim().toLowerCase()] = pair.slice(eq + 1).replace(/\s+/g, '');
+  });
+  return tags;
+}
+
+// ---------- Authentication Results ----------
+
+// RFC 8601: `authserv-id; method=result reason="..." ptype.property=value; ...`
+export function parseAuthenticationResults(value) {
+  const [authserv, ...segments] = stripComments(value).split(';').map(part => part.trim());
+  const results = [];
+  segments.filter(Boolean).forEach(segment => {
+    const match = segment.match(/^([a-z0-9-]+)\s*=\s*([a-z]+)(.*)$/i);
+    if (!match) return;
+    const entry = { method: match[1].toLowerCase(), result: match[2].toLowerCase(), reason: null, properties: {} };
+    const rest = match[3];
+    const reason = rest.match(/reason\s*=\s*("([^"]*)"|\S+)/i);
+    if (reason) entry.reason = reason[2] ?? reason[1];
+    for (const prop of rest.matchAll(/([a-z]+\.[a-z0-9-]+)\s*=\s*("([^"]*)"|[^\s;]+)/gi)) {
+      entry.properties[prop[1].toLowerCase()] = prop[3] ?? prop[2];
+    }
+    results.push(entry);
+  });
+  return { authserv: (authserv || '').split(/\s+/)[0] || null, results };
+}
+
+// RFC 7208 section 9.1: `result (comment) key=value; key=value`
+export function parseReceivedSpf(value) {
+  const result = (value.match(/^\s*([a-z]+)/i) || [])[1]?.toLowerCase() || null;
+  const properties = {};
+  for (const prop of stripComments(value).matchAll(/([a-z-]+)\s*=\s*("([^"]*)"|[^\s;]+)/gi)) {
+    properties[prop[1].toLowerCase()] = prop[3] ?? prop[2];
+  }
+  return { result, properties };
+}
+
+// ---------- DKIM Signatures ----------
+
+export function parseDkimSignatureHeader(value) {
+  const tags = parseTagList(value);
+  const [algorithm, hash] = (tags.a || '').toLowerCase().split('-');
+  const [headerCanon, bodyCanon = 'simple'] = (tags.c || 'simple/simple').toLowerCase().split('/');
+  return {
+    domain: tags.d ? tags.d.toLowerCase() : null,
+    selector: tags.s || null,
+    algorithm: tags.a ? tags.a.toLowerCase() : null,
+    keyType: algorithm || null,
+    hash: hash || null,
+    canonicalization: { header: headerCanon || 'simple', body: bodyCanon },
+    signedHeaders: (tags.h || '').split(':').map(h => h.trim().toLowerCase()).filter(Boolean),
+    identity: tags.i || null,
+    timestamp: tags.t ? Number(tags.t) : null,
+    expiration: tags.x ? Number(tags.x) : null,
+    bodyLength: tags.l !== undefined ? Number(tags.l) : null,
+    tags,
+  };
+}
+
+// ---------- ARC ----------
+
+// Groups ARC-Seal / ARC-Message-Signature / ARC-Authentication-Results by instance
+export function parseArcSets(headers) {
+  const sets = new Map();
+  const set = i => {
+    if (!sets.has(i)) sets.set(i, { instance: i, seal: null, messageSignature: null, authenticationResults: null });
+    return sets.get(i);
+  };
+  getHeaders(headers, 'ARC-Seal').forEach(h => {
+    const tags = parseTagList(h.value);
+    set(Number(tags.i)).seal = { chainValidation: (tags.cv || '').toLowerCase(), domain: tags.d || null, selector: tags.s || null };
+  });
+  getHeaders(headers, 'ARC-Message-Signature').forEach(h => {
+    const tags = parseTagList(h.value);
+    set(Number(tags.i)).messageSignature = { domain: tags.d || null, selector: tags.s || null };
+  });
+  getHeaders(headers, 'ARC-Authentication-Results').forEach(h => {
+    const instance = h.value.match(/^\s*i\s*=\s*(\d+)\s*;(.*)$/is);
+    if (!instance) return;
+    set(Number(instance[1])).authenticationResults = parseAuthenticationResults(instance[2]);
+  });
+  return [...sets.values()].filter(s => Number.isInteger(s.instance)).sort((a, b) => a.instance - b.instance);
+}
+
+function arcChainStatus(sets) {
+  if (!sets.length) return 'none';
+  // Instances must run 1..n with complete sets; the first seal says cv=none
+  const complete = sets.every((s, index) => s.instance === index + 1 && s.seal && s.messageSignature && s.authenticationResults);
+  if (!complete) return 'fail';
+  if (sets[0].seal.chainValidation !== 'none') return 'fail';
+  return sets.slice(1).every(s => s.seal.chainValidation === 'pass') ? 'pass' : 'fail';
+}
+
+// ---------- Received Chain ----------
+
+export function parseReceived(value) {
+  const semicolon = value.lastIndexOf(';');
+  const clauses = semicolon === -1 ? value : value.slice(0, semicolon);
+  const date = semicolon === -1 ? null : new Date(stripComments(value.slice(semicolon + 1)));
+  const from = clauses.match(/\bfrom\s+(\S+)(?:\s+\(([^)]*)\))?/i);
+  const ip = (from?.[2] || clauses).match(/\[(?:IPv6:)?([0-9a-f:.]+)\]/i);
+  return {
+    from: from ? from[1] : null,
+    by: (clauses.match(/\bby\s+(\S+)/i) || [])[1] || null,
+    with: (clauses.match(/\bwith\s+(\S+)/i) || [])[1] || null,
+    ip: ip ? ip[1] : null,
+    date: date && !isNaN(date.getTime()) ? date.toISOString() : null,
+  };
+}
+
+// Oldest hop first, with the delay since the previous hop
+export function buildHopChain(headers) {
+  const hops = getHeaders(headers, 'Received').map(h => parseReceived(h.value)).reverse();
+  return hops.map((hop, index) => {
+    const previous = hops[index - 1];
+    const delaySeconds = previous?.date && hop.date
+      ? Math.round((new Date(hop.date) - new Date(previous.date)) / 1000)
+      : null;
+    return { hop: index + 1, ...hop, delaySeconds };
+  });
+}
+
+// ---------- Alignment ----------
+
+function alignment(domain, fromDomain) {
+  if (!domain || !fromDomain) return null;
+  if (domain === fromDomain) return 'strict';
+  return organizationalDomain(domain) === organizationalDomain(fromDomain) ? 'relaxed' : null;
+}
+
+// DMARC alignment mode from the published policy is unknown offline, so
+// relaxed alignment (the default) is assumed
+function analyzeAlignment(headers, receiver, signatures) {
+  const fromDomain = parseAddress(getHeader(headers, 'From'))?.domain || null;
+  const receivedSpf = getHeader(headers, 'Received-SPF');
+  const spfHeader = receivedSpf ? parseReceivedSpf(receivedSpf) : null;
+  const spfResult = receiver?.results.find(r => r.method === 'spf');
+
+  const envelopeDomain = domainOf(spfResult?.properties['smtp.mailfrom'])
+    || domainOf(spfHeader?.properties['envelope-from'])
+    || parseAddress(getHeader(headers, 'Return-Path'))?.domain
+    || null;
+  const spf = {
+    result: spfResult?.result || spfHeader?.result || null,
+    domain: envelopeDomain,
+    alignment: alignment(envelopeDomain, fromDomain),
+  };
+
+  const dkimResults = (receiver?.results || []).filter(r => r.method === 'dkim');
+  const dkim = signatures.map(sig => {
+    const match = dkimResults.find(r => domainOf(r.properties['header.d'] || r.properties['header.i']) === sig.domain
+      && (!r.properties['header.s'] || r.properties['header.s'] === sig.selector));
+    return {
+      domain: sig.domain,
+      selector: sig.selector,
+      result: match?.result || null,
+      alignment: alignment(sig.domain, fromDomain),
+    };
+  });
+
+  const dmarcResult = receiver?.results.find(r => r.method === 'dmarc');
+  const spfAligned = spf.result === 'pass' && spf.alignment !== null;
+  const dkimAligned = dkim.some(d => d.result === 'pass' && d.alignment !== null);
+  const known = spf.result !== null || dkim.some(d => d.result !== null);
+  return {
+    fromDomain,
+    envelopeDomain,
+    spf,
+    dkim,
+    dmarc: {
+      result: dmarcResult?.result || null,
+      policy: dmarcResult?.properties['policy.dmarc'] || null,
+      // What DMARC should conclude from the SPF and DKIM results above
+      expected: known ? (spfAligned || dkimAligned ? 'pass' : 'fail') : null,
+      spfAligned,
+      dkimAligned,
+    },
+  };
+}
+
+// ---------- Analysis ----------
+
+export function analyzeHeaders(headers, { now = new Date() } = {}) {
+  const findings = [];
+
+  // The topmost Authentication-Results was added by the final receiver
+  const authResults = getHeaders(headers, 'Authentication-Results').map(h => parseAuthenticationResults(h.value));
+  const receiver = authResults[0] || null;
+  const signatures = getHeaders(headers, 'DKIM-Signature').map(h => parseDkimSignatureHeader(h.value));
+  const arcSets = parseArcSets(headers);
+  const arc = { sets: arcSets, chain: arcChainStatus(arcSets) };
+  const hops = buildHopChain(headers);
+  const aligned = analyzeAlignment(headers, receiver, signatures);
+
+  if (!aligned.fromDomain) {
+    findings.push(finding('header-from-missing', 'fail', 'Message has no usable From address'));
+  }
+  if (!receiver) {
+    findings.push(finding('header-no-auth-results', 'info', 'No Authentication-Results header – paste the message as received, not as sent'));
+  }
+
+  const { spf, dkim, dmarc } = aligned;
+  if (spf.result === 'fail' || spf.result === 'permerror') {
+    findings.push(finding('header-spf-fail', 'fail', `SPF ${spf.result} for ${spf.domain || 'the envelope sender'}`));
+  } else if (spf.result === 'softfail' || spf.result === 'temperror' || spf.result === 'neutral' || spf.result === 'none') {
+    findings.push(finding('header-spf-weak', 'warning', `SPF ${spf.result} for ${spf.domain || 'the envelope sender'}`));
+  } else if (spf.result === 'pass' && !spf.alignment) {
+    // Common with ESP bounce domains and harmless while DKIM carries DMARC
+    findings.push(finding('header-spf-unaligned', dmarc.dkimAligned ? 'info' : 'warning',
+      `SPF passed for ${spf.domain}, which does not align with From domain ${aligned.fromDomain}`));
+  }
+
+  if (!signatures.length) {
+    findings.push(finding('header-dkim-missing', 'fail', 'Message is not DKIM-signed'));
+  } else {
+    dkim.filter(d => d.result && d.result !== 'pass').forEach(d => {
+      findings.push(finding('header-dkim-fail', 'fail', `DKIM signature from ${d.domain} (selector ${d.selector}) ${d.result}`));
+    });
+    if (!dkim.some(d => d.alignment)) {
+      findings.push(finding('header-dkim-unaligned', 'warning', `No DKIM signature aligns with From domain ${aligned.fromDomain} (signed by ${dkim.map(d => d.domain).join(', ')})`));
+    }
+  }
+  signatures.forEach(sig => {
+    if (sig.bodyLength !== null) {
+      findings.push(finding('header-dkim-body-length', 'warning', `Signature from ${sig.domain} uses l=${sig.bodyLength}; content appended after that is unsigned`));
+    }
+    if (sig.expiration && sig.expiration * 1000 < now.getTime()) {
+      findings.push(finding('header-dkim-expired', 'info', `Signature from ${sig.domain} expired on ${new Date(sig.expiration * 1000).toISOString().split('T')[0]}`));
+    }
+  });
+
+  if (dmarc.result === 'fail' || (!dmarc.result && dmarc.expected === 'fail')) {
+    findings.push(finding('header-dmarc-fail', 'fail', dmarc.result
+      ? `DMARC failed${dmarc.policy ? ` (policy ${dmarc.policy})` : ''}`
+      : 'Neither SPF nor DKIM passed with alignment – DMARC would fail'));
+  } else if (dmarc.result === 'none' || dmarc.result === 'bestguesspass') {
+    findings.push(finding('header-dmarc-none', 'warning', `DMARC result was "${dmarc.result}" – the From domain has no enforced DMARC policy`));
+  }
+
+  if (arc.chain === 'fail') {
+    findings.push(finding('header-arc-fail', 'warning', 'ARC chain is broken or incomplete'));
+  }
+
+  hops.filter(h => h.delaySeconds !== null && h.delaySeconds > SLOW_HOP_SECONDS).forEach(h => {
+    findings.push(finding('header-slow-hop', 'info', `Hop ${h.hop} (${h.by || 'unknown'}) took ${Math.round(h.delaySeconds / 60)} minutes`));
+  });
+  if (hops.some(h => h.delaySeconds !== null && h.delaySeconds < 0)) {
+    findings.push(finding('header-clock-skew', 'info', 'Received timestamps go backwards – a relay clock is off'));
+  }
+
+  let status = 'pass';
+  if (findings.some(f => f.severity === 'fail')) status = 'fail';
+  else if (findings.some(f => f.severity === 'warning')) status = 'warning';
+
+  return {
+    from: parseAddress(getHeader(headers, 'From')),
+    returnPath: parseAddress(getHeader(headers, 'Return-Path')),
+    authenticationResults: authResults,
+    receivedSpf: getHeaders(headers, 'Received-SPF').map(h => parseReceivedSpf(h.value)),
+    dkimSignatures: signatures.map(({ tags, ...sig }) => sig),
+    arc,
+    alignment: aligned,
+    hops,
+    totalDelaySeconds: hops.length > 1 && hops[0].date && hops[hops.length - 1].date
+      ? Math.round((new Date(hops[hops.length - 1].date) - new Date(hops[0].date)) / 1000)
+      : null,
+    status,
+    findings,
+  };
+}
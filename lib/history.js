@@ -0,0 +1,260 @@
+// Persisted check results and snapshot diffs between two domain checks.
+
+const POLICY_STRENGTH = { none: 0, quarantine: 1, reject: 2 };
+const ALL_STRENGTH = { '+': 0, '?': 1, '~': 2, '-': 3 };
+const STS_MODE_STRENGTH = { none: 0, testing: 1, enforce: 2 };
+const EXPIRY_WARNING_DAYS = 30;
+
+// ---------- Recording ----------
+
+function historyRow(userId, entry) {
+  return {
+    user_id: userId,
+    kind: entry.kind,
+    domain: entry.domain || null,
+    verdict: entry.kind === 'domain' ? entry.result.report.verdict : entry.result.verdict,
+    input: entry.input || null,
+    result: entry.result,
+    api_key_id: entry.apiKeyId || null,
+  };
+}
+
+// Saves one or more check results; failures are logged, never thrown, so a
+// history outage does not fail the check itself. Returns the new row ids.
+export async function recordChecks(supabase, userId, entries) {
+  if (!entries.length) return [];
+  const { data, error } = await supabase
+    .from('check_history')
+    .insert(entries.map(entry => historyRow(userId, entry)))
+    .select('id');
+
+  if (error) {
+    console.error('History insert error:', error);
+    return [];
+  }
+  return data.map(row => row.id);
+}
+
+export async function recordCheck(supabase, userId, entry) {
+  const [id] = await recordChecks(supabase, userId, [entry]);
+  return id || null;
+}
+
+// The domain of the account's most recent domain check, if any
+export async function latestCheckedDomain(supabase, userId) {
+  const { data, error } = await supabase
+    .from('check_history')
+    .select('domain')
+    .eq('user_id', userId)
+    .eq('kind', 'domain')
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('History fetch error:', error);
+    return null;
+  }
+  return data?.domain || null;
+}
+
+// ---------- Diffing ----------
+
+function change(check, code, severity, message, before = null, after = null) {
+  return { check, code, severity, message, before, after };
+}
+
+function diffMX(before = [], after = []) {
+  const changes = [];
+  const oldHosts = before.map(m => m.exchange);
+  const newHosts = after.map(m => m.exchange);
+  newHosts.filter(h => !oldHosts.includes(h)).forEach(host => {
+    changes.push(change('mx', 'mx-added', 'change', `MX host ${host} was added`, null, host));
+  });
+  oldHosts.filter(h => !newHosts.includes(h)).forEach(host => {
+    changes.push(change('mx', 'mx-removed', newHosts.length ? 'change' : 'regression', `MX host ${host} disappeared`, host, null));
+  });
+  return changes;
+}
+
+function diffSPF(before, after) {
+  const changes = [];
+  const oldRecord = before?.record || null;
+  const newRecord = after?.record || null;
+  if (oldRecord && !newRecord) {
+    return [change('spf', 'spf-removed', 'regression', 'SPF record was removed', oldRecord, null)];
+  }
+  if (!oldRecord && newRecord) {
+    return [change('spf', 'spf-added', 'improvement', 'SPF record was published', null, newRecord)];
+  }
+  if (!oldRecord) return changes;
+
+  if (oldRecord !== newRecord) {
+    changes.push(change('spf', 'spf-changed', 'change', 'SPF record changed', oldRecord, newRecord));
+  }
+  if (before.valid && !after.valid) {
+    changes.push(change('spf', 'spf-broken', 'regression', `SPF became invalid: ${after.errors.map(e => e.message).join('; ')}`));
+  } else if (!before.valid && after.valid) {
+    changes.push(change('spf', 'spf-fixed', 'improvement', 'SPF errors were fixed'));
+  }
+  if (before.all !== after.all) {
+    const weaker = (ALL_STRENGTH[after.all] ?? -1) < (ALL_STRENGTH[before.all] ?? -1);
+    changes.push(change('spf', 'spf-all-changed', weaker ? 'regression' : 'improvement',
+      `SPF "all" changed from ${before.all ?? 'none'}all to ${after.all ?? 'none'}all`, before.all, after.all));
+  }
+  if (before.lookups !== after.lookups) {
+    changes.push(change('spf', 'spf-lookups-changed', after.lookups > after.lookupLimit ? 'regression' : 'change',
+      `SPF DNS lookups went from ${before.lookups} to ${after.lookups}`, before.lookups, after.lookups));
+  }
+  return changes;
+}
+
+function diffDKIM(before, after) {
+  const changes = [];
+  const oldKeys = new Map((before?.found || []).map(k => [k.selector, k]));
+  const newKeys = new Map((after?.found || []).map(k => [k.selector, k]));
+
+  oldKeys.forEach((key, selector) => {
+    const next = newKeys.get(selector);
+    if (!next) {
+      changes.push(change('dkim', 'dkim-selector-removed', 'regression', `DKIM selector ${selector} disappeared`, selector, null));
+    } else if (!key.revoked && next.revoked) {
+      changes.push(change('dkim', 'dkim-key-revoked', 'regression', `DKIM key for selector ${selector} was revoked`, selector, selector));
+    } else if (key.keyBits !== next.keyBits && key.keyBits && next.keyBits) {
+      changes.push(change('dkim', 'dkim-key-size-changed', next.keyBits < key.keyBits ? 'regression' : 'improvement',
+        `DKIM key for selector ${selector} changed from ${key.keyBits} to ${next.keyBits} bits`, key.keyBits, next.keyBits));
+    } else if (key.record !== next.record) {
+      changes.push(change('dkim', 'dkim-key-rotated', 'change', `DKIM key for selector ${selector} was rotated`));
+    }
+  });
+  newKeys.forEach((key, selector) => {
+    if (!oldKeys.has(selector)) {
+      changes.push(change('dkim', 'dkim-selector-added', 'improvement', `DKIM selector ${selector} appeared`, null, selector));
+    }
+  });
+  return changes;
+}
+
+function effectivePolicy(dmarc) {
+  if (!dmarc?.record || !dmarc.policy) return null;
+  return dmarc.inherited ? dmarc.policy.sp : dmarc.policy.p;
+}
+
+function diffDMARC(before, after) {
+  const changes = [];
+  const oldPolicy = effectivePolicy(before);
+  const newPolicy = effectivePolicy(after);
+  if (before?.record && !after?.record) {
+    return [change('dmarc', 'dmarc-removed', 'regression', 'DMARC record was removed', before.record, null)];
+  }
+  if (!before?.record && after?.record) {
+    return [change('dmarc', 'dmarc-added', 'improvement', `DMARC record was published (p=${newPolicy})`, null, after.record)];
+  }
+  if (!before?.record) return changes;
+
+  if (oldPolicy !== newPolicy) {
+    const stronger = (POLICY_STRENGTH[newPolicy] ?? -1) > (POLICY_STRENGTH[oldPolicy] ?? -1);
+    changes.push(change('dmarc', stronger ? 'dmarc-upgraded' : 'dmarc-downgraded', stronger ? 'improvement' : 'regression',
+      `DMARC moved from p=${oldPolicy} to p=${newPolicy}`, oldPolicy, newPolicy));
+  }
+  if (before.policy?.pct !== after.policy?.pct) {
+    changes.push(change('dmarc', 'dmarc-pct-changed', after.policy.pct < before.policy.pct ? 'regression' : 'improvement',
+      `DMARC pct changed from ${before.policy.pct} to ${after.policy.pct}`, before.policy.pct, after.policy.pct));
+  }
+  const oldRua = (before.rua || []).map(u => u.uri).join(',');
+  const newRua = (after.rua || []).map(u => u.uri).join(',');
+  if (oldRua !== newRua) {
+    changes.push(change('dmarc', 'dmarc-rua-changed', newRua ? 'change' : 'regression',
+      newRua ? 'DMARC aggregate report addresses changed' : 'DMARC aggregate reporting was removed', oldRua, newRua));
+  }
+  if (before.status !== 'fail' && after.status === 'fail') {
+    changes.push(change('dmarc', 'dmarc-broken', 'regression', `DMARC record is now invalid: ${after.findings.map(f => f.message).join('; ')}`));
+  }
+  return changes;
+}
+
+function diffReputation(before, after) {
+  const changes = [];
+  const key = l => `${l.target}@${l.zone}`;
+  const oldListings = new Map((before?.listings || []).map(l => [key(l), l]));
+  const newListings = new Map((after?.listings || []).map(l => [key(l), l]));
+  newListings.forEach((listing, id) => {
+    if (!oldListings.has(id)) {
+      changes.push(change('reputation', 'blocklist-added', 'regression',
+        `${listing.target} was listed on ${listing.zoneName}`, null, listing.reasons.map(r => r.reason).join('; ')));
+    }
+  });
+  oldListings.forEach((listing, id) => {
+    if (!newListings.has(id)) {
+      changes.push(change('reputation', 'blocklist-removed', 'improvement', `${listing.target} was delisted from ${listing.zoneName}`));
+    }
+  });
+  return changes;
+}
+
+function diffExpiry(before, after) {
+  const days = after?.daysUntilExpiry;
+  if (days === null || days === undefined) return [];
+  const previous = before?.daysUntilExpiry;
+  if (days < 0 && !(previous < 0)) {
+    return [change('age', 'domain-expired', 'regression', `Domain registration expired on ${after.expiresAt.split('T')[0]}`, before?.expiresAt ?? null, after.expiresAt)];
+  }
+  if (days >= 0 && days <= EXPIRY_WARNING_DAYS && !(previous >= 0 && previous <= EXPIRY_WARNING_DAYS)) {
+    return [change('age', 'domain-expiring', 'regression', `Domain registration expires in ${days} days`, before?.expiresAt ?? null, after.expiresAt)];
+  }
+  if (before?.expiresAt && before.expiresAt !== after.expiresAt && after.expiresAt > before.expiresAt) {
+    return [change('age', 'domain-renewed', 'improvement', `Domain registration was renewed until ${after.expiresAt.split('T')[0]}`, before.expiresAt, after.expiresAt)];
+  }
+  return [];
+}
+
+// Snapshots taken before these checks existed have no result to compare
+function diffMtaSts(before, after) {
+  if (!before || !after) return [];
+  if (before.record && !after.record) {
+    return [change('mtaSts', 'mta-sts-removed', 'regression', 'MTA-STS record was removed', before.record, null)];
+  }
+  if (!before.record && after.record) {
+    return [change('mtaSts', 'mta-sts-added', 'improvement', 'MTA-STS record was published', null, after.record)];
+  }
+  const oldMode = before.policy?.mode;
+  const newMode = after.policy?.mode;
+  if (!before.record || !oldMode || oldMode === newMode) return [];
+  if (!newMode) {
+    return [change('mtaSts', 'mta-sts-policy-lost', 'regression', 'MTA-STS policy can no longer be loaded', oldMode, null)];
+  }
+  const stronger = (STS_MODE_STRENGTH[newMode] ?? -1) > (STS_MODE_STRENGTH[oldMode] ?? -1);
+  return [change('mtaSts', stronger ? 'mta-sts-upgraded' : 'mta-sts-downgraded', stronger ? 'improvement' : 'regression',
+    `MTA-STS moved from mode ${oldMode} to ${newMode}`, oldMode, newMode)];
+}
+
+function diffRecordPresence(check, codePrefix, label, before, after) {
+  if (!before || !after) return [];
+  if (before.record && !after.record) {
+    return [change(check, `${codePrefix}-removed`, 'regression', `${label} record was removed`, before.record, null)];
+  }
+  if (!before.record && after.record) {
+    return [change(check, `${codePrefix}-added`, 'improvement', `${label} record was published`, null, after.record)];
+  }
+  return [];
+}
+
+// Compares two domain check results (older first)
+export function diffDomainSnapshots(before, after) {
+  const changes = [
+    ...diffMX(before.mx, after.mx),
+    ...diffSPF(before.spf, after.spf),
+    ...diffDKIM(before.dkim, after.dkim),
+    ...diffDMARC(before.dmarc, after.dmarc),
+    ...diffReputation(before.reputation, after.reputation),
+    ...diffExpiry(before.age, after.age),
+    ...diffMtaSts(before.mtaSts, after.mtaSts),
+    ...diffRecordPresence('tlsRpt', 'tls-rpt', 'TLS-RPT', before.tlsRpt, after.tlsRpt),
+    ...diffRecordPresence('bimi', 'bimi', 'BIMI', before.bimi, after.bimi),
+  ];
+  return {
+    changes,
+    regressions: changes.filter(c => c.severity === 'regression').length,
+    improvements: changes.filter(c => c.severity === 'improvement').length,
+  };
+}
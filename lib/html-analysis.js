@@ -0,0 +1,348 @@
+import { segmentWords } from './copy-languages.js';
+
+// HTML email bodies: visible text extraction, text-to-image ratio, hidden
+// text, markup that mail clients strip, Gmail clipping and whether the
+// plain-text alternative matches. Parsing is a lightweight tokenizer – email
+// HTML is rarely well-formed enough for anything stricter to help.
+
+// Gmail cuts off ("clips") messages whose HTML is larger than this
+export const GMAIL_CLIP_BYTES = 102 * 1024;
+const CLIP_WARNING_BYTES = 90 * 1024;
+
+// Visible characters of text wanted per image
+const MIN_CHARS_PER_IMAGE = 200;
+// Share of words the plain-text alternative should have in common with the HTML
+const MIN_TEXT_SIMILARITY = 0.5;
+// Hidden text before any visible text, up to this long, is a preheader
+const MAX_PREHEADER_CHARS = 200;
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const BLOCK_ELEMENTS = new Set(['address', 'blockquote', 'br', 'center', 'div', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'ol', 'p', 'pre', 'section', 'table', 'tr', 'ul']);
+// Removed or disabled by Gmail, Outlook and most other clients
+const STRIPPED_ELEMENTS = new Set(['script', 'form', 'input', 'button', 'select', 'textarea', 'iframe', 'object', 'embed', 'applet']);
+
+const HTML_WEIGHTS = {
+  'html-image-only': 50,
+  'html-hidden-text': 40,
+  'html-gmail-clipping': 30,
+  'html-text-mismatch': 25,
+  'html-image-heavy': 20,
+  'html-stripped-element': 20,
+  'html-near-clipping': 10,
+  'html-missing-alt': 10,
+  'html-remote-font': 10,
+};
+
+export const HTML_RECOMMENDATIONS = {
+  'html-image-only': 'Put your message in text – image-only emails are a classic spam pattern and show blank when images are off.',
+  'html-image-heavy': `Add more text around your images (at least ${MIN_CHARS_PER_IMAGE} characters per image).`,
+  'html-hidden-text': 'Remove hidden, tiny or same-color text – filters treat it as an attempt to fool them.',
+  'html-missing-alt': 'Give every image an alt text so the email still reads with images off.',
+  'html-remote-font': 'Use web-safe fonts – most clients block remote fonts, and the requests slow rendering.',
+  'html-stripped-element': 'Remove scripts, forms and embeds – mail clients strip them and filters penalize them.',
+  'html-gmail-clipping': 'Cut the HTML below 102 KB – Gmail clips larger messages and hides the rest, unsubscribe link included.',
+  'html-near-clipping': 'Trim the HTML – it is close to the 102 KB Gmail clipping limit once your sender adds tracking.',
+  'html-text-mismatch': 'Make the plain-text alternative say the same as the HTML – mismatched parts are a spam signal.',
+};
+
+function finding(code, severity, message) {
+  return { code, severity, message };
+}
+
+// ---------- Parsing ----------
+
+const NAMED_ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“',
+  mdash: '—', ndash: '–', hellip: '…', copy: '©', reg: '®', trade: '™', zwnj: '', zwj: '', shy: '',
+};
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(/([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+function parseStyle(style = '') {
+  const declarations = {};
+  style.split(';').forEach(declaration => {
+    const colon = declaration.indexOf(':');
+    if (colon === -1) return;
+    declarations[declaration.slice(0, colon).trim().toLowerCase()] = declaration.slice(colon + 1).replace(/!important/i, '').trim().toLowerCase();
+  });
+  return declarations;
+}
+
+// Tags, text and comments in document order, with offsets into the source.
+// Script and style contents are kept as one raw text token.
+function tokenize(html) {
+  const tokens = [];
+  const pattern = /<!--[\s\S]*?(?:-->|$)|<!doctype[^>]*>|<\/?([a-z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(html))) {
+    if (match.index > last) tokens.push({ type: 'text', value: html.slice(last, match.index) });
+    last = pattern.lastIndex;
+    if (!match[1]) continue;
+
+    const name = match[1].toLowerCase();
+    if (match[0][1] === '/') {
+      tokens.push({ type: 'end', name });
+      continue;
+    }
+    const token = { type: 'start', name, attributes: parseAttributes(match[2]), offset: match.index + 1 + match[1].length };
+    tokens.push(token);
+    if (name === 'script' || name === 'style') {
+      const close = html.toLowerCase().indexOf(`</${name}`, last);
+      const end = close === -1 ? html.length : close;
+      token.content = html.slice(last, end);
+      pattern.lastIndex = last = end;
+    }
+  }
+  if (last < html.length) tokens.push({ type: 'text', value: html.slice(last) });
+  return tokens;
+}
+
+// ---------- Colors ----------
+
+const NAMED_COLORS = {
+  white: [255, 255, 255], black: [0, 0, 0], red: [255, 0, 0], green: [0, 128, 0], blue: [0, 0, 255],
+  yellow: [255, 255, 0], gray: [128, 128, 128], grey: [128, 128, 128], silver: [192, 192, 192],
+  whitesmoke: [245, 245, 245], snow: [255, 250, 250], ivory: [255, 255, 240],
+};
+
+function parseColor(value) {
+  if (!value) return null;
+  const color = value.trim().toLowerCase();
+  if (color in NAMED_COLORS) return NAMED_COLORS[color];
+  let match = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})\b/);
+  if (match) {
+    const hex = match[1].length === 3 ? [...match[1]].map(c => c + c).join('') : match[1];
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+  }
+  match = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
+  return match ? match.slice(1, 4).map(Number) : null;
+}
+
+// Close enough that the text cannot be read
+function sameColor(a, b) {
+  return a && b && Math.abs(a[0] - b[0]) + Math.abs(a[1] - b[1]) + Math.abs(a[2] - b[2]) < 24;
+}
+
+// ---------- Rendering State ----------
+
+function cssPixels(value) {
+  const match = String(value || '').match(/^(-?[\d.]+)(px|pt|em|rem|%)?$/);
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  return { pt: number * 4 / 3, em: number * 16, rem: number * 16, '%': number * 0.16 }[match[2]] ?? number;
+}
+
+// Why an element hides its content, if it does
+function hiddenReason(style, attributes) {
+  if (style.display === 'none' || 'hidden' in attributes) return 'display:none';
+  if (style.visibility === 'hidden') return 'visibility:hidden';
+  if (style.opacity !== undefined && parseFloat(style.opacity) === 0) return 'opacity:0';
+  const fontSize = cssPixels(style['font-size']);
+  if (fontSize !== null && fontSize <= 1) return `font-size:${style['font-size']}`;
+  const clipped = ['hidden', 'clip'].includes(style.overflow);
+  for (const property of ['height', 'max-height', 'width', 'max-width']) {
+    if (clipped && cssPixels(style[property]) === 0) return `${property}:0 with overflow:hidden`;
+  }
+  return null;
+}
+
+// ---------- Analysis ----------
+
+// Analyzes an HTML body; `text` is the plain-text alternative, if any.
+// Returns the visible text for the copy analysis, metrics, findings, a 0-100
+// score (higher = worse) and the HTML with problem elements marked by a
+// data-lx-issue attribute for the preview.
+export function analyzeHtml(html, { text = null } = {}) {
+  const findings = [];
+  const marks = [];
+  const mark = (token, code) => {
+    if (token?.offset !== undefined) marks.push({ offset: token.offset, code });
+  };
+
+  const root = { name: '#root', hidden: null, color: parseColor('#000000'), background: parseColor('#ffffff'), colorToken: null };
+  const stack = [root];
+  let visible = '';
+  const hiddenRuns = [];
+  let images = 0;
+  let imagesWithoutAlt = 0;
+  const stripped = new Set();
+  const remoteFonts = new Set();
+
+  const checkFonts = (css, token) => {
+    for (const match of css.matchAll(/@import\s+(?:url\()?\s*["']?([^"')\s;]+)|@font-face[^}]*?url\(\s*["']?([^"')\s]+)/gi)) {
+      const url = match[1] || match[2];
+      if (/^https?:|^\/\//i.test(url)) {
+        remoteFonts.add(url);
+        mark(token, 'html-remote-font');
+      }
+    }
+  };
+
+  tokenize(html).forEach(token => {
+    const parent = stack[stack.length - 1];
+
+    if (token.type === 'text') {
+      const value = decodeEntities(token.value);
+      if (!value.trim()) {
+        visible += value.replace(/\s+/g, ' ');
+        return;
+      }
+      if (parent.hidden) {
+        hiddenRuns.push({ text: value.replace(/\s+/g, ' ').trim(), reason: parent.hidden.reason, token: parent.hidden.token, beforeVisible: !visible.trim() });
+        return;
+      }
+      if (sameColor(parent.color, parent.background)) {
+        hiddenRuns.push({ text: value.replace(/\s+/g, ' ').trim(), reason: 'text color matches the background', token: parent.colorToken, beforeVisible: !visible.trim() });
+        return;
+      }
+      visible += value.replace(/\s+/g, ' ');
+      return;
+    }
+
+    if (token.type === 'end') {
+      const index = stack.map(e => e.name).lastIndexOf(token.name);
+      if (index > 0) stack.length = index;
+      if (BLOCK_ELEMENTS.has(token.name) || token.name === 'td') visible += token.name === 'td' ? ' ' : '\n';
+      return;
+    }
+
+    const { name, attributes } = token;
+    const style = parseStyle(attributes.style);
+
+    if (STRIPPED_ELEMENTS.has(name)) {
+      stripped.add(name);
+      mark(token, 'html-stripped-element');
+    }
+    if (name === 'style') checkFonts(token.content || '', token);
+    if (name === 'link' && /stylesheet/i.test(attributes.rel || '') && /fonts\.|font/i.test(attributes.href || '')) {
+      remoteFonts.add(attributes.href);
+      mark(token, 'html-remote-font');
+    }
+    if (name === 'img') {
+      const width = cssPixels(attributes.width ?? style.width);
+      const height = cssPixels(attributes.height ?? style.height);
+      // Tracking pixels are reported by the link analysis
+      const pixel = width !== null && width <= 1 && height !== null && height <= 1;
+      if (!pixel) {
+        images++;
+        if (!('alt' in attributes)) {
+          imagesWithoutAlt++;
+          mark(token, 'html-missing-alt');
+        }
+      }
+    }
+    if (BLOCK_ELEMENTS.has(name)) visible += '\n';
+    if (VOID_ELEMENTS.has(name) || name === 'script' || name === 'style') return;
+
+    const reason = hiddenReason(style, attributes);
+    const color = parseColor(style.color || attributes.color);
+    const background = parseColor(style['background-color'] || style.background || attributes.bgcolor);
+    stack.push({
+      name,
+      hidden: parent.hidden || (reason && { reason, token }),
+      color: color || parent.color,
+      background: background || parent.background,
+      colorToken: color || background ? token : parent.colorToken,
+    });
+  });
+
+  // Metrics
+  const visibleText = visible.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  const textChars = visibleText.replace(/\s/g, '').length;
+  const size = Buffer.byteLength(html, 'utf8');
+
+  // A short hidden run before any visible text is the inbox preview line
+  const [first] = hiddenRuns;
+  const preheader = first && first.beforeVisible && first.text.length <= MAX_PREHEADER_CHARS && first.reason !== 'text color matches the background'
+    ? first.text
+    : null;
+  const hiddenText = hiddenRuns.filter(run => !(preheader && run === first));
+
+  if (images && textChars < 50) {
+    findings.push(finding('html-image-only', 'fail', `${images} image${images === 1 ? '' : 's'} and almost no text – the email is effectively an image`));
+  } else if (images && textChars / images < MIN_CHARS_PER_IMAGE) {
+    findings.push(finding('html-image-heavy', 'warning', `Only ${Math.round(textChars / images)} characters of text per image`));
+  }
+  if (hiddenText.length) {
+    const reasons = [...new Set(hiddenText.map(run => run.reason))];
+    findings.push(finding('html-hidden-text', 'fail', `Hidden text (${reasons.join(', ')}): "${hiddenText.map(run => run.text).join(' ').slice(0, 120)}"`));
+    hiddenText.forEach(run => mark(run.token, 'html-hidden-text'));
+  }
+  if (preheader) {
+    findings.push(finding('html-hidden-preheader', 'info', `Hidden preheader: "${preheader}"`));
+  }
+  if (imagesWithoutAlt) {
+    findings.push(finding('html-missing-alt', 'warning', `${imagesWithoutAlt} image${imagesWithoutAlt === 1 ? ' has' : 's have'} no alt attribute`));
+  }
+  if (remoteFonts.size) {
+    findings.push(finding('html-remote-font', 'warning', `Remote fonts: ${[...remoteFonts].join(', ')}`));
+  }
+  if (stripped.size) {
+    findings.push(finding('html-stripped-element', 'warning', `Mail clients strip <${[...stripped].join('>, <')}>`));
+  }
+  if (size > GMAIL_CLIP_BYTES) {
+    findings.push(finding('html-gmail-clipping', 'fail', `HTML is ${Math.round(size / 1024)} KB – Gmail clips messages over 102 KB`));
+  } else if (size > CLIP_WARNING_BYTES) {
+    findings.push(finding('html-near-clipping', 'warning', `HTML is ${Math.round(size / 1024)} KB, close to Gmail's 102 KB clipping limit`));
+  }
+
+  // Word overlap between the HTML and its plain-text alternative
+  let textSimilarity = null;
+  if (text !== null && text.trim()) {
+    const htmlWords = new Set(segmentWords(visibleText));
+    const textWords = new Set(segmentWords(text));
+    const shared = [...htmlWords].filter(word => textWords.has(word)).length;
+    const union = new Set([...htmlWords, ...textWords]).size;
+    textSimilarity = union ? Number((shared / union).toFixed(2)) : 1;
+    if (textSimilarity < MIN_TEXT_SIMILARITY) {
+      findings.push(finding('html-text-mismatch', 'warning', `The plain-text alternative shares only ${Math.round(textSimilarity * 100)}% of its words with the HTML`));
+    }
+  } else {
+    findings.push(finding('html-no-text-alternative', 'info', 'No plain-text alternative – most senders generate one; check yours does'));
+  }
+
+  // Problem elements marked for the preview, last offset first so earlier
+  // offsets stay valid
+  let annotatedHtml = html;
+  const byOffset = new Map();
+  marks.forEach(({ offset, code }) => byOffset.set(offset, [...new Set([...(byOffset.get(offset) || []), code])]));
+  [...byOffset.entries()].sort((a, b) => b[0] - a[0]).forEach(([offset, codes]) => {
+    annotatedHtml = `${annotatedHtml.slice(0, offset)} data-lx-issue="${codes.join(' ')}"${annotatedHtml.slice(offset)}`;
+  });
+
+  return {
+    text: visibleText,
+    size,
+    textChars,
+    images,
+    imagesWithoutAlt,
+    preheader,
+    hiddenText: hiddenText.map(run => ({ text: run.text, reason: run.reason })),
+    textSimilarity,
+    findings,
+    score: Math.min(100, findings.reduce((sum, f) => sum + (HTML_WEIGHTS[f.code] || 0), 0)),
+    annotatedHtml,
+  };
+}
+
+// Whether pasted copy is HTML rather than plain text
+export function looksLikeHtml(body) {
+  return /<\/?(html|body|head|div|p|span|table|td|a|img|br|font|center|strong|b|em)\b[^>]*>/i.test(body);
+}
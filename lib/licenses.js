@@ -0,0 +1,71 @@
+import { grantsPro, hashLicenseKey } from './whop.js';
+
+// Whop memberships bound to accounts. Only the server (service role) writes
+// licenses and derives `profiles.subscription_tier` from them.
+
+function licenseRow(membership) {
+  return {
+    whop_membership_id: membership.id,
+    product_id: membership.productId,
+    status: membership.status,
+    valid: grantsPro(membership),
+    expires_at: membership.expiresAt,
+    last_synced_at: new Date().toISOString(),
+  };
+}
+
+// Records the latest state of a membership (from a webhook or reconciliation)
+// without changing who it is bound to. Resolves to the stored row.
+export async function saveMembership(supabase, membership) {
+  const row = licenseRow(membership);
+  if (membership.licenseKey) row.key_hash = hashLicenseKey(membership.licenseKey);
+
+  const { data, error } = await supabase
+    .from('licenses')
+    .upsert({ ...row, updated_at: new Date().toISOString() }, { onConflict: 'whop_membership_id' })
+    .select('id, user_id, valid')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Binds the membership to the user unless another account already holds it.
+// Resolves to { bound, license }.
+export async function bindLicense(supabase, userId, membership, licenseKey) {
+  const row = licenseRow(membership);
+  const { data, error } = await supabase
+    .rpc('bind_license', {
+      p_user_id: userId,
+      p_membership_id: row.whop_membership_id,
+      p_key_hash: hashLicenseKey(licenseKey),
+      p_product_id: row.product_id,
+      p_status: row.status,
+      p_valid: row.valid,
+      p_expires_at: row.expires_at,
+    })
+    .single();
+
+  if (error) throw error;
+  return { bound: data.user_id === userId, license: data };
+}
+
+// Pro while any bound license is valid, free otherwise
+export async function syncSubscriptionTier(supabase, userId) {
+  const { count, error } = await supabase
+    .from('licenses')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('valid', true);
+
+  if (error) throw error;
+  const tier = count > 0 ? 'pro' : 'free';
+
+  const { error: updateError } = await supabase
+    .from('profiles')
+    .update({ subscription_tier: tier, updated_at: new Date().toISOString() })
+    .eq('id', userId);
+
+  if (updateError) throw updateError;
+  return tier;
+}
@@ -0,0 +1,196 @@
+import { organizationalDomain } from './dmarc.js';
+
+// Links and images in email copy: extraction from plain text, Markdown and
+// HTML, and the spam signals they carry (shorteners, raw IPs, deceptive
+// anchors, off-domain and blocklisted links, tracking pixels).
+
+export const MAX_BLOCKED_DOMAINS = 200;
+
+// Cold emails with more links than this read as marketing
+const MAX_LINKS = 3;
+
+const SHORTENER_DOMAINS = new Set([
+  'bit.ly', 'bitly.com', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'v.gd', 'buff.ly', 'rebrand.ly',
+  'cutt.ly', 'shorturl.at', 'rb.gy', 't.ly', 'tiny.cc', 'bl.ink', 'lnkd.in', 's.id', 'shorte.st', 'adf.ly',
+]);
+
+// Open-tracking endpoints of common senders and sequencers
+const TRACKING_PATH_PATTERN = /\/(open|opens|track|tracking|pixel|beacon|wf\/open|e\/o|o\.gif|t\.gif)(\/|\.|\?|$)/i;
+
+// Score points per finding, as in the copy rules
+const LINK_WEIGHTS = {
+  'link-blocklisted': 60,
+  'link-anchor-mismatch': 50,
+  'link-raw-ip': 40,
+  'link-shortener': 30,
+  'link-too-many': 15,
+  'tracking-pixel': 15,
+  'link-off-domain': 10,
+};
+
+export const LINK_RECOMMENDATIONS = {
+  'link-blocklisted': 'Remove links to blocklisted domains.',
+  'link-anchor-mismatch': 'Make link text show the domain the link really goes to – mismatches look like phishing.',
+  'link-raw-ip': 'Link to a domain name instead of an IP address.',
+  'link-shortener': 'Replace shortened links with full links on your own domain – shorteners are shared with spammers.',
+  'link-too-many': `Keep cold emails to ${MAX_LINKS} links or fewer, ideally one.`,
+  'tracking-pixel': 'Turn off open tracking for cold outreach – tracking pixels hurt inbox placement.',
+  'link-off-domain': 'Link to your sending domain (or a subdomain of it) so links match the From address.',
+};
+
+function finding(code, severity, message) {
+  return { code, severity, message };
+}
+
+// ---------- Extraction ----------
+
+const IPV4_PATTERN = /^\d{1,3}(\.\d{1,3}){3}$/;
+
+// Host and organizational domain of a URL, or null for non-web links
+function parseLink(raw) {
+  const url = raw.trim().replace(/^<|>$/g, '');
+  if (/^(mailto|tel|sms):/i.test(url)) return null;
+  try {
+    const parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `http://${url.replace(/^\/\//, '')}`);
+    if (!['http:', 'https:'].includes(parsed.protocol) || !parsed.hostname) return null;
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+    const ip = IPV4_PATTERN.test(host) || host.startsWith('[');
+    return { url, host, domain: ip ? host : organizationalDomain(host), ip };
+  } catch {
+    return null;
+  }
+}
+
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? (match[1] ?? match[2] ?? match[3]) : null;
+}
+
+// Blanks out what was already extracted, so bare URLs are not counted twice
+function consume(text, match) {
+  return text.slice(0, match.index) + ' '.repeat(match[0].length) + text.slice(match.index + match[0].length);
+}
+
+// Every link and image in the body: HTML <a>/<img>, Markdown links and
+// images, and bare URLs
+export function extractLinks(body) {
+  const found = [];
+  let rest = String(body);
+
+  for (const match of [...rest.matchAll(/<a\b[^>]*>([\s\S]*?)<\/a\s*>/gi)]) {
+    const href = attribute(match[0].slice(0, match[0].indexOf('>') + 1), 'href');
+    if (href) found.push({ type: 'link', raw: href, text: match[1].replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim() });
+    rest = consume(rest, match);
+  }
+  for (const match of [...rest.matchAll(/<img\b[^>]*>/gi)]) {
+    const src = attribute(match[0], 'src');
+    if (src) {
+      const size = name => {
+        const inline = (attribute(match[0], 'style') || '').match(new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*(\\d+)`, 'i'));
+        const value = attribute(match[0], name) ?? inline?.[1];
+        return value == null ? null : parseInt(value, 10);
+      };
+      found.push({ type: 'image', raw: src, text: attribute(match[0], 'alt') || '', width: size('width'), height: size('height') });
+    }
+    rest = consume(rest, match);
+  }
+  // Stylesheets, scripts and other markup hold font and asset URLs, not links
+  for (const match of [...rest.matchAll(/<(style|script|head)\b[\s\S]*?<\/\1\s*>|<[^>]*>/gi)]) {
+    rest = consume(rest, match);
+  }
+  for (const match of [...rest.matchAll(/(!?)\[([^\]]*)\]\(\s*([^\s)]+)[^)]*\)/g)]) {
+    found.push({ type: match[1] ? 'image' : 'link', raw: match[3], text: match[2].trim(), width: null, height: null });
+    rest = consume(rest, match);
+  }
+  for (const match of [...rest.matchAll(/\b(?:https?:\/\/|www\.)[^\s<>"'()[\]{}]+|\bhttps?:\/\/\[[0-9a-f:]+\][^\s<>"'()]*/gi)]) {
+    found.push({ type: 'link', raw: match[0].replace(/[.,;:!?]+$/, ''), text: null });
+  }
+
+  return found.flatMap(item => {
+    const parsed = parseLink(item.raw);
+    if (!parsed) return [];
+    const { raw, ...fields } = item;
+    return [{ ...fields, ...parsed }];
+  });
+}
+
+// Domain shown in anchor text that looks like a URL or domain, e.g. "paypal.com/login"
+function displayedDomain(text) {
+  if (!text || /\s/.test(text) || !/^(https?:\/\/)?(www\.)?[a-z0-9-]+(\.[a-z0-9-]+)+([/?#]|$)/i.test(text)) return null;
+  return parseLink(text)?.domain || null;
+}
+
+// ---------- Analysis ----------
+
+// Normalizes a blocklist to bare lowercase domains; { values } or { error }
+export function parseBlockedDomains(input) {
+  const domains = (Array.isArray(input) ? input : String(input || '').split(','))
+    .map(d => String(d).trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/[/?#:].*$/, '').replace(/\.$/, ''))
+    .filter(Boolean);
+  if (domains.length > MAX_BLOCKED_DOMAINS) return { error: `At most ${MAX_BLOCKED_DOMAINS} blocked domains allowed` };
+  const invalid = domains.find(d => !/^([a-z0-9]+(-[a-z0-9]+)*\.)+[a-z]{2,}$/.test(d));
+  if (invalid) return { error: `Invalid blocked domain: ${invalid}` };
+  return { values: [...new Set(domains)] };
+}
+
+// A host is blocked when it or any parent domain is listed
+function isBlocked(host, blocklist) {
+  const labels = host.split('.');
+  return labels.some((_, i) => blocklist.has(labels.slice(i).join('.')));
+}
+
+// Links and images of the body with their findings and a 0-100 score
+// (higher = worse). `sendingDomain` is the From domain links should match.
+export function analyzeLinks(body, { sendingDomain = null, blockedDomains = [] } = {}) {
+  const items = extractLinks(body);
+  const links = items.filter(item => item.type === 'link');
+  const images = items.filter(item => item.type === 'image');
+  const blocklist = new Set(blockedDomains);
+  const sendingOrg = sendingDomain ? organizationalDomain(sendingDomain) : null;
+  const findings = [];
+
+  items.forEach(item => {
+    item.flags = [];
+    const flag = (code, severity, message) => {
+      item.flags.push(code);
+      findings.push(finding(code, severity, message));
+    };
+
+    if (isBlocked(item.host, blocklist)) flag('link-blocklisted', 'fail', `${item.url} points to the blocklisted domain ${item.host}`);
+    if (item.ip) flag('link-raw-ip', 'fail', `${item.url} links to a raw IP address`);
+    if (SHORTENER_DOMAINS.has(item.host)) flag('link-shortener', 'warning', `${item.url} uses the URL shortener ${item.host}`);
+    if (item.type === 'link') {
+      const shown = displayedDomain(item.text);
+      if (shown && shown !== item.domain) {
+        flag('link-anchor-mismatch', 'fail', `Link text shows ${item.text} but the link goes to ${item.host}`);
+      }
+    }
+    if (item.type === 'image' && ((item.width !== null && item.width <= 1 && item.height !== null && item.height <= 1) || TRACKING_PATH_PATTERN.test(item.url))) {
+      item.tracking = true;
+      flag('tracking-pixel', 'warning', `${item.url} looks like an open-tracking pixel`);
+    }
+  });
+
+  const domains = [...new Set(items.map(item => item.domain))];
+  if (sendingOrg) {
+    // One finding per domain, for clickable links only
+    [...new Set(links.filter(l => !l.ip && l.domain !== sendingOrg).map(l => l.domain))].forEach(domain => {
+      links.filter(l => l.domain === domain).forEach(l => l.flags.push('link-off-domain'));
+      findings.push(finding('link-off-domain', 'warning', `Links to ${domain} do not match the sending domain ${sendingDomain}`));
+    });
+  }
+  if (links.length > MAX_LINKS) {
+    findings.push(finding('link-too-many', 'warning', `${links.length} links – more than ${MAX_LINKS} makes a cold email look like marketing`));
+  }
+
+  return {
+    count: links.length,
+    images: images.length,
+    trackingPixels: images.filter(image => image.tracking).length,
+    domains,
+    sendingDomain,
+    items: items.map(({ tracking, ...item }) => item),
+    findings,
+    score: Math.min(100, findings.reduce((sum, f) => sum + LINK_WEIGHTS[f.code], 0)),
+  };
+}
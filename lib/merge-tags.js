@@ -0,0 +1,374 @@
+// Merge tags and spintax in sequencer templates (Instantly, Smartlead and
+// Lemlist style): parsing, validation and expansion into send variants.
+//
+// Supported syntax:
+//   {{first_name}}  {{firstName|there}}  {{first_name | default: "there"}}
+//   {Hi|Hello}  {{RANDOM | Hi | Hello}}  {spin}Hi|Hello{endspin}
+
+export const MAX_VARIANTS = 25;
+// Characters of copy analyzed across all variants, so long bodies get fewer
+const MAX_EXPANDED_LENGTH = 50000;
+// Past this the variants are not counted or sampled, only the first is analyzed
+const MAX_SPINTAX_GROUPS = 100;
+export const MAX_CUSTOM_VARIABLES = 100;
+
+// Fields sequencers fill in, keyed by normalized name, with the sample value
+// used when analyzing variants
+const KNOWN_VARIABLES = {
+  firstname: 'Alex',
+  lastname: 'Morgan',
+  fullname: 'Alex Morgan',
+  name: 'Alex Morgan',
+  email: 'alex@acme.com',
+  phone: '+1 512 555 0100',
+  company: 'Acme',
+  companyname: 'Acme',
+  companydomain: 'acme.com',
+  website: 'acme.com',
+  title: 'Head of Sales',
+  jobtitle: 'Head of Sales',
+  industry: 'software',
+  city: 'Austin',
+  state: 'Texas',
+  country: 'United States',
+  location: 'Austin, Texas',
+  linkedin: 'linkedin.com/in/alexmorgan',
+  icebreaker: 'Saw your talk on outbound last week',
+  personalization: 'Saw your talk on outbound last week',
+  sendername: 'Sam Lee',
+  senderfirstname: 'Sam',
+  sendingaccountfirstname: 'Sam',
+  sendingaccountname: 'Sam Lee',
+  signature: 'Sam Lee',
+  accountsignature: 'Sam Lee',
+  sendersignature: 'Sam Lee',
+  unsubscribe: 'Unsubscribe',
+  unsubscribelink: 'Unsubscribe',
+};
+
+// Filled from the sending account, so they are never empty
+const SENDER_VARIABLES = new Set([
+  'sendername', 'senderfirstname', 'sendingaccountfirstname', 'sendingaccountname',
+  'signature', 'accountsignature', 'sendersignature', 'unsubscribe', 'unsubscribelink',
+]);
+
+const VARIABLE_NAME_PATTERN = /^[\p{L}\p{N}_][\p{L}\p{N}_ .-]*$/u;
+
+// firstName, first_name and "First Name" are the same field
+export function normalizeVariable(name) {
+  return String(name).toLowerCase().replace(/[\s_.-]/g, '');
+}
+
+// ---------- Parsing ----------
+
+// "line 2, col 5" for an offset into the text
+function locate(text, index) {
+  const before = text.slice(0, index).split('\n');
+  return `line ${before.length}, col ${before[before.length - 1].length + 1}`;
+}
+
+function startsWithCI(text, search, index) {
+  return text.slice(index, index + search.length).toLowerCase() === search;
+}
+
+// Index of the "}" closing the "{" at `open`, or -1
+function matchBrace(text, open, end) {
+  let depth = 0;
+  for (let i = open; i < end; i++) {
+    if (text.startsWith('{{', i)) {
+      const close = text.indexOf('}}', i + 2);
+      if (close === -1 || close >= end) return -1;
+      i = close + 1;
+    } else if (text[i] === '{') {
+      depth++;
+    } else if (text[i] === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+// [start, end) ranges between the top-level "|" separators of text[from, to)
+function splitOptions(text, from, to) {
+  const ranges = [];
+  let depth = 0;
+  let start = from;
+  for (let i = from; i < to; i++) {
+    if (text[i] === '{') depth++;
+    else if (text[i] === '}') depth--;
+    else if (text[i] === '|' && depth === 0) {
+      ranges.push([start, i]);
+      start = i + 1;
+    }
+  }
+  ranges.push([start, to]);
+  return ranges;
+}
+
+// Trims whitespace around a range, as "{{RANDOM | a | b}}" means "a" or "b"
+function trimRange(text, [start, end]) {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return [start, end];
+}
+
+function parseMergeTag(text, open, close, ctx) {
+  const raw = text.slice(open, close + 2);
+  const content = text.slice(open + 2, close);
+  const pipe = content.indexOf('|');
+  const name = (pipe === -1 ? content : content.slice(0, pipe)).trim();
+  let fallback = null;
+  if (pipe !== -1) {
+    const rest = content.slice(pipe + 1).trim();
+    const liquid = rest.match(/^default\s*:\s*(["'])(.*)\1$/);
+    fallback = liquid ? liquid[2] : rest;
+  }
+  if (!VARIABLE_NAME_PATTERN.test(name)) {
+    ctx.issue(open, 'merge-tag-invalid', 'fail', `Merge tag ${raw} has no valid variable name`);
+  }
+  return { type: 'tag', name, key: normalizeVariable(name), fallback, raw };
+}
+
+function parseSpin(text, ranges, raw, ctx) {
+  return {
+    type: 'spin',
+    raw,
+    options: ranges.map(range => {
+      const [start, end] = trimRange(text, range);
+      return parseSegment(text, start, end, ctx);
+    }),
+  };
+}
+
+// Parses text[from, to) into text, tag and spin nodes, reporting problems
+// through ctx.issue()
+function parseSegment(text, from, to, ctx) {
+  const nodes = [];
+  let literal = '';
+  const flush = () => {
+    if (literal) nodes.push({ type: 'text', value: literal });
+    literal = '';
+  };
+
+  let i = from;
+  while (i < to) {
+    if (text.startsWith('{{', i)) {
+      const close = text.indexOf('}}', i + 2);
+      const content = close === -1 || close >= to ? null : text.slice(i + 2, close);
+      if (content === null || /[{\n]/.test(content)) {
+        // Usually a tag closed with a single brace, e.g. "{{first_name}"
+        const brace = text.indexOf('}', i + 2);
+        const end = brace !== -1 && brace < to && !text.slice(i + 2, brace).includes('\n') ? brace + 1 : i + 2;
+        ctx.issue(i, 'template-unbalanced-braces', 'fail', `"${text.slice(i, end)}" is not closed with "}}"`);
+        literal += text.slice(i, end);
+        i = end;
+        continue;
+      }
+      flush();
+      if (/^\s*random\s*\|/i.test(content)) {
+        const pipe = text.indexOf('|', i + 2);
+        nodes.push(parseSpin(text, splitOptions(text, pipe + 1, close), text.slice(i, close + 2), ctx));
+      } else {
+        nodes.push(parseMergeTag(text, i, close, ctx));
+      }
+      i = close + 2;
+      continue;
+    }
+
+    if (startsWithCI(text, '{spin}', i)) {
+      const close = text.toLowerCase().indexOf('{endspin}', i + 6);
+      if (close === -1 || close >= to) {
+        ctx.issue(i, 'template-unbalanced-braces', 'fail', '{spin} has no matching {endspin}');
+        literal += text.slice(i, i + 6);
+        i += 6;
+        continue;
+      }
+      flush();
+      nodes.push(parseSpin(text, splitOptions(text, i + 6, close), text.slice(i, close + 9), ctx));
+      i = close + 9;
+      continue;
+    }
+
+    if (text[i] === '{') {
+      const close = matchBrace(text, i, to);
+      if (close === -1) {
+        ctx.issue(i, 'template-unbalanced-braces', 'fail', 'Opening "{" has no matching "}"');
+        literal += '{';
+        i++;
+        continue;
+      }
+      const ranges = splitOptions(text, i + 1, close);
+      if (ranges.length > 1) {
+        flush();
+        nodes.push(parseSpin(text, ranges, text.slice(i, close + 1), ctx));
+      } else {
+        // Sent as is by every sequencer, so the recipient sees the braces.
+        // Anything that is not a name, like CSS rules in HTML, is left alone.
+        const raw = text.slice(i, close + 1);
+        if (VARIABLE_NAME_PATTERN.test(raw.slice(1, -1).trim())) {
+          ctx.issue(i, 'placeholder-single-brace', 'warning', `${raw} is not a merge tag – use {{${raw.slice(1, -1).trim()}}}`);
+        }
+        literal += raw;
+      }
+      i = close + 1;
+      continue;
+    }
+
+    if (text[i] === '}') {
+      ctx.issue(i, 'template-unbalanced-braces', 'fail', 'Closing "}" has no matching "{"');
+    }
+    literal += text[i];
+    i++;
+  }
+  flush();
+  return nodes;
+}
+
+// Parses one template field. Resolves to { nodes, findings }.
+export function parseTemplate(text, field = 'Body') {
+  const findings = [];
+  const ctx = {
+    issue(index, code, severity, message) {
+      findings.push({ code, severity, message: `${field} (${locate(text, index)}): ${message}` });
+    },
+  };
+  return { nodes: parseSegment(text, 0, text.length, ctx), findings };
+}
+
+// Every merge tag in the nodes, including those inside spintax options
+function collectTags(nodes) {
+  return nodes.flatMap(node => {
+    if (node.type === 'tag') return [node];
+    if (node.type === 'spin') return node.options.flatMap(collectTags);
+    return [];
+  });
+}
+
+// ---------- Expansion ----------
+
+export function countVariants(nodes) {
+  return nodes.reduce((total, node) => (
+    node.type === 'spin' ? total * node.options.reduce((sum, option) => sum + countVariants(option), 0) : total
+  ), 1);
+}
+
+function countGroups(nodes) {
+  return nodes.reduce((total, node) => (
+    node.type === 'spin' ? total + 1 + node.options.reduce((sum, option) => sum + countGroups(option), 0) : total
+  ), 0);
+}
+
+// Tags render as their fallback where they have one – the text recipients
+// with an empty field see – and as a sample value otherwise
+function renderTag(node) {
+  if (node.fallback) return node.fallback;
+  return KNOWN_VARIABLES[node.key] ?? node.name.replace(/[_.-]+/g, ' ');
+}
+
+function renderNode(node) {
+  return node.type === 'tag' ? renderTag(node) : node.value;
+}
+
+function expandAll(nodes) {
+  return nodes.reduce((variants, node) => {
+    const parts = node.type === 'spin' ? node.options.flatMap(expandAll) : [renderNode(node)];
+    return variants.flatMap(variant => parts.map(part => variant + part));
+  }, ['']);
+}
+
+// One variant, choosing each spintax option with `choose(count)`
+function renderWith(nodes, choose) {
+  return nodes.map(node => (node.type === 'spin' ? renderWith(node.options[choose(node.options.length)], choose) : renderNode(node))).join('');
+}
+
+// Deterministic PRNG, so the same template always samples the same variants
+function seededRandom(seedText) {
+  let seed = 0;
+  for (const char of seedText) seed = (Math.imul(seed, 31) + char.codePointAt(0)) | 0;
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// All subject/body combinations, or a sample of `max` of them (always
+// including the first option of every spintax) when there are more
+export function expandVariants(subjectNodes, bodyNodes, max = MAX_VARIANTS) {
+  const total = countVariants(subjectNodes) * countVariants(bodyNodes);
+  if (total <= max) {
+    const bodies = expandAll(bodyNodes);
+    return {
+      total,
+      sampled: false,
+      variants: expandAll(subjectNodes).flatMap(subject => bodies.map(body => ({ subject, body }))),
+    };
+  }
+
+  const random = seededRandom(JSON.stringify([subjectNodes, bodyNodes]));
+  const pick = count => Math.floor(random() * count);
+  const first = () => 0;
+  const seen = new Map();
+  for (let attempt = 0; seen.size < max && attempt < max * 4; attempt++) {
+    const choose = attempt === 0 ? first : pick;
+    const variant = { subject: renderWith(subjectNodes, choose), body: renderWith(bodyNodes, choose) };
+    seen.set(`${variant.subject}\n${variant.body}`, variant);
+  }
+  return { total, sampled: true, variants: [...seen.values()] };
+}
+
+// ---------- Validation ----------
+
+// Parses subject and body, checks their merge tags against the known fields
+// plus `variables` (custom fields of the account) and expands the variants.
+// Resolves to null for copy without any template syntax.
+export function checkTemplate(subject, body, { variables = [] } = {}) {
+  const parsedSubject = parseTemplate(subject, 'Subject');
+  const parsedBody = parseTemplate(body, 'Body');
+  const findings = [...parsedSubject.findings, ...parsedBody.findings];
+  const tags = [...collectTags(parsedSubject.nodes), ...collectTags(parsedBody.nodes)];
+  const hasSpintax = [...parsedSubject.nodes, ...parsedBody.nodes].some(node => node.type === 'spin');
+  if (!tags.length && !hasSpintax && !findings.length) return null;
+
+  const custom = new Set(variables.map(normalizeVariable));
+  const byVariable = new Map();
+  tags.filter(tag => VARIABLE_NAME_PATTERN.test(tag.name)).forEach(tag => {
+    const entry = byVariable.get(tag.key) || { name: tag.name, known: tag.key in KNOWN_VARIABLES || custom.has(tag.key), count: 0, withoutFallback: 0 };
+    entry.count++;
+    if (tag.fallback === null) entry.withoutFallback++;
+    byVariable.set(tag.key, entry);
+  });
+
+  byVariable.forEach((entry, key) => {
+    if (!entry.known) {
+      findings.push({ code: 'merge-tag-unknown', severity: 'warning', message: `Unknown variable {{${entry.name}}} – check the spelling or add it as a custom field` });
+    }
+    if (entry.withoutFallback && !SENDER_VARIABLES.has(key)) {
+      findings.push({ code: 'merge-tag-no-fallback', severity: 'warning', message: `{{${entry.name}}} has no fallback – leads without it get a blank, e.g. use {{${entry.name}|${key === 'firstname' ? 'there' : 'your fallback'}}}` });
+    }
+  });
+
+  const groups = countGroups(parsedSubject.nodes) + countGroups(parsedBody.nodes);
+  let expansion;
+  if (groups > MAX_SPINTAX_GROUPS) {
+    findings.push({ code: 'spintax-too-many', severity: 'warning', message: `${groups} spintax groups – only the first option of each was checked; use at most ${MAX_SPINTAX_GROUPS}` });
+    expansion = { ...expandVariants(parsedSubject.nodes, parsedBody.nodes, 1), total: null };
+  } else {
+    const maxVariants = Math.min(MAX_VARIANTS, Math.floor(MAX_EXPANDED_LENGTH / (subject.length + body.length)));
+    expansion = expandVariants(parsedSubject.nodes, parsedBody.nodes, Math.max(1, maxVariants));
+  }
+  return {
+    findings,
+    variables: [...byVariable.values()].map(({ name, known, count, withoutFallback }) => ({
+      name,
+      known,
+      count,
+      fallback: withoutFallback === 0,
+    })),
+    variantCount: expansion.total,
+    sampled: expansion.sampled,
+    variants: expansion.variants,
+  };
+}
@@ -0,0 +1,188 @@
+// Raw RFC 5322 message parsing: header fields (kept verbatim for signature
+// checks), addresses and a readable text body from the MIME parts.
+
+export const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+const MAX_MIME_DEPTH = 5;
+
+// ---------- Headers ----------
+
+// Unfolds header fields; `raw` keeps the field exactly as sent (minus the
+// final CRLF) for DKIM canonicalization
+export function parseHeaderBlock(block) {
+  const headers = [];
+  block.split('\r\n').forEach(line => {
+    if (/^[ \t]/.test(line) && headers.length) {
+      const last = headers[headers.length - 1];
+      last.raw += `\r\n${line}`;
+      last.value += ` ${line.trim()}`;
+      return;
+    }
+    const colon = line.indexOf(':');
+    // Skips mbox "From " separators and other non-field lines
+    if (colon <= 0 || /\s/.test(line.slice(0, colon))) return;
+    headers.push({
+      name: line.slice(0, colon),
+      value: line.slice(colon + 1).trim(),
+      raw: line,
+    });
+  });
+  return headers;
+}
+
+export function parseMessage(raw) {
+  // Pasted messages usually have bare LF line endings
+  const text = String(raw).replace(/\r?\n/g, '\r\n');
+  // A MIME part may have no headers at all
+  if (text.startsWith('\r\n')) {
+    return { headers: [], body: text.slice(2), headersOnly: false };
+  }
+  const split = text.indexOf('\r\n\r\n');
+  const headerBlock = split === -1 ? text : text.slice(0, split);
+  const body = split === -1 ? '' : text.slice(split + 4);
+  return {
+    headers: parseHeaderBlock(headerBlock),
+    body,
+    headersOnly: split === -1 || !body.trim(),
+  };
+}
+
+export function getHeaders(headers, name) {
+  const lower = name.toLowerCase();
+  return headers.filter(h => h.name.toLowerCase() === lower);
+}
+
+export function getHeader(headers, name) {
+  return getHeaders(headers, name)[0]?.value ?? null;
+}
+
+// ---------- Values ----------
+
+function decodeBytes(bytes, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+function decodeQuotedPrintable(text, underscoreIsSpace = false) {
+  const source = underscoreIsSpace ? text.replace(/_/g, ' ') : text;
+  const bytes = [];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '=' && /^[0-9a-f]{2}$/i.test(source.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(source.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else if (source[i] === '=' && source.slice(i + 1, i + 3) === '\r\n') {
+      // Soft line break
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(source[i]));
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// RFC 2047 encoded words, e.g. =?UTF-8?B?...?=
+export function decodeEncodedWords(value) {
+  return String(value || '')
+    .replace(/(=\?[^?]+\?[bq]\?[^?]*\?=)\s+(?==\?)/gi, '$1')
+    .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([bq])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+      const bytes = encoding.toLowerCase() === 'b'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text, true);
+      return decodeBytes(bytes, charset);
+    });
+}
+
+// First address in a header such as From or Return-Path
+export function parseAddress(value) {
+  if (!value) return null;
+  const angle = value.match(/<([^<>]*)>/);
+  const address = (angle ? angle[1] : (value.match(/[^\s<>,;"]+@[^\s<>,;"]+/) || [''])[0]).trim();
+  const name = angle ? decodeEncodedWords(value.slice(0, angle.index).trim().replace(/^"|"$/g, '')) : '';
+  const at = address.lastIndexOf('@');
+  return {
+    name: name || null,
+    address: address || null,
+    domain: at === -1 ? null : address.slice(at + 1).toLowerCase().replace(/\.$/, ''),
+  };
+}
+
+// "type/subtype; key=value" headers such as Content-Type
+export function parseContentType(value) {
+  const [type, ...params] = String(value || 'text/plain').split(';');
+  const result = { type: type.trim().toLowerCase() || 'text/plain', params: {} };
+  params.forEach(param => {
+    const eq = param.indexOf('=');
+    if (eq === -1) return;
+    result.params[param.slice(0, eq).trim().toLowerCase()] = param.slice(eq + 1).trim().replace(/^"|"$/g, '');
+  });
+  return result;
+}
+
+// ---------- Body ----------
+
+// 7bit/8bit bodies arrive already decoded as text
+function decodeTransfer(body, encoding, charset) {
+  switch ((encoding || '').trim().toLowerCase()) {
+    case 'base64':
+      return decodeBytes(Buffer.from(body.replace(/\s+/g, ''), 'base64'), charset);
+    case 'quoted-printable':
+      return decodeBytes(decodeQuotedPrintable(body), charset);
+    default:
+      return body;
+  }
+}
+
+export function htmlToText(html) {
+  return html
+    .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(Number(code)))
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Collects the text/plain and text/html parts, skipping attachments
+function collectParts(headers, body, parts, depth) {
+  const contentType = parseContentType(getHeader(headers, 'Content-Type'));
+  const disposition = (getHeader(headers, 'Content-Disposition') || '').toLowerCase();
+  if (disposition.startsWith('attachment')) return;
+
+  if (contentType.type.startsWith('multipart/') && contentType.params.boundary && depth < MAX_MIME_DEPTH) {
+    const boundary = contentType.params.boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const sections = body.split(new RegExp(`(?:^|\\r\\n)--${boundary}(?:--)?[ \\t]*(?:\\r\\n|$)`));
+    // The preamble before the first delimiter is not a part
+    sections.slice(1).forEach(section => {
+      if (!section.trim()) return;
+      const part = parseMessage(section);
+      collectParts(part.headers, part.body, parts, depth + 1);
+    });
+    return;
+  }
+  if (contentType.type === 'text/plain' || contentType.type === 'text/html') {
+    const text = decodeTransfer(body, getHeader(headers, 'Content-Transfer-Encoding'), contentType.params.charset);
+    parts.push({ type: contentType.type, text });
+  }
+}
+
+// The readable body: the text/plain part, or the HTML part converted to text
+export function extractBody(message) {
+  const parts = [];
+  collectParts(message.headers, message.body, parts, 0);
+  const plain = parts.find(p => p.type === 'text/plain');
+  const html = parts.find(p => p.type === 'text/html');
+  return {
+    text: plain ? plain.text.trim() : html ? htmlToText(html.text) : '',
+    html: html ? html.text : null,
+    parts: parts.map(p => p.type),
+  };
+}
@@ -0,0 +1,91 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Monthly usage metering: atomic increment-and-check against the per-tier
+// quotas in `usage_quotas`.
+
+// Metering is server-only, so callers cannot spend or refund on their own
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const METERED_FEATURES = ['domain', 'copy', 'rewrite', 'bulk'];
+
+// Counter column in `usage` for each feature
+export const USAGE_COLUMNS = {
+  domain: 'domain_checks',
+  copy: 'copy_checks',
+  rewrite: 'rewrites',
+  bulk: 'bulk_checks',
+};
+
+const FEATURE_LABELS = {
+  domain: 'domain check',
+  copy: 'copy check',
+  rewrite: 'AI rewrite',
+  bulk: 'bulk domain check',
+};
+
+// IETF RateLimit fields, so they don't clash with the per-minute
+// X-RateLimit-* headers of API keys
+function setQuotaHeaders(res, usage) {
+  if (usage.quota === null) return;
+  res.setHeader('RateLimit-Limit', usage.quota);
+  res.setHeader('RateLimit-Remaining', usage.remaining);
+  res.setHeader('RateLimit-Reset', Math.max(0, Math.ceil((new Date(usage.reset_at) - Date.now()) / 1000)));
+}
+
+// Spends `amount` of the feature's monthly quota. Resolves to { usage } when
+// allowed, or { status, error } to send back as is.
+export async function meterUsage(res, userId, feature, amount = 1) {
+  const { data, error } = await supabase
+    .rpc('meter_usage', { p_user_id: userId, p_feature: feature, p_amount: amount })
+    .single();
+
+  if (error) {
+    console.error('Usage metering error:', error);
+    return { status: 500, error: 'Failed to verify usage' };
+  }
+  setQuotaHeaders(res, data);
+
+  if (!data.allowed) {
+    const label = FEATURE_LABELS[feature];
+    if (data.quota === 0) {
+      return { status: 403, error: `${label[0].toUpperCase()}${label.slice(1)}s are not included in your plan` };
+    }
+    res.setHeader('Retry-After', Math.max(1, Math.ceil((new Date(data.reset_at) - Date.now()) / 1000)));
+    return {
+      status: 429,
+      error: amount > 1
+        ? `Needs ${amount} ${label}s but only ${data.remaining} remain this month`
+        : `Monthly ${label} limit reached`,
+    };
+  }
+  return { usage: data };
+}
+
+// Gives back quota spent on work that did not happen
+export async function refundUsage(userId, feature, amount = 1) {
+  if (amount <= 0) return;
+  const { error } = await supabase
+    .rpc('meter_usage', { p_user_id: userId, p_feature: feature, p_amount: -amount })
+    .single();
+
+  if (error) {
+    console.error('Usage refund error:', error);
+  }
+}
+
+// Quotas of a tier as { feature: limit }, null meaning unlimited
+export async function getQuotas(tier) {
+  const { data, error } = await supabase
+    .from('usage_quotas')
+    .select('feature, monthly_limit')
+    .eq('tier', tier);
+
+  if (error) throw error;
+  return Object.fromEntries(METERED_FEATURES.map(feature => {
+    const row = data.find(q => q.feature === feature);
+    return [feature, row ? row.monthly_limit : 0];
+  }));
+}
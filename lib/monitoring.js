@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import { isValidSelector, MAX_CUSTOM_SELECTORS } from './dkim.js';
+import { DOMAIN_PATTERN, normalizeDomain, runDomainChecks } from './domain-check.js';
+import { diffDomainSnapshots, recordCheck } from './history.js';
+import { isAllowedWebhookUrl } from './alerts.js';
+
+// Scheduled re-checks of monitored domains and the alert payload they produce.
+
+export const MAX_MONITORS = 50;
+export const MONITOR_INTERVAL_HOURS = 24;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export function generateWebhookSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Validates create/update input; with `partial` only the given fields are checked.
+// Returns { values } with database column names, or { error }.
+export function parseMonitorInput(body = {}, { partial = false } = {}) {
+  const values = {};
+
+  if (!partial || body.domain !== undefined) {
+    const domain = normalizeDomain(body.domain);
+    if (!DOMAIN_PATTERN.test(domain)) return { error: 'Invalid domain' };
+    values.domain = domain;
+  }
+  if (body.selectors !== undefined) {
+    const selectors = (Array.isArray(body.selectors) ? body.selectors : String(body.selectors || '').split(','))
+      .map(s => String(s).trim())
+      .filter(Boolean);
+    if (selectors.length > MAX_CUSTOM_SELECTORS) return { error: `At most ${MAX_CUSTOM_SELECTORS} DKIM selectors allowed` };
+    const invalid = selectors.find(s => !isValidSelector(s));
+    if (invalid) return { error: `Invalid DKIM selector: ${invalid}` };
+    values.selectors = selectors;
+  }
+  if (body.alertEmail !== undefined) {
+    const email = body.alertEmail ? String(body.alertEmail).trim() : null;
+    if (email && !EMAIL_PATTERN.test(email)) return { error: 'Invalid alert email' };
+    values.alert_email = email;
+  }
+  if (body.webhookUrl !== undefined) {
+    const url = body.webhookUrl ? String(body.webhookUrl).trim() : null;
+    if (url && !isAllowedWebhookUrl(url)) return { error: 'Webhook URL must be a public https:// address' };
+    values.webhook_url = url;
+  }
+  if (body.active !== undefined) {
+    values.active = Boolean(body.active);
+  }
+  return { values };
+}
+
+export function formatMonitor(monitor) {
+  return {
+    id: monitor.id,
+    domain: monitor.domain,
+    selectors: monitor.selectors,
+    alertEmail: monitor.alert_email,
+    webhookUrl: monitor.webhook_url,
+    webhookSecret: monitor.webhook_secret,
+    active: monitor.active,
+    lastCheckedAt: monitor.last_checked_at,
+    lastVerdict: monitor.last_verdict,
+    lastAlertedAt: monitor.last_alerted_at,
+    lastError: monitor.last_error,
+    createdAt: monitor.created_at,
+  };
+}
+
+export function buildAlertPayload(monitor, previous, current, diff) {
+  return {
+    event: 'domain.regression',
+    monitorId: monitor.id,
+    domain: monitor.domain,
+    verdict: current.verdict,
+    previousCheck: { id: previous.id, createdAt: previous.created_at },
+    currentCheck: { id: current.id, createdAt: current.createdAt },
+    regressions: diff.changes.filter(change => change.severity === 'regression'),
+    changes: diff.changes,
+  };
+}
+
+// Re-runs the domain check, stores the snapshot and diffs it against the
+// monitor's previous snapshot (none on the first run)
+export async function runMonitor(supabase, monitor) {
+  const result = await runDomainChecks(monitor.domain, { selectors: monitor.selectors || [] });
+  const createdAt = new Date().toISOString();
+  const historyId = await recordCheck(supabase, monitor.user_id, {
+    kind: 'domain',
+    domain: monitor.domain,
+    input: { monitorId: monitor.id, selectors: monitor.selectors || [] },
+    result,
+  });
+
+  let previous = null;
+  if (monitor.last_history_id) {
+    const { data, error } = await supabase
+      .from('check_history')
+      .select('id, result, created_at')
+      .eq('id', monitor.last_history_id)
+      .maybeSingle();
+    if (error) console.error('Monitor snapshot fetch error:', error);
+    previous = data || null;
+  }
+
+  const current = { id: historyId, createdAt, verdict: result.report.verdict };
+  const diff = previous ? diffDomainSnapshots(previous.result, result) : null;
+  return {
+    current,
+    diff,
+    alert: diff?.regressions ? buildAlertPayload(monitor, previous, current, diff) : null,
+  };
+}
@@ -0,0 +1,183 @@
+import { defaultFetcher } from './fetcher.js';
+
+// SMTP transport security: MTA-STS (RFC 8461) and TLS reporting (RFC 8460).
+
+const MAX_MAX_AGE = 31557600;
+// RFC 8461 recommends weeks; under a day gives senders little protection
+const SHORT_MAX_AGE = 86400;
+const MODES = ['enforce', 'testing', 'none'];
+
+// ---------- Shared ----------
+
+// `k=v; k=v` records; returns null when the version tag does not match
+function parseTagRecord(record, version) {
+  const tags = {};
+  const errors = [];
+  record.split(';').map(part => part.trim()).filter(Boolean).forEach(pair => {
+    const eq = pair.indexOf('=');
+    if (eq === -1) {
+      errors.push(`Malformed tag "${pair}"`);
+      return;
+    }
+    tags[pair.slice(0, eq).trim().toLowerCase()] = pair.slice(eq + 1).trim();
+  });
+  if (tags.v !== version) errors.push(`Record must start with "v=${version}"`);
+  return { tags, errors };
+}
+
+function statusFromFindings(findings, configured) {
+  if (findings.some(f => f.severity === 'fail')) return 'fail';
+  if (findings.some(f => f.severity === 'warning')) return 'warning';
+  return configured ? 'pass' : 'info';
+}
+
+async function fetchTXT(resolver, name, prefix) {
+  const result = await resolver.resolveTXT(name);
+  return result.answers.map(ans => ans.value).filter(value => prefix.test(value.trim()));
+}
+
+// ---------- MTA-STS ----------
+
+export function parseMtaStsPolicy(text) {
+  const policy = { version: null, mode: null, mx: [], maxAge: null };
+  const errors = [];
+
+  text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon === -1) {
+      errors.push(`Malformed line "${line}"`);
+      return;
+    }
+    const key = line.slice(0, colon).trim().toLowerCase();
+    const value = line.slice(colon + 1).trim();
+    if (key === 'version') policy.version = value;
+    else if (key === 'mode') policy.mode = value.toLowerCase();
+    else if (key === 'mx') policy.mx.push(value.toLowerCase().replace(/\.$/, ''));
+    else if (key === 'max_age') policy.maxAge = /^\d{1,10}$/.test(value) ? Number(value) : NaN;
+  });
+
+  if (policy.version !== 'STSv1') errors.push('"version: STSv1" is required');
+  if (!MODES.includes(policy.mode)) errors.push(`"mode" must be one of ${MODES.join(', ')}`);
+  if (policy.maxAge === null) {
+    errors.push('"max_age" is required');
+  } else if (Number.isNaN(policy.maxAge) || policy.maxAge > MAX_MAX_AGE) {
+    errors.push(`"max_age" must be a number of seconds up to ${MAX_MAX_AGE}`);
+  }
+  if (policy.mode !== 'none' && policy.mx.length === 0) errors.push('At least one "mx" pattern is required');
+
+  return { policy, errors };
+}
+
+// A "*." pattern matches exactly one extra leftmost label (RFC 8461 section 4.1)
+export function mxMatchesPattern(host, pattern) {
+  const name = host.toLowerCase().replace(/\.$/, '');
+  if (pattern.startsWith('*.')) {
+    const suffix = pattern.slice(1);
+    return name.endsWith(suffix) && !name.slice(0, -suffix.length).includes('.') && name.length > suffix.length;
+  }
+  return name === pattern;
+}
+
+export async function checkMtaSts(domain, { resolver, fetcher = defaultFetcher, mx = [] } = {}) {
+  const result = {
+    record: null,
+    id: null,
+    policyUrl: `https://mta-sts.${domain}/.well-known/mta-sts.txt`,
+    policy: null,
+    unmatchedMx: [],
+    findings: [],
+  };
+  const { findings } = result;
+
+  const records = await fetchTXT(resolver, `_mta-sts.${domain}`, /^v\s*=\s*STSv1/i);
+  if (records.length === 0) {
+    findings.push({ code: 'mta-sts-missing', severity: 'info', message: 'No MTA-STS record – senders may deliver over unencrypted or unverified TLS' });
+    return { ...result, status: 'info' };
+  }
+  if (records.length > 1) {
+    // Senders treat multiple records as no policy at all
+    findings.push({ code: 'mta-sts-multiple-records', severity: 'warning', message: `${records.length} MTA-STS records found; senders will ignore MTA-STS` });
+  }
+
+  result.record = records[0];
+  const { tags, errors } = parseTagRecord(records[0], 'STSv1');
+  result.id = tags.id || null;
+  if (!tags.id || !/^[a-z0-9]{1,32}$/i.test(tags.id)) errors.push('"id" must be 1–32 letters or digits');
+  errors.forEach(message => findings.push({ code: 'mta-sts-record-syntax', severity: 'warning', message }));
+
+  let response;
+  try {
+    response = await fetcher(result.policyUrl);
+  } catch (err) {
+    findings.push({ code: 'mta-sts-policy-unreachable', severity: 'warning', message: `Policy could not be fetched from ${result.policyUrl}: ${err.message}` });
+    return { ...result, status: statusFromFindings(findings, true) };
+  }
+  if (response.status >= 300 && response.status < 400) {
+    findings.push({ code: 'mta-sts-policy-redirect', severity: 'warning', message: 'Policy URL redirects; senders must not follow redirects' });
+    return { ...result, status: statusFromFindings(findings, true) };
+  }
+  if (response.status !== 200) {
+    findings.push({ code: 'mta-sts-policy-unreachable', severity: 'warning', message: `Policy URL returned HTTP ${response.status}` });
+    return { ...result, status: statusFromFindings(findings, true) };
+  }
+  if (!response.contentType.startsWith('text/plain')) {
+    findings.push({ code: 'mta-sts-policy-content-type', severity: 'warning', message: `Policy is served as "${response.contentType || 'no content type'}" instead of text/plain` });
+  }
+
+  const parsed = parseMtaStsPolicy(response.body);
+  result.policy = parsed.policy;
+  parsed.errors.forEach(message => findings.push({ code: 'mta-sts-policy-syntax', severity: 'warning', message }));
+
+  const { policy } = parsed;
+  if (policy.mode === 'testing') {
+    findings.push({ code: 'mta-sts-testing', severity: 'info', message: 'Policy is in testing mode – failures are reported but not enforced' });
+  } else if (policy.mode === 'none') {
+    findings.push({ code: 'mta-sts-mode-none', severity: 'info', message: 'Policy mode is "none" – MTA-STS is switched off' });
+  }
+  if (policy.maxAge !== null && !Number.isNaN(policy.maxAge) && policy.maxAge < SHORT_MAX_AGE) {
+    findings.push({ code: 'mta-sts-max-age-short', severity: 'info', message: `max_age is only ${policy.maxAge} seconds` });
+  }
+
+  if (policy.mode !== 'none' && policy.mx.length) {
+    result.unmatchedMx = mx.map(m => m.exchange).filter(host => !policy.mx.some(pattern => mxMatchesPattern(host, pattern)));
+    if (result.unmatchedMx.length) {
+      // In enforce mode senders refuse to deliver to MX hosts the policy does not list
+      findings.push({
+        code: 'mta-sts-mx-mismatch',
+        severity: policy.mode === 'enforce' ? 'fail' : 'warning',
+        message: `MX host(s) not covered by the policy: ${result.unmatchedMx.join(', ')}`,
+      });
+    }
+  }
+
+  return { ...result, status: statusFromFindings(findings, policy.mode === 'enforce') };
+}
+
+// ---------- TLS-RPT ----------
+
+export function parseTlsRpt(record) {
+  const { tags, errors } = parseTagRecord(record, 'TLSRPTv1');
+  const rua = (tags.rua || '').split(',').map(raw => raw.trim()).filter(Boolean).map(uri => ({
+    uri,
+    valid: /^mailto:[^@\s]+@[^@\s]+$/i.test(uri) || /^https:\/\/[^\s]+$/i.test(uri),
+  }));
+  if (!rua.length) errors.push('"rua" with at least one mailto: or https: address is required');
+  rua.filter(u => !u.valid).forEach(u => errors.push(`Invalid reporting URI "${u.uri}"`));
+  return { tags, rua, errors };
+}
+
+export async function checkTlsRpt(domain, { resolver } = {}) {
+  const findings = [];
+  const records = await fetchTXT(resolver, `_smtp._tls.${domain}`, /^v\s*=\s*TLSRPTv1/i);
+  if (records.length === 0) {
+    findings.push({ code: 'tls-rpt-missing', severity: 'info', message: 'No TLS-RPT record – you will not hear about TLS delivery failures' });
+    return { record: null, rua: [], status: 'info', findings };
+  }
+  if (records.length > 1) {
+    findings.push({ code: 'tls-rpt-multiple-records', severity: 'warning', message: `${records.length} TLS-RPT records found; reporters will ignore them` });
+  }
+
+  const { rua, errors } = parseTlsRpt(records[0]);
+  errors.forEach(message => findings.push({ code: 'tls-rpt-syntax', severity: 'warning', message }));
+  return { record: records[0], rua, status: statusFromFindings(findings, true), findings };
+}
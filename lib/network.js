@@ -0,0 +1,53 @@
+import dns from 'dns';
+import net from 'net';
+
+// Outbound connections to hosts taken from user input or DNS records (MX
+// hosts, policy and logo URLs, webhooks) must not reach the deployment's own
+// network: loopback, private, link-local and carrier-grade NAT ranges, nor
+// benchmarking, multicast or reserved addresses.
+
+const privateRanges = new net.BlockList();
+privateRanges.addSubnet('0.0.0.0', 8);
+privateRanges.addSubnet('10.0.0.0', 8);
+privateRanges.addSubnet('127.0.0.0', 8);
+privateRanges.addSubnet('169.254.0.0', 16);
+privateRanges.addSubnet('172.16.0.0', 12);
+privateRanges.addSubnet('192.168.0.0', 16);
+privateRanges.addSubnet('100.64.0.0', 10);
+privateRanges.addSubnet('198.18.0.0', 15);
+privateRanges.addSubnet('224.0.0.0', 4);
+privateRanges.addSubnet('240.0.0.0', 4);
+privateRanges.addAddress('::', 'ipv6');
+privateRanges.addAddress('::1', 'ipv6');
+privateRanges.addSubnet('fc00::', 7, 'ipv6');
+privateRanges.addSubnet('fe80::', 10, 'ipv6');
+privateRanges.addSubnet('ff00::', 8, 'ipv6');
+
+// True for IP addresses in a private range, including IPv4-mapped IPv6 ones
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return privateRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Host names that never resolve to a public address
+export function isPrivateHostname(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal') || isPrivateAddress(host);
+}
+
+// dns.lookup() for http.request() and net.connect() that drops private
+// addresses, so the check applies to the address actually dialed
+export function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const allowed = addresses.filter(entry => !isPrivateAddress(entry.address));
+    if (!allowed.length) {
+      const error = new Error(`${hostname} resolves to a private address`);
+      error.code = 'EPRIVATEADDRESS';
+      return callback(error);
+    }
+    if (options.all) return callback(null, allowed);
+    return callback(null, allowed[0].address, allowed[0].family);
+  });
+}
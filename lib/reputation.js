@@ -0,0 +1,202 @@
+import net from 'net';
+import { mapWithConcurrency } from './concurrency.js';
+import { reversedLabels } from './resolver.js';
+
+// DNS blocklist (DNSBL for IPs, RHSBL for domains) reputation checks.
+
+// Return codes per zone. `bitmask` zones encode several lists in the last octet.
+export const KNOWN_ZONES = {
+  'zen.spamhaus.org': {
+    name: 'Spamhaus ZEN',
+    codes: {
+      '127.0.0.2': { reason: 'SBL – verified spam source', severity: 'fail' },
+      '127.0.0.3': { reason: 'SBL CSS – low-reputation snowshoe sender', severity: 'fail' },
+      '127.0.0.4': { reason: 'XBL – compromised host or botnet', severity: 'fail' },
+      '127.0.0.9': { reason: 'DROP – hijacked network', severity: 'fail' },
+      '127.0.0.10': { reason: 'PBL – ISP says this IP should not send direct mail', severity: 'warning' },
+      '127.0.0.11': { reason: 'PBL – Spamhaus says this IP should not send direct mail', severity: 'warning' },
+    },
+    errors: ['127.255.255.252', '127.255.255.254', '127.255.255.255'],
+  },
+  'bl.spamcop.net': {
+    name: 'SpamCop',
+    codes: { '127.0.0.2': { reason: 'Reported as a spam source by SpamCop users', severity: 'fail' } },
+  },
+  'b.barracudacentral.org': {
+    name: 'Barracuda',
+    codes: { '127.0.0.2': { reason: 'Poor reputation in Barracuda Central', severity: 'fail' } },
+  },
+  'psbl.surriel.com': {
+    name: 'PSBL',
+    codes: { '127.0.0.2': { reason: 'Sent mail to spam traps', severity: 'fail' } },
+  },
+  'dbl.spamhaus.org': {
+    name: 'Spamhaus DBL',
+    codes: {
+      '127.0.1.2': { reason: 'Spam domain', severity: 'fail' },
+      '127.0.1.4': { reason: 'Phishing domain', severity: 'fail' },
+      '127.0.1.5': { reason: 'Malware domain', severity: 'fail' },
+      '127.0.1.6': { reason: 'Botnet C&C domain', severity: 'fail' },
+      '127.0.1.102': { reason: 'Abused legitimate domain – spam', severity: 'fail' },
+      '127.0.1.103': { reason: 'Abused legitimate domain – redirector', severity: 'fail' },
+      '127.0.1.104': { reason: 'Abused legitimate domain – phishing', severity: 'fail' },
+      '127.0.1.105': { reason: 'Abused legitimate domain – malware', severity: 'fail' },
+      '127.0.1.106': { reason: 'Abused legitimate domain – botnet C&C', severity: 'fail' },
+    },
+    errors: ['127.0.1.255', '127.255.255.252', '127.255.255.254', '127.255.255.255'],
+  },
+  'multi.surbl.org': {
+    name: 'SURBL',
+    bitmask: {
+      8: { reason: 'Phishing (SURBL PH)', severity: 'fail' },
+      16: { reason: 'Malware (SURBL MW)', severity: 'fail' },
+      64: { reason: 'Spam/abuse (SURBL ABUSE)', severity: 'fail' },
+      128: { reason: 'Cracked site (SURBL CR)', severity: 'fail' },
+    },
+  },
+  'multi.uribl.com': {
+    name: 'URIBL',
+    bitmask: {
+      2: { reason: 'URIBL black – seen in spam', severity: 'fail' },
+      4: { reason: 'URIBL grey – bulk sender', severity: 'warning' },
+      8: { reason: 'URIBL red – recently seen in spam', severity: 'fail' },
+    },
+    errors: ['127.0.0.1'],
+  },
+};
+
+export const DEFAULT_IP_ZONES = ['zen.spamhaus.org', 'bl.spamcop.net', 'b.barracudacentral.org', 'psbl.surriel.com'];
+export const DEFAULT_DOMAIN_ZONES = ['dbl.spamhaus.org', 'multi.surbl.org', 'multi.uribl.com'];
+
+const MAX_IPS = 20;
+const MAX_PARALLEL_LOOKUPS = 10;
+
+function zonesFromEnv(name, fallback) {
+  const value = process.env[name];
+  return value ? value.split(',').map(z => z.trim()).filter(Boolean) : fallback;
+}
+
+// Zones can be overridden per call or with DNSBL_ZONES / RHSBL_ZONES
+export function configuredZones({ ipZones, domainZones } = {}) {
+  return {
+    ipZones: ipZones || zonesFromEnv('DNSBL_ZONES', DEFAULT_IP_ZONES),
+    domainZones: domainZones || zonesFromEnv('RHSBL_ZONES', DEFAULT_DOMAIN_ZONES),
+  };
+}
+
+// ---------- Decoding ----------
+
+export function decodeListing(zone, addresses) {
+  const info = KNOWN_ZONES[zone] || { name: zone };
+  const reasons = [];
+  let queryError = false;
+
+  addresses.forEach(address => {
+    if (info.errors?.includes(address)) {
+      queryError = true;
+      return;
+    }
+    if (info.bitmask) {
+      const last = Number(address.split('.')[3]);
+      Object.entries(info.bitmask).forEach(([bit, entry]) => {
+        if (last & Number(bit)) reasons.push({ code: address, ...entry });
+      });
+    } else if (info.codes?.[address]) {
+      reasons.push({ code: address, ...info.codes[address] });
+    } else if (address.startsWith('127.')) {
+      reasons.push({ code: address, reason: `Listed on ${info.name}`, severity: 'fail' });
+    }
+  });
+
+  return { name: info.name, reasons, queryError };
+}
+
+// ---------- Lookups ----------
+
+async function resolveIPv4(resolver, host) {
+  try {
+    const result = await resolver.resolveA(host);
+    return result.answers.map(ans => ans.address);
+  } catch (err) {
+    return [];
+  }
+}
+
+async function queryZone(resolver, name) {
+  const result = await resolver.resolveA(name);
+  return result.answers.map(ans => ans.address);
+}
+
+// IPv4 addresses to test: MX hosts plus (optionally) single hosts from SPF
+export async function collectSendingIPs({ resolver, mx = [], spfNetworks = [] }) {
+  const ips = new Map();
+  const resolved = await Promise.all(mx.map(async record => ({
+    host: record.exchange,
+    addresses: await resolveIPv4(resolver, record.exchange),
+  })));
+  resolved.forEach(({ host, addresses }) => {
+    addresses.forEach(address => { if (!ips.has(address)) ips.set(address, `mx:${host}`); });
+  });
+  spfNetworks.forEach(network => {
+    const [address, prefix] = network.split('/');
+    // Ranges cannot be enumerated, so only single-host entries are tested
+    if (net.isIPv4(address) && (!prefix || prefix === '32') && !ips.has(address)) {
+      ips.set(address, 'spf');
+    }
+  });
+  return [...ips.entries()].slice(0, MAX_IPS).map(([ip, source]) => ({ ip, source }));
+}
+
+export async function checkReputation(domain, { resolver, mx = [], spfNetworks = [], ipZones, domainZones } = {}) {
+  const zones = configuredZones({ ipZones, domainZones });
+  const ips = await collectSendingIPs({ resolver, mx, spfNetworks });
+
+  const queries = [
+    ...ips.flatMap(({ ip, source }) => zones.ipZones.map(zone => ({
+      type: 'ip', target: ip, source, zone, name: `${reversedLabels(ip)}.${zone}`,
+    }))),
+    ...zones.domainZones.map(zone => ({
+      type: 'domain', target: domain, source: 'domain', zone, name: `${domain}.${zone}`,
+    })),
+  ];
+
+  const errors = [];
+  const results = await mapWithConcurrency(queries, MAX_PARALLEL_LOOKUPS, async query => {
+    try {
+      const addresses = await queryZone(resolver, query.name);
+      if (!addresses.length) return null;
+      const decoded = decodeListing(query.zone, addresses);
+      if (decoded.queryError) {
+        errors.push({ zone: query.zone, message: `${decoded.name} refused the query (resolver blocked or rate limited)` });
+        return null;
+      }
+      return decoded.reasons.length ? { ...query, zoneName: decoded.name, reasons: decoded.reasons } : null;
+    } catch (err) {
+      errors.push({ zone: query.zone, message: err.message });
+      return null;
+    }
+  });
+  const listings = results.filter(Boolean).map(({ name, ...listing }) => listing);
+
+  const findings = listings.map(listing => ({
+    code: listing.type === 'ip' ? 'dnsbl-listed' : 'rhsbl-listed',
+    severity: listing.reasons.some(r => r.severity === 'fail') ? 'fail' : 'warning',
+    message: `${listing.target} is listed on ${listing.zoneName}: ${listing.reasons.map(r => r.reason).join('; ')}`,
+  }));
+  if (!ips.length) {
+    findings.push({ code: 'dnsbl-no-ips', severity: 'warning', message: 'No sending IPs could be resolved to check against IP blocklists' });
+  }
+
+  const status = findings.some(f => f.severity === 'fail') ? 'fail'
+    : findings.length ? 'warning'
+      : 'pass';
+
+  return {
+    ips,
+    zones,
+    listings,
+    errors,
+    status,
+    findings,
+  };
+}
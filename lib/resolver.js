@@ -0,0 +1,72 @@
+import DNS from 'dns2';
+
+const { Packet } = DNS;
+
+// NXDOMAIN response code (RFC 1035)
+export const RCODE_NXDOMAIN = 3;
+
+// Name servers can be pointed elsewhere (e.g. a local stand-in) with
+// DNS_NAMESERVERS=127.0.0.1 and DNS_PORT=5353.
+function defaultOptions() {
+  const options = {};
+  if (process.env.DNS_NAMESERVERS) {
+    options.nameServers = process.env.DNS_NAMESERVERS.split(',').map(s => s.trim()).filter(Boolean);
+  }
+  if (process.env.DNS_PORT) {
+    options.port = Number(process.env.DNS_PORT);
+  }
+  return options;
+}
+
+// Thin wrapper around dns2 that returns `{ rcode, answers }` for each record
+// type. Lookups never throw on NXDOMAIN/NODATA – `answers` is simply empty.
+export function createResolver(options = {}) {
+  const client = new DNS({ ...defaultOptions(), ...options });
+
+  async function query(name, type) {
+    const response = await client.resolve(name, type);
+    return {
+      rcode: response.header.rcode,
+      // Drop CNAMEs and other records the server chained into the answer
+      answers: response.answers.filter(ans => ans.type === Packet.TYPE[type]),
+    };
+  }
+
+  return {
+    resolveA: name => query(name, 'A'),
+    resolveAAAA: name => query(name, 'AAAA'),
+    resolveMX: name => query(name, 'MX'),
+    resolvePTR: name => query(name, 'PTR'),
+    resolveCNAME: name => query(name, 'CNAME'),
+    async resolveTXT(name) {
+      const result = await query(name, 'TXT');
+      return {
+        ...result,
+        answers: result.answers.map(ans => ({ ...ans, value: ans.data })),
+      };
+    },
+  };
+}
+
+// Address labels in reverse order: octets for IPv4, nibbles for IPv6
+export function reversedLabels(ip) {
+  if (ip.includes(':')) {
+    return expandIPv6(ip).replace(/:/g, '').split('').reverse().join('.');
+  }
+  return ip.split('.').reverse().join('.');
+}
+
+// Reverse-lookup (PTR) name for an IPv4 or IPv6 address
+export function reverseName(ip) {
+  return `${reversedLabels(ip)}.${ip.includes(':') ? 'ip6.arpa' : 'in-addr.arpa'}`;
+}
+
+export function expandIPv6(ip) {
+  const [head, tail = ''] = ip.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail ? tail.split(':') : [];
+  const missing = ip.includes('::') ? 8 - headParts.length - tailParts.length : 0;
+  return [...headParts, ...Array(missing).fill('0'), ...tailParts]
+    .map(part => part.padStart(4, '0'))
+    .join(':');
+}
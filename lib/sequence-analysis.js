@@ -0,0 +1,178 @@
+import { REPLY_PREFIX_PATTERN } from './compliance-profiles.js';
+import { analyzeTemplate } from './copy-analysis.js';
+import { segmentWords } from './copy-languages.js';
+import { copyLengthError } from './copy-options.js';
+
+// Multi-step cold email sequences: every step gets the full copy analysis,
+// and the sequence is checked for near-duplicate steps, fake reply and
+// forward prefixes, aggressive cadence and steps without an unsubscribe.
+
+export const MAX_SEQUENCE_STEPS = 10;
+const MAX_DAY_OFFSET = 365;
+
+// Word-trigram overlap above which two steps count as the same email
+const DUPLICATE_SIMILARITY = 0.8;
+// Fewer days than this between steps is pushy
+const MIN_GAP_DAYS = 2;
+const MAX_STEPS_FIRST_WEEK = 3;
+
+// The forwarding ones among the reply prefixes
+const FORWARD_PATTERN = /^\s*(fwd?|wg|tr|rv)\s*(\[\d+\])?\s*:/i;
+
+const VERDICT_RANK = { compliant: 0, 'needs-review': 1, 'non-compliant': 2 };
+
+export const SEQUENCE_RECOMMENDATIONS = {
+  'sequence-fake-reply': 'Only use "Re:" or "Fwd:" on follow-ups sent in the thread they refer to – fake replies are deceptive (CAN-SPAM) and get flagged.',
+  'sequence-duplicate-steps': 'Rewrite near-identical follow-ups – each step should add something new.',
+  'sequence-same-day': 'Never send two steps on the same day.',
+  'sequence-cadence-aggressive': `Space follow-ups at least ${MIN_GAP_DAYS}-3 days apart, and further apart later in the sequence.`,
+  'sequence-too-many-first-week': `Send at most ${MAX_STEPS_FIRST_WEEK} emails in the first week.`,
+  'sequence-unsubscribe-missing': 'Every step needs an unsubscribe option, not just the first one.',
+};
+
+function finding(code, severity, message) {
+  return { code, severity, message };
+}
+
+// ---------- Input ----------
+
+// Validates { steps: [{ subject, body, dayOffset }] }; returns { values } or { error }
+export function parseSequenceInput(body = {}) {
+  const { steps } = body;
+  if (!Array.isArray(steps) || !steps.length) return { error: 'steps must be a non-empty array' };
+  if (steps.length > MAX_SEQUENCE_STEPS) return { error: `At most ${MAX_SEQUENCE_STEPS} steps allowed` };
+
+  const values = [];
+  for (const [index, step] of steps.entries()) {
+    const label = `Step ${index + 1}`;
+    if (!step || typeof step !== 'object') return { error: `${label} must be an object` };
+    const { subject = '', body: text = '', dayOffset } = step;
+    if (typeof subject !== 'string' || typeof text !== 'string') return { error: `${label}: subject and body must be strings` };
+    if (!text.trim()) return { error: `${label}: body required` };
+    const lengthError = copyLengthError(subject, text);
+    if (lengthError) return { error: `${label}: ${lengthError}` };
+    if (!Number.isInteger(dayOffset) || dayOffset < 0 || dayOffset > MAX_DAY_OFFSET) {
+      return { error: `${label}: dayOffset must be an integer from 0 to ${MAX_DAY_OFFSET}` };
+    }
+    if (index && dayOffset < values[index - 1].dayOffset) {
+      return { error: `${label}: dayOffset is before step ${index}'s – list steps in sending order` };
+    }
+    values.push({ subject, body: text, dayOffset });
+  }
+  if (!values[0].subject.trim()) return { error: 'Step 1: subject required' };
+  return { values };
+}
+
+// ---------- Checks ----------
+
+function baseSubject(subject) {
+  return subject.replace(REPLY_PREFIX_PATTERN, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// How the step shows up in the recipient's inbox. An empty subject is sent
+// in the previous step's thread, as sequencers do.
+function threadOf(steps, index) {
+  const { subject } = steps[index];
+  if (!subject.trim()) return index ? { type: 'thread', fake: false } : { type: 'new', fake: false };
+  if (!REPLY_PREFIX_PATTERN.test(subject)) return { type: 'new', fake: false };
+
+  const type = FORWARD_PATTERN.test(subject) ? 'forward' : 'reply';
+  const base = baseSubject(subject);
+  const earlier = steps.slice(0, index).some(step => step.subject.trim() && baseSubject(step.subject) === base);
+  return { type, fake: !earlier };
+}
+
+function shingles(text) {
+  const words = segmentWords(text);
+  if (words.length < 3) return new Set(words);
+  return new Set(words.slice(2).map((word, i) => `${words[i]} ${words[i + 1]} ${word}`));
+}
+
+function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  const shared = [...a].filter(item => b.has(item)).length;
+  return shared / (a.size + b.size - shared);
+}
+
+// ---------- Analysis ----------
+
+// `options` are passed on to analyzeTemplate() for every step
+export function analyzeSequence(steps, options = {}) {
+  // Fake reply and forward prefixes; genuine ones are not misleading subjects
+  // to the jurisdiction checks either
+  const threads = steps.map((step, index) => threadOf(steps, index));
+  const reports = steps.map((step, index) => analyzeTemplate(step.subject, step.body, {
+    ...options,
+    inThread: threads[index].type !== 'new' && !threads[index].fake,
+  }));
+  const findings = [];
+
+  threads.forEach((thread, index) => {
+    if (thread.fake) {
+      findings.push(finding('sequence-fake-reply', 'fail', `Step ${index + 1}: "${steps[index].subject}" looks like a ${thread.type} but no earlier step has that subject`));
+    }
+  });
+
+  // Near-duplicates, compared on the text the recipient reads
+  const texts = reports.map((report, index) => shingles(report.html?.text ?? steps[index].body));
+  for (let i = 0; i < steps.length; i++) {
+    for (let j = i + 1; j < steps.length; j++) {
+      const score = similarity(texts[i], texts[j]);
+      if (score >= DUPLICATE_SIMILARITY) {
+        findings.push(finding('sequence-duplicate-steps', 'warning', `Steps ${i + 1} and ${j + 1} are ${Math.round(score * 100)}% identical`));
+      }
+    }
+  }
+
+  // Cadence
+  steps.slice(1).forEach((step, i) => {
+    const gap = step.dayOffset - steps[i].dayOffset;
+    if (gap === 0) {
+      findings.push(finding('sequence-same-day', 'fail', `Steps ${i + 1} and ${i + 2} are sent on the same day`));
+    } else if (gap < MIN_GAP_DAYS) {
+      findings.push(finding('sequence-cadence-aggressive', 'warning', `Step ${i + 2} follows step ${i + 1} after only ${gap} day`));
+    }
+  });
+  const firstWeek = steps.filter(step => step.dayOffset - steps[0].dayOffset < 7).length;
+  if (firstWeek > MAX_STEPS_FIRST_WEEK) {
+    findings.push(finding('sequence-too-many-first-week', 'warning', `${firstWeek} emails in the first week`));
+  }
+
+  const withoutUnsubscribe = reports.map((report, index) => (report.unsubscribe.present ? null : index + 1)).filter(Boolean);
+  if (withoutUnsubscribe.length) {
+    findings.push(finding('sequence-unsubscribe-missing', 'fail', `No unsubscribe option in step${withoutUnsubscribe.length === 1 ? '' : 's'} ${withoutUnsubscribe.join(', ')}`));
+  }
+
+  // The sequence is as good as its worst step, and needs a second look when a
+  // sequence check fails
+  const worstStep = reports.reduce((w, report, index) => (
+    report.scores.compliance < reports[w].scores.compliance ? index : w
+  ), 0);
+  let verdict = reports.reduce((worst, report) => (
+    VERDICT_RANK[report.verdict] > VERDICT_RANK[worst] ? report.verdict : worst
+  ), 'compliant');
+  if (verdict === 'compliant' && findings.some(f => f.severity === 'fail')) verdict = 'needs-review';
+
+  const recommendations = [...new Set(findings.map(f => SEQUENCE_RECOMMENDATIONS[f.code]))];
+  reports.forEach((report, index) => {
+    if (report.verdict !== 'compliant') recommendations.push(`Step ${index + 1}: ${report.recommendations[0]}`);
+  });
+
+  return {
+    steps: steps.map((step, index) => ({
+      step: index + 1,
+      dayOffset: step.dayOffset,
+      subject: step.subject,
+      thread: threads[index].type,
+      report: reports[index],
+    })),
+    findings,
+    scores: {
+      compliance: reports[worstStep].scores.compliance,
+      steps: reports.map(report => report.scores.compliance),
+    },
+    worstStep: worstStep + 1,
+    verdict,
+    recommendations,
+  };
+}
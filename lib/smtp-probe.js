@@ -0,0 +1,382 @@
+import net from 'net';
+import tls from 'tls';
+import { mapWithConcurrency } from './concurrency.js';
+import { isPrivateAddress } from './network.js';
+import { reverseName } from './resolver.js';
+
+// Optional SMTP probe of MX hosts: banner, EHLO capabilities, STARTTLS and the
+// certificate, plus forward-confirmed reverse DNS. The probe only ever sends
+// EHLO/HELO, STARTTLS and QUIT – it never starts a mail transaction.
+
+export const DEFAULT_SMTP_PORT = 25;
+export const DEFAULT_PROBE_TIMEOUT_MS = 10000;
+export const MAX_PROBE_TIMEOUT_MS = 20000;
+export const MAX_PROBED_HOSTS = 5;
+
+const PROBE_CONCURRENCY = 3;
+const CERT_EXPIRY_WARNING_DAYS = 14;
+
+// The port, the address every host is dialed at and the EHLO name can be
+// pointed at a local stand-in with SMTP_PROBE_PORT=2525 and
+// SMTP_PROBE_CONNECT_HOST=127.0.0.1.
+function defaultOptions() {
+  const options = {};
+  if (process.env.SMTP_PROBE_PORT) options.port = Number(process.env.SMTP_PROBE_PORT);
+  if (process.env.SMTP_PROBE_CONNECT_HOST) options.connectHost = process.env.SMTP_PROBE_CONNECT_HOST;
+  if (process.env.SMTP_PROBE_HELO) options.heloName = process.env.SMTP_PROBE_HELO;
+  return options;
+}
+
+function finding(code, severity, message) {
+  return { code, severity, message };
+}
+
+// ---------- SMTP Session ----------
+
+// Line-oriented SMTP client over a socket that can be swapped for its TLS
+// upgrade. Every read shares one deadline for the whole host.
+function createSession(socket, deadline) {
+  let buffer = '';
+  let lines = [];
+  let pending = null;
+  let failure = null;
+  let current = null;
+
+  function settle() {
+    if (!pending) return;
+    if (failure) {
+      const { reject } = pending;
+      pending = null;
+      reject(failure);
+      return;
+    }
+    const last = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (last === -1) return;
+    const reply = lines.slice(0, last + 1);
+    lines = lines.slice(last + 1);
+    const { resolve } = pending;
+    pending = null;
+    resolve({
+      code: Number(reply[last].slice(0, 3)),
+      lines: reply.map(line => line.slice(4)),
+    });
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString('latin1');
+    const parts = buffer.split(/\r?\n/);
+    buffer = parts.pop();
+    lines.push(...parts);
+    settle();
+  }
+
+  function onError(err) {
+    failure = failure || err;
+    settle();
+  }
+
+  function onClose() {
+    onError(new Error('Connection closed by server'));
+  }
+
+  function attach(next) {
+    if (current) {
+      current.off('data', onData);
+      current.off('error', onError);
+      current.off('close', onClose);
+    }
+    current = next;
+    current.on('data', onData);
+    current.on('error', onError);
+    current.on('close', onClose);
+  }
+
+  attach(socket);
+  deadline.onExpire(() => onError(new Error('Timed out')));
+
+  return {
+    read() {
+      return new Promise((resolve, reject) => {
+        pending = { resolve, reject };
+        settle();
+      });
+    },
+    async command(line) {
+      current.write(`${line}\r\n`);
+      return this.read();
+    },
+    // Hands the raw socket over to TLS; attach() the upgraded socket afterwards
+    detach() {
+      current.off('data', onData);
+      current.off('close', onClose);
+    },
+    attach,
+    get socket() {
+      return current;
+    },
+  };
+}
+
+function createDeadline(timeoutMs) {
+  const listeners = [];
+  const timer = setTimeout(() => listeners.forEach(fn => fn()), timeoutMs);
+  return {
+    onExpire: fn => listeners.push(fn),
+    clear: () => clearTimeout(timer),
+  };
+}
+
+function connect(address, port, deadline) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host: address, port });
+    const fail = err => {
+      socket.destroy();
+      reject(err);
+    };
+    deadline.onExpire(() => fail(new Error('Timed out connecting')));
+    socket.once('error', fail);
+    socket.once('connect', () => {
+      socket.off('error', fail);
+      resolve(socket);
+    });
+  });
+}
+
+function upgradeToTLS(socket, servername, deadline) {
+  return new Promise((resolve, reject) => {
+    // Validation is reported as findings rather than aborting the handshake
+    const secure = tls.connect({
+      socket,
+      servername: net.isIP(servername) ? undefined : servername,
+      rejectUnauthorized: false,
+    });
+    const fail = err => {
+      secure.destroy();
+      reject(err);
+    };
+    deadline.onExpire(() => fail(new Error('Timed out during TLS handshake')));
+    secure.once('error', fail);
+    secure.once('secureConnect', () => {
+      secure.off('error', fail);
+      resolve(secure);
+    });
+  });
+}
+
+// ---------- Certificate ----------
+
+function certificateNames(cert) {
+  return (cert.subjectaltname || '').split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry.startsWith('DNS:'))
+    .map(entry => entry.slice(4).toLowerCase());
+}
+
+export function inspectPeerCertificate(secure, host, now = new Date()) {
+  const cert = secure.getPeerCertificate(true);
+  if (!cert || !Object.keys(cert).length) {
+    return { present: false, findings: [finding('smtp-cert-missing', 'warning', 'Server did not present a certificate')] };
+  }
+
+  // Walk up the chain the server sent until the self-signed root
+  let chainLength = 1;
+  for (let link = cert; link.issuerCertificate && link.issuerCertificate !== link; link = link.issuerCertificate) {
+    chainLength++;
+  }
+
+  const validTo = new Date(cert.valid_to);
+  const daysUntilExpiry = Math.floor((validTo - now) / (1000 * 60 * 60 * 24));
+  const hostnameError = tls.checkServerIdentity(host, cert);
+  const result = {
+    present: true,
+    subject: cert.subject?.CN || null,
+    issuer: cert.issuer?.O || cert.issuer?.CN || null,
+    validFrom: new Date(cert.valid_from).toISOString(),
+    validTo: validTo.toISOString(),
+    daysUntilExpiry,
+    names: certificateNames(cert),
+    hostnameMatch: !hostnameError,
+    chainValid: secure.authorized,
+    chainError: secure.authorizationError ? String(secure.authorizationError) : null,
+    chainLength,
+    findings: [],
+  };
+
+  if (daysUntilExpiry < 0) {
+    result.findings.push(finding('smtp-cert-expired', 'warning', `Certificate expired on ${result.validTo.split('T')[0]}`));
+  } else if (daysUntilExpiry <= CERT_EXPIRY_WARNING_DAYS) {
+    result.findings.push(finding('smtp-cert-expiring', 'info', `Certificate expires in ${daysUntilExpiry} days`));
+  }
+  if (hostnameError) {
+    result.findings.push(finding('smtp-cert-hostname-mismatch', 'warning', `Certificate does not cover ${host}`));
+  }
+  // An expired leaf already has its own finding
+  if (!secure.authorized && result.chainError !== 'CERT_HAS_EXPIRED') {
+    result.findings.push(finding('smtp-cert-untrusted', 'warning', `Certificate chain is not trusted (${result.chainError})`));
+  }
+  return result;
+}
+
+// ---------- Reverse DNS ----------
+
+async function lookupAddresses(resolver, host) {
+  const [v4, v6] = await Promise.all([resolver.resolveA(host), resolver.resolveAAAA(host)]);
+  return [...v4.answers, ...v6.answers].map(ans => ans.address);
+}
+
+// Forward-confirmed reverse DNS: a PTR name for the IP that resolves back to it
+export async function checkFCrDNS(resolver, ip) {
+  const ptr = (await resolver.resolvePTR(reverseName(ip))).answers.map(ans => ans.domain.toLowerCase().replace(/\.$/, ''));
+  const confirmed = [];
+  for (const name of ptr) {
+    const addresses = await lookupAddresses(resolver, name);
+    if (addresses.includes(ip)) confirmed.push(name);
+  }
+  return { ip, ptr, confirmed, forwardConfirmed: confirmed.length > 0 };
+}
+
+// ---------- Probe ----------
+
+// Probes one MX host. `connectHost` overrides the address dialed (tests);
+// `timeoutMs` bounds the whole conversation with the host.
+export async function probeSmtpHost(host, options = {}) {
+  const {
+    resolver,
+    port = DEFAULT_SMTP_PORT,
+    timeoutMs = DEFAULT_PROBE_TIMEOUT_MS,
+    connectHost = null,
+    heloName = 'localhost',
+  } = { ...defaultOptions(), ...options };
+
+  const result = {
+    host,
+    port,
+    addresses: [],
+    address: null,
+    connected: false,
+    banner: null,
+    ehlo: null,
+    starttls: false,
+    tls: null,
+    reverseDns: [],
+    error: null,
+    findings: [],
+  };
+  const { findings } = result;
+
+  try {
+    result.addresses = net.isIP(host) ? [host] : await lookupAddresses(resolver, host);
+  } catch (err) {
+    result.error = `Address lookup failed: ${err.message}`;
+  }
+  if (!connectHost && !result.addresses.length) {
+    result.error = result.error || 'Host has no A or AAAA records';
+    findings.push(finding('smtp-no-address', 'fail', `${host} does not resolve to an address`));
+    return { ...result, status: 'fail' };
+  }
+
+  // MX records can point anywhere, including the deployment's own network,
+  // so only public addresses are dialed
+  const publicAddresses = result.addresses.filter(ip => !isPrivateAddress(ip));
+  if (!connectHost && !publicAddresses.length) {
+    result.error = 'Host resolves only to private addresses';
+    findings.push(finding('smtp-private-address', 'fail', `${host} resolves only to private addresses (${result.addresses.join(', ')}), which are not probed`));
+    return { ...result, status: 'fail' };
+  }
+
+  // Reverse DNS runs alongside the SMTP conversation
+  const reverseDns = Promise.all(result.addresses.map(ip => checkFCrDNS(resolver, ip).catch(err => ({
+    ip, ptr: [], confirmed: [], forwardConfirmed: false, error: err.message,
+  }))));
+
+  result.address = connectHost || publicAddresses[0];
+  const deadline = createDeadline(timeoutMs);
+  let session = null;
+  try {
+    const socket = await connect(result.address, port, deadline);
+    result.connected = true;
+    session = createSession(socket, deadline);
+
+    const banner = await session.read();
+    result.banner = banner.lines.join(' ');
+    if (banner.code !== 220) {
+      findings.push(finding('smtp-banner-rejected', 'fail', `${host} refused the connection: ${banner.code} ${result.banner}`));
+    } else {
+      let ehlo = await session.command(`EHLO ${heloName}`);
+      if (ehlo.code !== 250) {
+        findings.push(finding('smtp-no-ehlo', 'warning', `${host} does not support EHLO (${ehlo.code})`));
+        ehlo = await session.command(`HELO ${heloName}`);
+      }
+      result.ehlo = { name: ehlo.lines[0] || null, extensions: ehlo.lines.slice(1).map(line => line.trim()) };
+      result.starttls = result.ehlo.extensions.some(ext => /^STARTTLS$/i.test(ext));
+
+      if (!result.starttls) {
+        findings.push(finding('smtp-no-starttls', 'warning', `${host} does not offer STARTTLS – mail to it travels unencrypted`));
+      } else {
+        const ready = await session.command('STARTTLS');
+        if (ready.code !== 220) {
+          findings.push(finding('smtp-starttls-failed', 'warning', `${host} refused STARTTLS: ${ready.code} ${ready.lines.join(' ')}`));
+        } else {
+          session.detach();
+          try {
+            const secure = await upgradeToTLS(session.socket, host, deadline);
+            session.attach(secure);
+            const { findings: certificateFindings, ...certificate } = inspectPeerCertificate(secure, host);
+            result.tls = { protocol: secure.getProtocol(), cipher: secure.getCipher()?.name || null, certificate };
+            findings.push(...certificateFindings);
+            // Capabilities can differ once the channel is encrypted
+            const secured = await session.command(`EHLO ${heloName}`);
+            if (secured.code === 250) result.ehlo.tlsExtensions = secured.lines.slice(1).map(line => line.trim());
+          } catch (err) {
+            findings.push(finding('smtp-tls-failed', 'warning', `TLS handshake with ${host} failed: ${err.message}`));
+          }
+        }
+      }
+      await session.command('QUIT').catch(() => {});
+    }
+  } catch (err) {
+    result.error = err.message;
+    findings.push(finding('smtp-unreachable', 'fail', `Could not talk to ${host} on port ${port}: ${err.message}`));
+  } finally {
+    deadline.clear();
+    session?.socket.destroy();
+  }
+
+  result.reverseDns = await reverseDns;
+  result.reverseDns.forEach(entry => {
+    if (!entry.ptr.length) {
+      findings.push(finding('smtp-ptr-missing', 'warning', `${entry.ip} has no reverse DNS (PTR) record`));
+    } else if (!entry.forwardConfirmed) {
+      findings.push(finding('smtp-fcrdns-mismatch', 'warning', `Reverse DNS for ${entry.ip} (${entry.ptr.join(', ')}) does not resolve back to it`));
+    }
+  });
+
+  let status = 'pass';
+  if (findings.some(f => f.severity === 'fail')) status = 'fail';
+  else if (findings.some(f => f.severity === 'warning')) status = 'warning';
+  return { ...result, status };
+}
+
+// Probes the highest-priority MX hosts. The domain fails only when none of
+// them accepts connections.
+export async function probeMX(mx, options = {}) {
+  const hosts = [...mx]
+    .sort((a, b) => a.priority - b.priority)
+    .slice(0, MAX_PROBED_HOSTS)
+    .map(m => m.exchange);
+  const results = await mapWithConcurrency(hosts, PROBE_CONCURRENCY, host => probeSmtpHost(host, options));
+
+  const accepting = results.filter(r => r.banner && !r.findings.some(f => f.code === 'smtp-banner-rejected'));
+  const findings = [];
+  if (!hosts.length) {
+    findings.push(finding('smtp-no-mx', 'info', 'No MX hosts to probe'));
+  } else if (!accepting.length) {
+    findings.push(finding('smtp-none-accepting', 'fail', 'None of the MX hosts accepted an SMTP connection'));
+  }
+
+  let status = 'pass';
+  if (!hosts.length) status = 'info';
+  else if (!accepting.length) status = 'fail';
+  else if (results.some(r => r.status !== 'pass')) status = 'warning';
+  return { hosts: results, probed: hosts.length, accepting: accepting.length, status, findings };
+}
@@ -0,0 +1,467 @@
+import net from 'net';
+import { expandIPv6, reverseName } from './resolver.js';
+
+// SPF evaluation per RFC 7208: recursive expansion of every DNS-querying
+// term, lookup/void-lookup accounting and optional check_host() for an IP.
+
+export const MAX_DNS_LOOKUPS = 10;
+export const MAX_VOID_LOOKUPS = 2;
+const MAX_MX_NAMES = 10;
+
+const MECHANISMS = ['all', 'include', 'a', 'mx', 'ptr', 'ip4', 'ip6', 'exists'];
+const LOOKUP_MECHANISMS = ['include', 'a', 'mx', 'ptr', 'exists'];
+const QUALIFIER_RESULTS = { '+': 'pass', '-': 'fail', '~': 'softfail', '?': 'neutral' };
+
+// ---------- Parsing ----------
+
+function parseTerm(raw) {
+  const modifier = raw.match(/^([a-z][a-z0-9_.-]*)=(.*)$/i);
+  if (modifier) {
+    return { term: raw, type: 'modifier', name: modifier[1].toLowerCase(), value: modifier[2] };
+  }
+
+  const match = raw.match(/^([+\-~?]?)([a-z0-9]+)(.*)$/i);
+  const mechanism = match?.[2].toLowerCase();
+  if (!match || !MECHANISMS.includes(mechanism)) {
+    return { term: raw, type: 'unknown', error: `Unknown mechanism "${raw}"` };
+  }
+
+  const parsed = {
+    term: raw,
+    type: 'mechanism',
+    qualifier: match[1] || '+',
+    mechanism,
+    value: null,
+    cidr4: null,
+    cidr6: null,
+  };
+
+  let rest = match[3];
+  if (rest.startsWith(':')) {
+    rest = rest.slice(1);
+    // Split off dual-cidr-length for a/mx/ip4/ip6 (e.g. a:host/24//64)
+    const cidr = rest.match(/^(.*?)(?:\/(\d+))?(?:\/\/(\d+))?$/);
+    parsed.value = cidr[1];
+    parsed.cidr4 = cidr[2] !== undefined ? Number(cidr[2]) : null;
+    parsed.cidr6 = cidr[3] !== undefined ? Number(cidr[3]) : null;
+  } else if (rest.startsWith('/')) {
+    const cidr = rest.match(/^(?:\/(\d+))?(?:\/\/(\d+))?$/);
+    if (!cidr) return { ...parsed, error: `Malformed CIDR in "${raw}"` };
+    parsed.cidr4 = cidr[1] !== undefined ? Number(cidr[1]) : null;
+    parsed.cidr6 = cidr[2] !== undefined ? Number(cidr[2]) : null;
+  } else if (rest) {
+    return { ...parsed, error: `Malformed mechanism "${raw}"` };
+  }
+
+  // ip6 values are themselves colon-separated, so take the prefix from the value
+  if (mechanism === 'ip6' && parsed.value) {
+    const [address, prefix] = parsed.value.split('/');
+    parsed.value = address;
+    parsed.cidr6 = prefix !== undefined ? Number(prefix) : parsed.cidr4;
+    parsed.cidr4 = null;
+  }
+
+  if (['include', 'exists', 'ip4', 'ip6'].includes(mechanism) && !parsed.value) {
+    return { ...parsed, error: `"${mechanism}" requires a value` };
+  }
+  if (mechanism === 'all' && (parsed.value || parsed.cidr4 !== null)) {
+    return { ...parsed, error: '"all" takes no arguments' };
+  }
+  if (mechanism === 'ip4' && (net.isIPv4(parsed.value) === false || (parsed.cidr4 !== null && parsed.cidr4 > 32))) {
+    return { ...parsed, error: `Invalid IPv4 network "${raw}"` };
+  }
+  if (mechanism === 'ip6' && (net.isIPv6(parsed.value) === false || (parsed.cidr6 !== null && parsed.cidr6 > 128))) {
+    return { ...parsed, error: `Invalid IPv6 network "${raw}"` };
+  }
+  if ((parsed.cidr4 !== null && parsed.cidr4 > 32) || (parsed.cidr6 !== null && parsed.cidr6 > 128)) {
+    return { ...parsed, error: `Invalid CIDR length in "${raw}"` };
+  }
+  return parsed;
+}
+
+export function parseSPF(record) {
+  const [version, ...rawTerms] = record.trim().split(/\s+/);
+  const errors = [];
+  if (version.toLowerCase() !== 'v=spf1') {
+    errors.push({ code: 'spf-syntax', message: 'Record does not start with "v=spf1"' });
+  }
+
+  const terms = rawTerms.map(parseTerm);
+  terms.filter(t => t.error).forEach(t => errors.push({ code: 'spf-syntax', message: t.error }));
+
+  const modifiers = terms.filter(t => t.type === 'modifier');
+  ['redirect', 'exp'].forEach(name => {
+    if (modifiers.filter(m => m.name === name).length > 1) {
+      errors.push({ code: 'spf-syntax', message: `Modifier "${name}" appears more than once` });
+    }
+  });
+
+  return { terms, errors };
+}
+
+// ---------- Macro Expansion (RFC 7208 section 7) ----------
+
+function expandMacros(spec, ctx, domain) {
+  if (!spec.includes('%')) return spec;
+  const sender = ctx.sender || `postmaster@${ctx.domain}`;
+  const [localPart, senderDomain] = sender.split('@');
+  const letters = {
+    s: sender,
+    l: localPart,
+    o: senderDomain,
+    d: domain,
+    i: ctx.ip?.includes(':') ? expandIPv6(ctx.ip).replace(/:/g, '').split('').join('.') : ctx.ip,
+    p: 'unknown',
+    v: ctx.ip?.includes(':') ? 'ip6' : 'in-addr',
+    h: ctx.helo || domain,
+  };
+
+  let unresolved = false;
+  const expanded = spec.replace(/%(?:\{([slodipvh])(\d*)(r?)([.\-+,/_=]*)\}|%|_|-)/gi, (token, letter, digits, reverse, delimiters) => {
+    if (token === '%%') return '%';
+    if (token === '%_') return ' ';
+    if (token === '%-') return '%20';
+    const value = letters[letter.toLowerCase()];
+    if (value === null || value === undefined) {
+      unresolved = true;
+      return token;
+    }
+    let parts = value.split(new RegExp(`[${(delimiters || '.').replace(/[-\]\\]/g, '\\$&')}]`));
+    if (reverse) parts = parts.reverse();
+    if (digits) parts = parts.slice(-Number(digits));
+    return parts.join('.');
+  });
+
+  return unresolved ? null : expanded;
+}
+
+// ---------- Lookups ----------
+
+function spendLookup(ctx) {
+  ctx.lookups += 1;
+  if (ctx.lookups > MAX_DNS_LOOKUPS && !ctx.lookupLimitHit) {
+    ctx.lookupLimitHit = true;
+    ctx.errors.push({
+      code: 'spf-lookup-limit',
+      message: `SPF requires more than ${MAX_DNS_LOOKUPS} DNS lookups (RFC 7208 section 4.6.4)`,
+    });
+  }
+}
+
+function recordVoidLookup(ctx) {
+  ctx.voidLookups += 1;
+  if (ctx.voidLookups > MAX_VOID_LOOKUPS && !ctx.voidLimitHit) {
+    ctx.voidLimitHit = true;
+    ctx.errors.push({
+      code: 'spf-void-lookup-limit',
+      message: `More than ${MAX_VOID_LOOKUPS} SPF lookups returned no records (RFC 7208 section 4.6.4)`,
+    });
+  }
+}
+
+async function countedLookup(ctx, fn, name) {
+  spendLookup(ctx);
+  const answers = await safeResolve(ctx, fn, name);
+  if (answers.length === 0) recordVoidLookup(ctx);
+  return answers;
+}
+
+async function safeResolve(ctx, fn, name) {
+  try {
+    const result = await ctx.resolver[fn](name);
+    return result.answers;
+  } catch (err) {
+    ctx.tempErrors.push({ name, message: err.message });
+    return [];
+  }
+}
+
+// A and AAAA for the same name belong to one mechanism, so at most one
+// counted lookup (and one void lookup) is charged for the pair
+async function resolveAddresses(ctx, name, counted) {
+  if (counted) spendLookup(ctx);
+  const [v4, v6] = await Promise.all([
+    safeResolve(ctx, 'resolveA', name),
+    safeResolve(ctx, 'resolveAAAA', name),
+  ]);
+  if (counted && v4.length === 0 && v6.length === 0) recordVoidLookup(ctx);
+  return [...v4, ...v6].map(ans => ans.address);
+}
+
+async function fetchSPFRecords(ctx, domain) {
+  const answers = await safeResolve(ctx, 'resolveTXT', domain);
+  return answers
+    .map(ans => ans.value)
+    .filter(value => /^v=spf1(\s|$)/i.test(value.trim()));
+}
+
+// ---------- Expansion ----------
+
+function blockFor(addresses, cidr4, cidr6) {
+  const list = new net.BlockList();
+  addresses.forEach(address => {
+    if (net.isIPv4(address)) list.addSubnet(address, cidr4 ?? 32, 'ipv4');
+    else if (net.isIPv6(address)) list.addSubnet(address, cidr6 ?? 128, 'ipv6');
+  });
+  return list;
+}
+
+async function expandTerm(ctx, term, domain, chain) {
+  const node = { ...term, lookups: 0 };
+  if (term.type !== 'mechanism' || term.error) return node;
+
+  const target = term.value ? expandMacros(term.value, ctx, domain) : domain;
+  const needsLookup = LOOKUP_MECHANISMS.includes(term.mechanism);
+  if (needsLookup) node.lookups = 1;
+
+  if (term.value && target === null) {
+    // Sender-dependent macro with no sender IP to expand against
+    node.unresolved = true;
+    if (needsLookup) spendLookup(ctx);
+    return node;
+  }
+  node.target = target;
+
+  if (needsLookup && ctx.lookups >= MAX_DNS_LOOKUPS) {
+    // Count it, but stop querying once the budget is gone
+    spendLookup(ctx);
+    node.skipped = true;
+    return node;
+  }
+
+  switch (term.mechanism) {
+    case 'include': {
+      spendLookup(ctx);
+      node.child = await expandDomain(ctx, target, chain, true);
+      break;
+    }
+    case 'a': {
+      node.addresses = await resolveAddresses(ctx, target, true);
+      break;
+    }
+    case 'mx': {
+      const mx = await countedLookup(ctx, 'resolveMX', target);
+      if (mx.length > MAX_MX_NAMES) {
+        ctx.errors.push({
+          code: 'spf-mx-limit',
+          message: `"${term.term}" resolves to more than ${MAX_MX_NAMES} MX hosts`,
+        });
+      }
+      node.exchanges = mx.slice(0, MAX_MX_NAMES).map(ans => ans.exchange);
+      const addresses = await Promise.all(node.exchanges.map(host => resolveAddresses(ctx, host, false)));
+      node.addresses = addresses.flat();
+      break;
+    }
+    case 'exists': {
+      const answers = await countedLookup(ctx, 'resolveA', target);
+      node.exists = answers.length > 0;
+      break;
+    }
+    case 'ptr': {
+      ctx.warnings.push({ code: 'spf-ptr', message: 'The "ptr" mechanism is deprecated (RFC 7208 section 5.5)' });
+      if (ctx.ip) {
+        const names = (await countedLookup(ctx, 'resolvePTR', reverseName(ctx.ip))).map(ans => ans.domain);
+        const validated = [];
+        for (const name of names.slice(0, MAX_MX_NAMES)) {
+          const addresses = await resolveAddresses(ctx, name, false);
+          if (addresses.includes(ctx.ip)) validated.push(name);
+        }
+        node.validatedNames = validated;
+      } else {
+        spendLookup(ctx);
+      }
+      break;
+    }
+    default:
+      break;
+  }
+  return node;
+}
+
+async function expandDomain(ctx, domain, chain = [], isInclude = false) {
+  const node = { domain, record: null, terms: [], errors: [] };
+
+  if (chain.includes(domain)) {
+    node.errors.push({ code: 'spf-loop', message: `Include loop detected at ${domain}` });
+    ctx.errors.push(...node.errors);
+    return node;
+  }
+
+  const records = await fetchSPFRecords(ctx, domain);
+  node.records = records;
+  if (records.length === 0) {
+    if (isInclude) {
+      recordVoidLookup(ctx);
+      node.errors.push({ code: 'spf-include-none', message: `${domain} has no SPF record` });
+      ctx.errors.push(...node.errors);
+    }
+    return node;
+  }
+  if (records.length > 1) {
+    node.errors.push({ code: 'spf-multiple-records', message: `${domain} publishes ${records.length} SPF records` });
+  }
+
+  node.record = records[0];
+  const { terms, errors } = parseSPF(records[0]);
+  node.errors.push(...errors);
+  ctx.errors.push(...node.errors);
+
+  const nextChain = [...chain, domain];
+  for (const term of terms) {
+    node.terms.push(await expandTerm(ctx, term, domain, nextChain));
+  }
+
+  // redirect= only applies when the record has no "all" mechanism
+  const redirect = terms.find(t => t.type === 'modifier' && t.name === 'redirect');
+  const hasAll = terms.some(t => t.mechanism === 'all');
+  if (redirect && !hasAll) {
+    const target = expandMacros(redirect.value, ctx, domain);
+    const redirectNode = node.terms.find(t => t.type === 'modifier' && t.name === 'redirect');
+    redirectNode.lookups = 1;
+    spendLookup(ctx);
+    if (target === null) {
+      redirectNode.unresolved = true;
+    } else {
+      redirectNode.target = target;
+      redirectNode.child = await expandDomain(ctx, target, nextChain, true);
+    }
+  }
+
+  return node;
+}
+
+// ---------- check_host() ----------
+
+function checkHost(node, ip) {
+  if (!node.record) return { result: 'none', matchedBy: null };
+  if (node.errors.length) return { result: 'permerror', matchedBy: null };
+
+  for (const term of node.terms) {
+    if (term.type !== 'mechanism') continue;
+    let matched = false;
+    switch (term.mechanism) {
+      case 'all':
+        matched = true;
+        break;
+      case 'ip4':
+      case 'ip6':
+        matched = blockFor([term.value], term.cidr4, term.cidr6).check(ip, net.isIPv4(ip) ? 'ipv4' : 'ipv6');
+        break;
+      case 'a':
+      case 'mx':
+        matched = blockFor(term.addresses || [], term.cidr4, term.cidr6).check(ip, net.isIPv4(ip) ? 'ipv4' : 'ipv6');
+        break;
+      case 'exists':
+        matched = Boolean(term.exists);
+        break;
+      case 'ptr': {
+        const target = (term.target || node.domain).toLowerCase();
+        matched = (term.validatedNames || []).some(name => {
+          const host = name.toLowerCase().replace(/\.$/, '');
+          return host === target || host.endsWith(`.${target}`);
+        });
+        break;
+      }
+      case 'include': {
+        if (!term.child) return { result: 'permerror', matchedBy: term.term };
+        const inner = checkHost(term.child, ip);
+        if (inner.result === 'pass') matched = true;
+        else if (inner.result === 'none' || inner.result === 'permerror') return { result: 'permerror', matchedBy: term.term };
+        else if (inner.result === 'temperror') return inner;
+        break;
+      }
+      default:
+        break;
+    }
+    if (matched) {
+      return { result: QUALIFIER_RESULTS[term.qualifier], matchedBy: `${node.domain}: ${term.term}` };
+    }
+  }
+
+  const redirect = node.terms.find(t => t.type === 'modifier' && t.name === 'redirect');
+  if (redirect?.child) {
+    const inner = checkHost(redirect.child, ip);
+    return inner.result === 'none' ? { result: 'permerror', matchedBy: redirect.term } : inner;
+  }
+  return { result: 'neutral', matchedBy: null };
+}
+
+// ---------- Public API ----------
+
+// Collects every IP network authorized anywhere in the flattened tree
+export function collectNetworks(node, networks = []) {
+  if (!node) return networks;
+  for (const term of node.terms) {
+    if (term.mechanism === 'ip4' || term.mechanism === 'ip6') {
+      const prefix = term.mechanism === 'ip4' ? term.cidr4 : term.cidr6;
+      networks.push(prefix === null ? term.value : `${term.value}/${prefix}`);
+    } else if (term.addresses) {
+      networks.push(...term.addresses);
+    }
+    if (term.child) collectNetworks(term.child, networks);
+  }
+  return networks;
+}
+
+function topLevelAll(node) {
+  const all = node?.terms.find(t => t.mechanism === 'all');
+  if (all) return all.qualifier;
+  const redirect = node?.terms.find(t => t.type === 'modifier' && t.name === 'redirect');
+  return redirect?.child ? topLevelAll(redirect.child) : null;
+}
+
+export async function evaluateSPF(domain, { resolver, ip = null, sender = null, helo = null } = {}) {
+  if (ip && !net.isIP(ip)) {
+    throw new Error(`Invalid IP address: ${ip}`);
+  }
+
+  const ctx = {
+    resolver,
+    domain,
+    ip,
+    sender,
+    helo,
+    lookups: 0,
+    voidLookups: 0,
+    errors: [],
+    warnings: [],
+    tempErrors: [],
+  };
+
+  const tree = await expandDomain(ctx, domain);
+  const all = topLevelAll(tree);
+
+  if (tree.record) {
+    if (all === '+') ctx.warnings.push({ code: 'spf-pass-all', message: '"+all" authorizes every server on the internet' });
+    if (all === '?') ctx.warnings.push({ code: 'spf-neutral-all', message: '"?all" gives receivers no guidance' });
+    if (all === null) ctx.warnings.push({ code: 'spf-no-all', message: 'Record has no "all" mechanism, so unlisted senders are neutral' });
+  }
+
+  let evaluation = null;
+  if (ip) {
+    if (ctx.errors.length) {
+      evaluation = { ip, result: 'permerror', matchedBy: null };
+    } else if (ctx.tempErrors.length && !tree.record) {
+      evaluation = { ip, result: 'temperror', matchedBy: null };
+    } else {
+      evaluation = { ip, ...checkHost(tree, ip) };
+    }
+  }
+
+  return {
+    domain,
+    record: tree.record,
+    records: tree.records || [],
+    valid: Boolean(tree.record) && ctx.errors.length === 0,
+    all,
+    lookups: ctx.lookups,
+    voidLookups: ctx.voidLookups,
+    lookupLimit: MAX_DNS_LOOKUPS,
+    voidLookupLimit: MAX_VOID_LOOKUPS,
+    errors: ctx.errors,
+    warnings: ctx.warnings,
+    tempErrors: ctx.tempErrors,
+    tree,
+    evaluation,
+  };
+}
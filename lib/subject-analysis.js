@@ -0,0 +1,225 @@
+import { REPLY_PREFIX_PATTERN } from './compliance-profiles.js';
+import { DEFAULT_LANGUAGE, lexiconPattern, segmentWords } from './copy-languages.js';
+import { applyRules, resolveRules } from './copy-rules.js';
+
+// Subject line and preheader analysis: truncation, capitals, punctuation,
+// emoji, fake reply prefixes and subject spam terms, with a preview of the
+// inbox list row in Gmail and Outlook.
+
+export const MAX_PREHEADER_LENGTH = 500;
+
+// Characters of subject and preview text each inbox list shows, measured at
+// common window and screen widths. Gmail's web list puts both on one line.
+const INBOX_CLIENTS = [
+  { id: 'gmail-desktop', name: 'Gmail (desktop)', layout: 'inline', lineChars: 90 },
+  { id: 'gmail-mobile', name: 'Gmail (mobile)', layout: 'stacked', subjectChars: 32, previewChars: 45 },
+  { id: 'outlook-desktop', name: 'Outlook (desktop)', layout: 'stacked', subjectChars: 55, previewChars: 60 },
+  { id: 'outlook-mobile', name: 'Outlook (mobile)', layout: 'stacked', subjectChars: 38, previewChars: 80 },
+];
+
+// Subjects longer than this are cut off on phones, or everywhere
+const MOBILE_SUBJECT_CHARS = 40;
+const MAX_SUBJECT_CHARS = 70;
+const MIN_PREHEADER_CHARS = 30;
+const MAX_PREHEADER_CHARS = 90;
+// Share of capital letters that reads as shouting, and as all caps
+const CAPS_RATIO = 0.3;
+const ALL_CAPS_RATIO = 0.8;
+
+const EMOJI = /\p{Extended_Pictographic}/gu;
+const PERCENT_OFFER = /\d+\s?%/g;
+
+// Points off the subject score per finding
+const PENALTIES = {
+  'subject-missing': 50,
+  'subject-fake-prefix': 40,
+  'subject-caps': { fail: 35, warning: 15 },
+  'subject-punctuation': { warning: 15, info: 5 },
+  'subject-emoji': { warning: 15, info: 5 },
+  'subject-too-long': 10,
+  'preheader-duplicates-subject': 10,
+};
+const SPAM_TERM_PENALTY = 15;
+const MAX_SPAM_TERM_PENALTY = 45;
+
+export const SUBJECT_RECOMMENDATIONS = {
+  'subject-missing': 'Add a subject line – emails without one look like spam.',
+  'subject-fake-prefix': 'Drop "RE:" / "FW:" from the subject unless the email really replies to or forwards a message.',
+  'subject-caps': 'Write the subject in sentence case – capitals read as shouting and trip spam filters.',
+  'subject-punctuation': 'Use at most one "!" or "?" in the subject and no "$$$" or "***".',
+  'subject-emoji': 'Leave emoji out of cold email subjects.',
+  'subject-spam-terms': 'Reword the subject without promotional terms – they weigh more there than in the body.',
+  'subject-too-long': `Keep the subject under ${MOBILE_SUBJECT_CHARS} characters so it shows in full on phones.`,
+  'subject-truncated-mobile': `Keep the subject under ${MOBILE_SUBJECT_CHARS} characters so it shows in full on phones.`,
+  'preheader-duplicates-subject': 'Make the preheader add to the subject instead of repeating it.',
+  'preheader-missing': 'Set a preheader that adds to the subject, or the inbox shows whatever the body starts with.',
+  'preheader-truncated': `Put the point of the preheader in its first ${MIN_PREHEADER_CHARS + 10} characters.`,
+};
+
+function finding(code, severity, message) {
+  return { code, severity, message };
+}
+
+// ---------- Text ----------
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// User-perceived characters, so an emoji counts once
+function graphemes(text) {
+  return [...graphemeSegmenter.segment(text)].map(s => s.segment);
+}
+
+// Code units segmented per character shown; graphemes are rarely longer
+const MAX_GRAPHEME_UNITS = 8;
+
+// Only the start of the text can show, so only that is segmented – the
+// preview text holds the whole body
+function truncate(text, max) {
+  const head = text.slice(0, (max + 1) * MAX_GRAPHEME_UNITS);
+  const chars = [];
+  for (const { segment } of graphemeSegmenter.segment(head)) {
+    chars.push(segment);
+    if (chars.length > max) break;
+  }
+  if (chars.length <= max && head.length === text.length) return { text, truncated: false };
+  return { text: `${chars.slice(0, Math.max(0, max - 1)).join('').trimEnd()}…`, truncated: true };
+}
+
+function normalize(text) {
+  return text.replace(REPLY_PREFIX_PATTERN, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function wordOverlap(a, b, language) {
+  const wordsA = new Set(segmentWords(a, language));
+  const wordsB = new Set(segmentWords(b, language));
+  if (!wordsA.size || !wordsB.size) return 0;
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / Math.min(wordsA.size, wordsB.size);
+}
+
+// ---------- Preview ----------
+
+// How the row reads in each client's inbox list. Clients fill the preview
+// with the body's text when there is no preheader, or after a short one.
+function inboxPreviews(subject, previewText) {
+  const shownSubject = subject || '(no subject)';
+  return INBOX_CLIENTS.map(client => {
+    if (client.layout === 'inline') {
+      const line = truncate(shownSubject, client.lineChars);
+      const room = client.lineChars - graphemes(shownSubject).length - 3;
+      const preview = !line.truncated && room > 0 && previewText ? truncate(previewText, room) : { text: '', truncated: Boolean(previewText) };
+      return { client: client.id, name: client.name, subject: line.text, preview: preview.text, subjectTruncated: line.truncated };
+    }
+    const line = truncate(shownSubject, client.subjectChars);
+    return {
+      client: client.id,
+      name: client.name,
+      subject: line.text,
+      preview: truncate(previewText, client.previewChars).text,
+      subjectTruncated: line.truncated,
+    };
+  });
+}
+
+// ---------- Analysis ----------
+
+// `preheader` is the preview text set for the email (null when it has none;
+// `expectsPreheader` reports that as missing), `text` the visible body.
+// `rules` and `language` are as for the copy analysis. With `inThread` the
+// email replies to an earlier one: "Re:" is genuine and an empty subject keeps
+// the thread's, so there is nothing to analyze.
+export function analyzeSubject(subject = '', {
+  preheader = null, text = '', rules = resolveRules(), language = DEFAULT_LANGUAGE, inThread = false, expectsPreheader = false,
+} = {}) {
+  const trimmed = subject.replace(/\s+/g, ' ').trim();
+  if (!trimmed && inThread) return null;
+
+  const findings = [];
+  const chars = graphemes(trimmed).length;
+  const letters = trimmed.match(/\p{L}/gu) || [];
+  const capitals = trimmed.match(/\p{Lu}/gu) || [];
+  const capsRatio = letters.length ? Number((capitals.length / letters.length).toFixed(2)) : 0;
+  const capsWords = trimmed.match(/(?<![\p{L}\p{N}])\p{Lu}{3,}(?![\p{L}\p{N}])/gu) || [];
+  const emoji = (trimmed.match(EMOJI) || []).length;
+
+  if (!trimmed) {
+    findings.push(finding('subject-missing', 'fail', 'The email has no subject line'));
+  }
+  if (!inThread && REPLY_PREFIX_PATTERN.test(trimmed)) {
+    findings.push(finding('subject-fake-prefix', 'fail', `"${trimmed.match(REPLY_PREFIX_PATTERN)[0].trim()}" suggests a reply or forward, but this is a new email`));
+  }
+
+  // Short subjects are judged by their all-caps words, as a ratio of a few letters says little
+  if (letters.length >= 8 && capsRatio >= ALL_CAPS_RATIO) {
+    findings.push(finding('subject-caps', 'fail', 'The subject is in all caps'));
+  } else if ((letters.length >= 8 && capsRatio > CAPS_RATIO) || capsWords.length >= 2) {
+    findings.push(finding('subject-caps', 'warning', `${Math.round(capsRatio * 100)}% capital letters${capsWords.length ? ` (${capsWords.join(', ')})` : ''}`));
+  }
+
+  const exclamations = (trimmed.match(/!/g) || []).length;
+  const repeated = trimmed.match(/[!?]{2,}|\${2,}|\*{3,}|\.{4,}/g) || [];
+  if (exclamations > 1 || repeated.length) {
+    findings.push(finding('subject-punctuation', 'warning', `Excessive punctuation: ${[...new Set(repeated)].join(' ') || `${exclamations} exclamation marks`}`));
+  } else if (exclamations) {
+    findings.push(finding('subject-punctuation', 'info', 'Exclamation mark in the subject'));
+  }
+
+  if (emoji > 1) {
+    findings.push(finding('subject-emoji', 'warning', `${emoji} emoji in the subject`));
+  } else if (emoji) {
+    findings.push(finding('subject-emoji', 'info', 'Emoji in the subject'));
+  }
+
+  // The language's subject terms and the account's spam and overclaim rules
+  const subjectTerms = [...trimmed.matchAll(new RegExp(lexiconPattern('subjectTriggers', language).source, 'giu'))].map(m => m[0]);
+  const ruleTerms = applyRules(trimmed, rules, language)
+    .filter(f => f.category === 'spam' || f.category === 'overclaim')
+    .flatMap(f => f.matches);
+  const spamTerms = [...new Set([...subjectTerms, ...ruleTerms, ...(trimmed.match(PERCENT_OFFER) || [])].map(t => t.toLocaleLowerCase()))];
+  if (spamTerms.length) {
+    findings.push(finding('subject-spam-terms', 'warning', `Spam terms in the subject: ${spamTerms.join(', ')}`));
+  }
+
+  if (chars > MAX_SUBJECT_CHARS) {
+    findings.push(finding('subject-too-long', 'warning', `${chars} characters – cut off on desktop as well as on phones`));
+  } else if (chars > MOBILE_SUBJECT_CHARS) {
+    findings.push(finding('subject-truncated-mobile', 'info', `${chars} characters – cut off on most phones after about ${MOBILE_SUBJECT_CHARS}`));
+  }
+
+  // Preheader
+  const preheaderText = preheader ? preheader.replace(/\s+/g, ' ').trim() : '';
+  const preheaderChars = graphemes(preheaderText).length;
+  if (preheaderText) {
+    const a = normalize(preheaderText);
+    const b = normalize(trimmed);
+    if (b && (a === b || a.startsWith(b) || b.startsWith(a) || wordOverlap(a, b, language) >= 0.7)) {
+      findings.push(finding('preheader-duplicates-subject', 'warning', 'The preheader repeats the subject'));
+    }
+    if (preheaderChars > MAX_PREHEADER_CHARS) {
+      findings.push(finding('preheader-truncated', 'info', `${preheaderChars} characters – inboxes show about ${MIN_PREHEADER_CHARS + 10}-${MAX_PREHEADER_CHARS}`));
+    } else if (preheaderChars < MIN_PREHEADER_CHARS) {
+      findings.push(finding('preheader-short', 'info', `Only ${preheaderChars} characters – clients fill the rest with the start of the body`));
+    }
+  } else if (expectsPreheader) {
+    findings.push(finding('preheader-missing', 'info', 'No preheader – inboxes show the start of the body instead'));
+  }
+
+  const penalty = findings.reduce((sum, f) => {
+    const points = PENALTIES[f.code];
+    return sum + (typeof points === 'object' ? points[f.severity] || 0 : points || 0);
+  }, Math.min(MAX_SPAM_TERM_PENALTY, spamTerms.length * SPAM_TERM_PENALTY));
+
+  const previewText = [preheaderText, text.replace(/\s+/g, ' ').trim()].filter(Boolean).join(' ');
+  return {
+    text: trimmed,
+    chars,
+    words: segmentWords(trimmed, language).length,
+    capsRatio,
+    emoji,
+    spamTerms,
+    preheader: preheaderText ? { text: preheaderText, chars: preheaderChars } : null,
+    findings,
+    score: Math.max(0, 100 - penalty),
+    previews: inboxPreviews(trimmed, previewText),
+  };
+}
@@ -0,0 +1,359 @@
+// Domain readiness rules: turns raw check results into per-check statuses,
+// finding codes, a score and recommendations. Bump VERDICT_VERSION whenever a
+// rule, threshold or weight changes so stored reports stay interpretable.
+
+export const VERDICT_VERSION = '1.2.0';
+
+// Points each check contributes to the 0–100 score
+export const CHECK_WEIGHTS = {
+  mx: 10,
+  spf: 20,
+  dkim: 20,
+  dmarc: 20,
+  reputation: 15,
+  age: 5,
+  mtaSts: 5,
+  tlsRpt: 3,
+  bimi: 2,
+  // The SMTP probe is opt-in, so it can change the verdict but not the score
+  smtp: 0,
+};
+
+// "info" marks an optional feature that is not set up: it earns no points but
+// does not count towards the verdict
+const STATUS_SCORE = { pass: 1, warning: 0.5, info: 0, fail: 0 };
+const STATUS_SEVERITY = { pass: 'none', info: 'low', warning: 'medium', fail: 'high' };
+const FINDING_ORDER = { fail: 0, warning: 1, info: 2 };
+
+// Up to this many warnings (and no failures) is RISKY rather than NOT READY
+const MAX_RISKY_WARNINGS = 2;
+
+const SPF_LOOKUP_HEADROOM = 2;
+const NEW_DOMAIN_DAYS = 30;
+const YOUNG_DOMAIN_DAYS = 90;
+const EXPIRY_WARNING_DAYS = 30;
+
+export const RECOMMENDATIONS = {
+  'mx-missing': 'Add MX records to receive email (optional for sending only).',
+  'spf-missing': 'Publish an SPF record to authorize your sending servers.',
+  'spf-lookup-limit': 'Remove or flatten SPF includes to stay within the 10 DNS lookup limit.',
+  'spf-void-lookup-limit': 'Remove SPF mechanisms that point at names with no DNS records.',
+  'spf-multiple-records': 'Merge your SPF records into a single TXT record.',
+  'spf-syntax': 'Fix the SPF syntax errors – receivers treat a malformed record as a permanent error.',
+  'spf-include-none': 'Remove includes of domains that no longer publish SPF.',
+  'spf-loop': 'Break the SPF include loop.',
+  'spf-softfail': 'Consider using "-all" for stricter SPF policy.',
+  'spf-pass-all': 'Replace "+all" with "-all" – "+all" lets anyone send as your domain.',
+  'spf-neutral-all': 'Consider using "-all" for stricter SPF policy.',
+  'spf-no-all': 'End your SPF record with "-all".',
+  'spf-ptr': 'Replace the deprecated "ptr" mechanism with ip4/ip6 or include.',
+  'spf-near-lookup-limit': 'Trim SPF includes – one more provider will push you over the lookup limit.',
+  'dkim-missing': 'Set up DKIM signing for your sending domain.',
+  'dkim-all-revoked': 'Publish a new DKIM key – every key found has been revoked.',
+  'dkim-no-usable-key': 'Publish a valid 2048-bit DKIM key.',
+  'dkim-key-weak': 'Rotate DKIM keys of 1024 bits or less to 2048-bit RSA.',
+  'dkim-key-1024': 'Rotate DKIM keys of 1024 bits or less to 2048-bit RSA.',
+  'dkim-testing': 'Remove the DKIM testing flag (t=y) once signing is verified.',
+  'dkim-selector-missing': 'Check the DKIM selector name with your email provider.',
+  'dmarc-missing': 'Add a DMARC record to control unauthenticated email handling.',
+  'dmarc-syntax': 'Fix the DMARC syntax errors so receivers apply your policy.',
+  'dmarc-multiple-records': 'Keep a single DMARC record – receivers ignore DMARC when there are several.',
+  'dmarc-policy-none': 'Move DMARC from p=none to p=quarantine once reports show your legitimate mail passes.',
+  'dmarc-partial-pct': 'Raise DMARC pct to 100 so the policy covers all failing mail.',
+  'dmarc-subdomain-none': 'Set sp=quarantine or sp=reject to protect your subdomains.',
+  'dmarc-no-rua': 'Add a rua= address to receive DMARC aggregate reports.',
+  'dmarc-report-unauthorized': 'Ask the external report receiver to publish a DMARC authorization record.',
+  'dnsbl-listed': 'Get delisted (or move to clean sending IPs) before sending – blocklisted mail is rejected outright.',
+  'rhsbl-listed': 'Get delisted (or move to clean sending IPs) before sending – blocklisted mail is rejected outright.',
+  'domain-too-new': 'Your domain is very new. Warm up slowly to avoid spam filters.',
+  'domain-young': 'Domain under 90 days – be cautious with cold email volume.',
+  'domain-expired': 'Renew the domain registration – expired domains stop resolving.',
+  'domain-expiring': 'Renew the domain registration before it lapses.',
+  'mta-sts-missing': 'Publish an MTA-STS policy so senders require TLS when delivering to you.',
+  'mta-sts-multiple-records': 'Keep a single _mta-sts TXT record – senders ignore MTA-STS when there are several.',
+  'mta-sts-record-syntax': 'Fix the _mta-sts record: it needs "v=STSv1; id=<id>".',
+  'mta-sts-policy-unreachable': 'Serve the MTA-STS policy over HTTPS at mta-sts.<domain>/.well-known/mta-sts.txt.',
+  'mta-sts-policy-redirect': 'Serve the MTA-STS policy directly – senders do not follow redirects.',
+  'mta-sts-policy-content-type': 'Serve the MTA-STS policy as text/plain.',
+  'mta-sts-policy-syntax': 'Fix the MTA-STS policy file (version, mode, mx and max_age lines).',
+  'mta-sts-testing': 'Switch MTA-STS to mode: enforce once TLS reports are clean.',
+  'mta-sts-max-age-short': 'Raise the MTA-STS max_age to at least a week (604800).',
+  'mta-sts-mx-mismatch': 'Add every MX host to the MTA-STS policy – senders refuse to deliver to unlisted hosts in enforce mode.',
+  'tls-rpt-missing': 'Add a _smtp._tls TLS-RPT record to receive reports about TLS delivery failures.',
+  'tls-rpt-multiple-records': 'Keep a single TLS-RPT record.',
+  'tls-rpt-syntax': 'Fix the TLS-RPT record: it needs "v=TLSRPTv1; rua=mailto:..." with valid addresses.',
+  'bimi-multiple-records': 'Keep a single default._bimi record.',
+  'bimi-syntax': 'Fix the BIMI record: it needs "v=BIMI1; l=https://.../logo.svg".',
+  'bimi-dmarc-not-enforced': 'Move DMARC to p=quarantine (pct=100) or p=reject so your BIMI logo can be shown.',
+  'bimi-logo-unreachable': 'Make the BIMI logo reachable over HTTPS.',
+  'bimi-logo-invalid': 'Convert the BIMI logo to SVG Tiny Portable/Secure (tiny-ps).',
+  'bimi-logo-too-large': 'Shrink the BIMI logo below 32 KB.',
+  'bimi-no-vmc': 'Get a Verified Mark Certificate if you want your logo shown in Gmail and Apple Mail.',
+  'bimi-vmc-unreachable': 'Make the Verified Mark Certificate reachable at the a= URL.',
+  'bimi-vmc-invalid': 'Renew or reissue the Verified Mark Certificate for this domain.',
+  'smtp-none-accepting': 'Make sure your MX hosts accept connections on port 25 – otherwise replies to your emails bounce.',
+  'smtp-unreachable': 'Check firewalls and DNS for MX hosts that do not answer on port 25.',
+  'smtp-no-address': 'Point every MX record at a hostname with an A or AAAA record.',
+  'smtp-private-address': 'Point every MX record at a host with a public IP address – private addresses cannot receive mail from the internet.',
+  'smtp-banner-rejected': 'Check why the MX host refuses SMTP connections.',
+  'smtp-no-starttls': 'Enable STARTTLS on your mail servers so mail is delivered encrypted.',
+  'smtp-starttls-failed': 'Fix STARTTLS on your mail servers – the command is advertised but refused.',
+  'smtp-tls-failed': 'Fix the TLS configuration on your mail servers – the handshake fails.',
+  'smtp-cert-expired': 'Renew the TLS certificate on your mail servers.',
+  'smtp-cert-expiring': 'Renew the TLS certificate on your mail servers before it expires.',
+  'smtp-cert-hostname-mismatch': 'Install a certificate that covers each MX hostname (required for MTA-STS).',
+  'smtp-cert-untrusted': 'Serve the full certificate chain from a publicly trusted CA on your mail servers.',
+  'smtp-ptr-missing': 'Ask your hosting provider to set reverse DNS (PTR) for your mail server IPs.',
+  'smtp-fcrdns-mismatch': 'Make the PTR name of each mail server IP resolve back to the same IP.',
+};
+
+function finding(code, severity, message) {
+  return { code, severity, message };
+}
+
+function statusFromFindings(findings) {
+  if (findings.some(f => f.severity === 'fail')) return 'fail';
+  return findings.some(f => f.severity === 'warning') ? 'warning' : 'pass';
+}
+
+// ---------- Per-check Rules ----------
+
+function evaluateMX(mx = []) {
+  if (!mx.length) {
+    return { status: 'fail', summary: 'No MX records found', findings: [finding('mx-missing', 'fail', 'No MX records found')] };
+  }
+  return { status: 'pass', summary: `${mx.length} MX record(s) found`, findings: [] };
+}
+
+function evaluateSPF(spf) {
+  if (!spf || (!spf.record && !spf.errors.length)) {
+    return { status: 'fail', summary: 'No SPF record found', findings: [finding('spf-missing', 'fail', 'No SPF record found')] };
+  }
+  const findings = [
+    ...spf.errors.map(e => finding(e.code, 'fail', e.message)),
+    ...spf.warnings.map(w => finding(w.code, 'warning', w.message)),
+  ];
+  if (!spf.record) {
+    return { status: 'fail', summary: spf.errors.map(e => e.message).join('; '), findings };
+  }
+  if (spf.errors.length) {
+    return { status: 'fail', summary: `SPF record is broken: ${spf.errors.map(e => e.message).join('; ')}`, findings };
+  }
+
+  let summary;
+  if (spf.all === '-') {
+    summary = 'SPF record exists with hardfail';
+  } else if (spf.all === '~') {
+    summary = 'SPF record exists but uses softfail';
+    findings.push(finding('spf-softfail', 'warning', 'SPF ends in "~all" (softfail)'));
+  } else {
+    summary = spf.warnings.length ? spf.warnings.map(w => w.message).join('; ') : 'SPF record exists but may not be strict';
+  }
+  if (spf.lookups > spf.lookupLimit - SPF_LOOKUP_HEADROOM) {
+    findings.push(finding('spf-near-lookup-limit', 'warning', `SPF uses ${spf.lookups} of ${spf.lookupLimit} DNS lookups`));
+    if (spf.all === '-') summary += ` – close to the ${spf.lookupLimit}-lookup limit`;
+  }
+  return { status: statusFromFindings(findings), summary, findings };
+}
+
+function evaluateDKIM(dkim) {
+  if (!dkim) {
+    return { status: 'fail', summary: 'DKIM lookup failed', findings: [finding('dkim-unavailable', 'fail', 'DKIM records could not be looked up')] };
+  }
+  // Key-level findings are tagged with their selector
+  const findings = [
+    ...dkim.findings,
+    ...dkim.found.filter(k => !k.revoked).flatMap(k => k.findings.map(f => ({ ...f, selector: k.selector }))),
+  ];
+  const active = dkim.found.filter(k => !k.revoked);
+  const summary = dkim.found.length
+    ? `${active.length} active DKIM key(s) found (${dkim.selectorsChecked} selectors checked)`
+    : `No DKIM record found (${dkim.selectorsChecked} selectors checked)`;
+  return { status: dkim.status, summary, findings };
+}
+
+function evaluateDMARC(dmarc) {
+  if (!dmarc) {
+    return { status: 'fail', summary: 'DMARC lookup failed', findings: [finding('dmarc-unavailable', 'fail', 'DMARC record could not be looked up')] };
+  }
+  if (!dmarc.record) {
+    return { status: 'fail', summary: 'No DMARC record found', findings: dmarc.findings };
+  }
+  let summary = `DMARC record found (policy: ${dmarc.inherited ? dmarc.policy.sp : dmarc.policy.p})`;
+  if (dmarc.inherited) summary += ` – inherited from ${dmarc.policyDomain}`;
+  return { status: dmarc.status, summary, findings: dmarc.findings };
+}
+
+function evaluateReputation(reputation) {
+  if (!reputation) {
+    return {
+      status: 'warning',
+      summary: 'Blocklist check unavailable',
+      findings: [finding('reputation-unavailable', 'warning', 'Blocklists could not be queried')],
+    };
+  }
+  const listed = reputation.listings.length;
+  const summary = listed
+    ? `Listed on ${listed} blocklist(s)`
+    : `Not listed (${reputation.ips.length} IP(s) and the domain checked)`;
+  return { status: reputation.status, summary, findings: reputation.findings };
+}
+
+function evaluateAge(age) {
+  const findings = [];
+  let summary;
+  if (!age || age.ageDays === null || age.ageDays === undefined) {
+    summary = 'Could not determine domain age';
+    findings.push(finding('domain-age-unknown', 'warning', 'WHOIS did not return a creation date'));
+  } else if (age.ageDays < NEW_DOMAIN_DAYS) {
+    summary = `Domain is too new (< ${NEW_DOMAIN_DAYS} days)`;
+    findings.push(finding('domain-too-new', 'fail', `Domain was registered ${age.ageDays} days ago`));
+  } else if (age.ageDays < YOUNG_DOMAIN_DAYS) {
+    summary = `Domain is less than ${YOUNG_DOMAIN_DAYS} days old`;
+    findings.push(finding('domain-young', 'warning', `Domain was registered ${age.ageDays} days ago`));
+  } else {
+    summary = 'Domain age is good';
+  }
+
+  const days = age?.daysUntilExpiry;
+  if (days !== null && days !== undefined) {
+    if (days < 0) {
+      findings.push(finding('domain-expired', 'fail', `Domain registration expired on ${age.expiresAt.split('T')[0]}`));
+    } else if (days <= EXPIRY_WARNING_DAYS) {
+      findings.push(finding('domain-expiring', 'warning', `Domain registration expires in ${days} days`));
+    }
+  }
+  return { status: statusFromFindings(findings), summary, findings };
+}
+
+// Optional transport and branding checks: a failed lookup is not held against
+// the domain
+function unavailable(code, label) {
+  return { status: 'info', summary: `${label} check unavailable`, findings: [finding(code, 'info', `${label} could not be checked`)] };
+}
+
+function evaluateMtaSts(mtaSts) {
+  if (!mtaSts) return unavailable('mta-sts-unavailable', 'MTA-STS');
+  let summary;
+  if (!mtaSts.record) {
+    summary = 'No MTA-STS policy';
+  } else if (!mtaSts.policy) {
+    summary = 'MTA-STS record found but the policy could not be loaded';
+  } else {
+    summary = `MTA-STS policy in ${mtaSts.policy.mode || 'unknown'} mode`;
+    if (mtaSts.unmatchedMx.length) summary += ` – ${mtaSts.unmatchedMx.length} MX host(s) not covered`;
+  }
+  return { status: mtaSts.status, summary, findings: mtaSts.findings };
+}
+
+function evaluateTlsRpt(tlsRpt) {
+  if (!tlsRpt) return unavailable('tls-rpt-unavailable', 'TLS-RPT');
+  const valid = tlsRpt.rua.filter(u => u.valid).length;
+  const summary = tlsRpt.record
+    ? `TLS-RPT record found (${valid} reporting address(es))`
+    : 'No TLS-RPT record';
+  return { status: tlsRpt.status, summary, findings: tlsRpt.findings };
+}
+
+function evaluateBIMI(bimi) {
+  if (!bimi) return unavailable('bimi-unavailable', 'BIMI');
+  let summary;
+  if (!bimi.record) {
+    summary = 'No BIMI record';
+  } else if (!bimi.logoUrl && !bimi.authorityUrl) {
+    summary = 'BIMI record declines a logo';
+  } else {
+    summary = bimi.certificate?.valid ? 'BIMI logo with a valid VMC' : 'BIMI logo published';
+    if (bimi.inherited) summary += ` – inherited from ${bimi.recordDomain}`;
+  }
+  return { status: bimi.status, summary, findings: bimi.findings };
+}
+
+function evaluateSMTP(smtp) {
+  if (smtp === undefined) return null;
+  if (!smtp) {
+    return { status: 'warning', summary: 'SMTP probe failed', findings: [finding('smtp-unavailable', 'warning', 'MX hosts could not be probed')] };
+  }
+  // Host-level findings are tagged with their host
+  const findings = [
+    ...smtp.findings,
+    ...smtp.hosts.flatMap(h => h.findings.map(f => ({ ...f, host: h.host }))),
+  ];
+  const tls = smtp.hosts.filter(h => h.tls).length;
+  const summary = smtp.probed
+    ? `${smtp.accepting} of ${smtp.probed} MX host(s) accept SMTP, ${tls} with STARTTLS`
+    : 'No MX hosts to probe';
+  return { status: smtp.status, summary, findings };
+}
+
+const RULES = {
+  mx: results => evaluateMX(results.mx),
+  spf: results => evaluateSPF(results.spf),
+  dkim: results => evaluateDKIM(results.dkim),
+  dmarc: results => evaluateDMARC(results.dmarc),
+  reputation: results => evaluateReputation(results.reputation),
+  age: results => evaluateAge(results.age),
+  mtaSts: results => evaluateMtaSts(results.mtaSts),
+  tlsRpt: results => evaluateTlsRpt(results.tlsRpt),
+  bimi: results => evaluateBIMI(results.bimi),
+  smtp: results => evaluateSMTP(results.smtp),
+};
+
+// ---------- Report ----------
+
+export function verdictFromStatuses(statuses) {
+  const fails = statuses.filter(s => s === 'fail').length;
+  const warnings = statuses.filter(s => s === 'warning').length;
+  if (fails === 0 && warnings === 0) return 'ready';
+  if (fails === 0 && warnings <= MAX_RISKY_WARNINGS) return 'risky';
+  return 'not-ready';
+}
+
+// Builds the readiness report for the output of runDomainChecks. Rules for
+// opt-in checks return null when the check was not run.
+export function evaluateDomain(results) {
+  const checks = {};
+  Object.entries(RULES).forEach(([check, rule]) => {
+    const evaluation = rule(results);
+    if (!evaluation) return;
+    const { status, summary, findings } = evaluation;
+    checks[check] = {
+      status,
+      severity: STATUS_SEVERITY[status],
+      score: Math.round(STATUS_SCORE[status] * CHECK_WEIGHTS[check]),
+      maxScore: CHECK_WEIGHTS[check],
+      summary,
+      findings,
+    };
+  });
+
+  const statuses = Object.values(checks).map(c => c.status);
+  const findings = Object.entries(checks).flatMap(([check, c]) => c.findings.map(f => ({ check, ...f })));
+
+  // One recommendation per code, failures first and optional extras last
+  const recommendations = [];
+  const seen = new Set();
+  [...findings]
+    .sort((a, b) => FINDING_ORDER[a.severity] - FINDING_ORDER[b.severity])
+    .forEach(f => {
+      const text = RECOMMENDATIONS[f.code];
+      if (!text || seen.has(text)) return;
+      seen.add(text);
+      recommendations.push({ code: f.code, check: f.check, severity: f.severity, text });
+    });
+
+  return {
+    version: VERDICT_VERSION,
+    verdict: verdictFromStatuses(statuses),
+    score: Object.values(checks).reduce((sum, c) => sum + c.score, 0),
+    counts: {
+      pass: statuses.filter(s => s === 'pass').length,
+      warning: statuses.filter(s => s === 'warning').length,
+      fail: statuses.filter(s => s === 'fail').length,
+      info: statuses.filter(s => s === 'info').length,
+    },
+    checks,
+    findings,
+    recommendations,
+  };
+}
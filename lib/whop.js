@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+
+// Whop API client and webhook verification. The API base URL can point at a
+// local stand-in (`WHOP_API_BASE_URL`) so the license flow runs offline.
+
+const DEFAULT_WHOP_API_BASE_URL = 'https://api.whop.com/api/v2';
+const WHOP_TIMEOUT_MS = 8000;
+// Webhooks older than this are rejected to limit replays
+export const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+// Membership statuses that grant Pro
+const VALID_STATUSES = ['active', 'trialing', 'completed'];
+
+export const MEMBERSHIP_EVENTS = [
+  'membership.created',
+  'membership.renewed',
+  'membership.went_valid',
+  'membership.cancelled',
+  'membership.expired',
+  'membership.went_invalid',
+];
+
+export function whopApiBaseUrl() {
+  return (process.env.WHOP_API_BASE_URL || DEFAULT_WHOP_API_BASE_URL).replace(/\/+$/, '');
+}
+
+export function hashLicenseKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// ---------- API ----------
+
+async function whopRequest(path) {
+  const apiKey = process.env.WHOP_API_KEY;
+  if (!apiKey) throw new Error('WHOP_API_KEY is not configured');
+
+  const response = await fetch(`${whopApiBaseUrl()}${path}`, {
+    headers: { 'Authorization': `Bearer ${apiKey}`, 'Accept': 'application/json' },
+    signal: AbortSignal.timeout(WHOP_TIMEOUT_MS),
+  });
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`Whop API returned ${response.status}`);
+  return response.json();
+}
+
+// Accepts a membership ID or a license key; resolves to null when Whop does
+// not know it
+export async function fetchMembership(idOrLicenseKey) {
+  const membership = await whopRequest(`/memberships/${encodeURIComponent(idOrLicenseKey)}`);
+  return membership && normalizeMembership(membership);
+}
+
+// The fields the license tables keep, from API responses and webhook payloads
+export function normalizeMembership(membership) {
+  const productId = typeof membership.product === 'object' ? membership.product?.id : membership.product || membership.product_id;
+  const expires = membership.renewal_period_end ?? membership.expires_at ?? null;
+  const status = String(membership.status || 'unknown').toLowerCase();
+  return {
+    id: membership.id,
+    productId: productId || null,
+    status,
+    valid: membership.valid ?? VALID_STATUSES.includes(status),
+    licenseKey: membership.license_key || null,
+    // Whop sends Unix seconds
+    expiresAt: expires === null ? null : new Date(typeof expires === 'number' ? expires * 1000 : expires).toISOString(),
+  };
+}
+
+export function grantsPro(membership) {
+  if (!membership.valid) return false;
+  const productId = process.env.WHOP_PRODUCT_ID;
+  return !productId || !membership.productId || membership.productId === productId;
+}
+
+// ---------- Webhooks ----------
+
+// `X-Whop-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">`
+export function verifyWebhookSignature(secret, rawBody, header, now = Date.now()) {
+  if (!secret || !header) return false;
+  const parts = Object.fromEntries(String(header).split(',').map(part => {
+    const eq = part.indexOf('=');
+    return [part.slice(0, eq).trim(), part.slice(eq + 1).trim()];
+  }));
+  const timestamp = Number(parts.t);
+  if (!Number.isFinite(timestamp) || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(`${parts.t}.${rawBody}`).digest('hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return given.length === expected.length / 2 && crypto.timingSafeEqual(given, Buffer.from(expected, 'hex'));
+}
+
+export function signWebhook(secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
@@ -0,0 +1,27 @@
+-- Bulk domain check jobs. Domains are processed in time-boxed batches; a job
+-- stays 'pending' until every domain has a result and can be resumed by id.
+-- `results` holds one summary row per domain; the full check results are
+-- saved to check_history.
+create table if not exists public.bulk_jobs (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  status text not null default 'pending' check (status in ('pending', 'completed')),
+  domains jsonb not null,
+  rejected jsonb not null default '[]'::jsonb,
+  results jsonb not null default '[]'::jsonb,
+  -- Set while a request is processing the job, so two resumes can't run the
+  -- same domains; expires if that request dies
+  locked_until timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists bulk_jobs_user_id_created_at_idx
+  on public.bulk_jobs (user_id, created_at desc);
+
+-- Jobs are created and processed by the server; users may only read their own
+alter table public.bulk_jobs enable row level security;
+
+create policy "Users can read their own bulk jobs"
+  on public.bulk_jobs for select
+  using (user_id = auth.uid());
@@ -0,0 +1,27 @@
+-- Every domain and copy check result, kept per user so a domain's checks can
+-- be browsed as a timeline and two snapshots compared.
+create table if not exists public.check_history (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  kind text not null check (kind in ('domain', 'copy')),
+  domain text,
+  verdict text,
+  input jsonb,
+  result jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists check_history_user_id_created_at_idx
+  on public.check_history (user_id, created_at desc);
+
+create index if not exists check_history_user_id_domain_created_at_idx
+  on public.check_history (user_id, domain, created_at desc)
+  where domain is not null;
+
+-- Results are recorded by the server, which also serves API key requests
+-- that carry no session; users may only read their own
+alter table public.check_history enable row level security;
+
+create policy "Users can read their own check history"
+  on public.check_history for select
+  using (user_id = auth.uid());
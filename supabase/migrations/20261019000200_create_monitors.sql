@@ -0,0 +1,32 @@
+-- Domains registered for scheduled re-checks. The cron job compares each run
+-- with the snapshot in last_history_id and alerts on regressions.
+create table if not exists public.monitors (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  domain text not null,
+  selectors jsonb not null default '[]'::jsonb,
+  alert_email text,
+  webhook_url text,
+  webhook_secret text not null,
+  active boolean not null default true,
+  last_checked_at timestamptz,
+  last_history_id uuid references public.check_history (id) on delete set null,
+  last_verdict text,
+  last_alerted_at timestamptz,
+  last_error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (user_id, domain)
+);
+
+create index if not exists monitors_due_idx
+  on public.monitors (last_checked_at nulls first)
+  where active;
+
+-- Monitors hold webhook secrets and alert addresses: they are managed by the
+-- server, and users may only read their own
+alter table public.monitors enable row level security;
+
+create policy "Users can read their own monitors"
+  on public.monitors for select
+  using (user_id = auth.uid());
@@ -0,0 +1,114 @@
+-- Personal API keys for Pro accounts. Only a SHA-256 hash of each key is
+-- stored; `prefix` is kept so users can tell their keys apart.
+create table if not exists public.api_keys (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  prefix text not null,
+  key_hash text not null unique,
+  scopes text[] not null check (cardinality(scopes) > 0),
+  rate_limit_per_minute integer not null default 60 check (rate_limit_per_minute > 0),
+  last_used_at timestamptz,
+  created_at timestamptz not null default now(),
+  revoked_at timestamptz
+);
+
+create index if not exists api_keys_user_id_idx on public.api_keys (user_id);
+
+-- Fixed one-minute windows for per-key rate limiting
+create table if not exists public.api_key_rate_windows (
+  api_key_id uuid not null references public.api_keys (id) on delete cascade,
+  window_start timestamptz not null,
+  requests integer not null default 0,
+  primary key (api_key_id, window_start)
+);
+
+-- Monthly request counts per key and scope, for usage attribution
+create table if not exists public.api_key_usage (
+  api_key_id uuid not null references public.api_keys (id) on delete cascade,
+  month date not null,
+  scope text not null,
+  requests integer not null default 0,
+  primary key (api_key_id, month, scope)
+);
+
+-- Keys are created and checked by the server only. Users may read their own
+-- keys and usage; nobody can write them with the public key.
+alter table public.api_keys enable row level security;
+alter table public.api_key_rate_windows enable row level security;
+alter table public.api_key_usage enable row level security;
+
+create policy "Users can read their own API keys"
+  on public.api_keys for select
+  using (user_id = auth.uid());
+
+create policy "Users can read their own API key usage"
+  on public.api_key_usage for select
+  using (exists (
+    select 1 from public.api_keys k where k.id = api_key_id and k.user_id = auth.uid()
+  ));
+
+-- Check results made with a key are attributed to it
+alter table public.check_history
+  add column if not exists api_key_id uuid references public.api_keys (id) on delete set null;
+
+-- Verifies a key by hash, enforces its rate limit and scopes, and records
+-- usage. Returns no row for unknown or revoked keys.
+create or replace function public.authenticate_api_key(p_key_hash text, p_scope text default null)
+returns table (
+  key_id uuid,
+  user_id uuid,
+  scopes text[],
+  in_scope boolean,
+  allowed boolean,
+  rate_limit integer,
+  remaining integer,
+  reset_at timestamptz
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  k public.api_keys%rowtype;
+  w timestamptz := date_trunc('minute', now());
+  n integer;
+  ok_scope boolean;
+begin
+  select * into k from public.api_keys where key_hash = p_key_hash and revoked_at is null;
+  if not found then
+    return;
+  end if;
+
+  ok_scope := p_scope is null or p_scope = any (k.scopes);
+
+  insert into public.api_key_rate_windows as r (api_key_id, window_start, requests)
+  values (k.id, w, 1)
+  on conflict (api_key_id, window_start) do update set requests = r.requests + 1
+  returning r.requests into n;
+
+  delete from public.api_key_rate_windows
+  where api_key_id = k.id and window_start < w - interval '1 hour';
+
+  if ok_scope and n <= k.rate_limit_per_minute then
+    update public.api_keys set last_used_at = now() where id = k.id;
+
+    insert into public.api_key_usage as u (api_key_id, month, scope, requests)
+    values (k.id, date_trunc('month', now())::date, coalesce(p_scope, 'other'), 1)
+    on conflict (api_key_id, month, scope) do update set requests = u.requests + 1;
+  end if;
+
+  return query select
+    k.id,
+    k.user_id,
+    k.scopes,
+    ok_scope,
+    n <= k.rate_limit_per_minute,
+    k.rate_limit_per_minute,
+    greatest(k.rate_limit_per_minute - n, 0),
+    w + interval '1 minute';
+end;
+$$;
+
+revoke execute on function public.authenticate_api_key(text, text) from public, anon, authenticated;
+grant execute on function public.authenticate_api_key(text, text) to service_role;
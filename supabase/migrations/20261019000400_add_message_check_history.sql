@@ -0,0 +1,7 @@
+-- Raw message (.eml / header) analyses are stored alongside domain and copy
+-- checks.
+alter table public.check_history
+  drop constraint if exists check_history_kind_check;
+
+alter table public.check_history
+  add constraint check_history_kind_check check (kind in ('domain', 'copy', 'message'));
@@ -0,0 +1,96 @@
+-- Whop memberships and the account each one is bound to. Rows are written by
+-- the server only: license activation, the Whop webhook and the reconciliation
+-- cron. Only a SHA-256 hash of the license key is stored.
+create table if not exists public.licenses (
+  id uuid primary key default gen_random_uuid(),
+  whop_membership_id text not null unique,
+  key_hash text unique,
+  -- Null until someone activates the key
+  user_id uuid references auth.users (id) on delete set null,
+  product_id text,
+  status text not null,
+  valid boolean not null default false,
+  expires_at timestamptz,
+  bound_at timestamptz,
+  last_synced_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists licenses_user_id_idx on public.licenses (user_id);
+create index if not exists licenses_last_synced_at_idx on public.licenses (last_synced_at nulls first);
+
+alter table public.licenses enable row level security;
+
+-- Processed webhook deliveries, so Whop retries are applied once
+create table if not exists public.whop_events (
+  id text primary key,
+  action text not null,
+  membership_id text,
+  received_at timestamptz not null default now()
+);
+
+alter table public.whop_events enable row level security;
+
+-- Stores the membership and binds it to p_user_id if it is not bound yet.
+-- Returns the row; its user_id is someone else when the key is already in use.
+create or replace function public.bind_license(
+  p_user_id uuid,
+  p_membership_id text,
+  p_key_hash text,
+  p_product_id text,
+  p_status text,
+  p_valid boolean,
+  p_expires_at timestamptz
+)
+returns setof public.licenses
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return query
+  insert into public.licenses as l (
+    whop_membership_id, key_hash, user_id, product_id, status, valid, expires_at, bound_at, last_synced_at
+  )
+  values (p_membership_id, p_key_hash, p_user_id, p_product_id, p_status, p_valid, p_expires_at, now(), now())
+  on conflict (whop_membership_id) do update set
+    key_hash = excluded.key_hash,
+    user_id = coalesce(l.user_id, excluded.user_id),
+    bound_at = coalesce(l.bound_at, excluded.bound_at),
+    product_id = excluded.product_id,
+    status = excluded.status,
+    valid = excluded.valid,
+    expires_at = excluded.expires_at,
+    last_synced_at = excluded.last_synced_at,
+    updated_at = now()
+  returning l.*;
+end;
+$$;
+
+revoke execute on function public.bind_license(uuid, text, text, text, text, boolean, timestamptz) from public, anon, authenticated;
+grant execute on function public.bind_license(uuid, text, text, text, text, boolean, timestamptz) to service_role;
+
+-- The tier follows the bound licenses, so only the service role may set it.
+-- The table-wide update grant would override a column revoke, so it is
+-- replaced with one for every other column.
+do $$
+declare
+  cols text;
+begin
+  select string_agg(quote_ident(column_name), ', ') into cols
+  from information_schema.columns
+  where table_schema = 'public' and table_name = 'profiles' and column_name <> 'subscription_tier';
+
+  revoke update on public.profiles from anon, authenticated;
+  if cols is not null then
+    execute format('grant update (%s) on public.profiles to authenticated', cols);
+  end if;
+end;
+$$;
+
+-- Sign-up creates the profile with the user's key; it can only start on free
+create policy "New profiles start on the free tier"
+  on public.profiles as restrictive for insert
+  to anon, authenticated
+  with check (subscription_tier = 'free');
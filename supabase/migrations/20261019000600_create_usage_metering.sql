@@ -0,0 +1,83 @@
+-- Monthly quotas per subscription tier and metered feature. Changing a plan's
+-- allowance is an update to this table, not a deploy.
+create table if not exists public.usage_quotas (
+  tier text not null,
+  feature text not null check (feature in ('domain', 'copy', 'rewrite', 'bulk')),
+  -- Null means unlimited, 0 means not included in the plan
+  monthly_limit integer check (monthly_limit >= 0),
+  primary key (tier, feature)
+);
+
+insert into public.usage_quotas (tier, feature, monthly_limit) values
+  ('free', 'domain', 1),
+  ('free', 'copy', 0),
+  ('free', 'rewrite', 0),
+  ('free', 'bulk', 1),
+  ('pro', 'domain', null),
+  ('pro', 'copy', null),
+  ('pro', 'rewrite', 500),
+  ('pro', 'bulk', null)
+on conflict (tier, feature) do nothing;
+
+alter table public.usage
+  add column if not exists rewrites integer not null default 0,
+  add column if not exists bulk_checks integer not null default 0;
+
+-- Adds p_amount to the account's counter for the current month if it stays
+-- within the tier's quota, in one transaction so concurrent requests cannot
+-- overshoot. A negative amount refunds and is always applied.
+create or replace function public.meter_usage(p_user_id uuid, p_feature text, p_amount integer default 1)
+returns table (
+  account_tier text,
+  used integer,
+  quota integer,
+  allowed boolean,
+  remaining integer,
+  reset_at timestamptz
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  col text;
+  m date := date_trunc('month', now())::date;
+  t text;
+  q integer;
+  n integer;
+begin
+  col := case p_feature
+    when 'domain' then 'domain_checks'
+    when 'copy' then 'copy_checks'
+    when 'rewrite' then 'rewrites'
+    when 'bulk' then 'bulk_checks'
+  end;
+  if col is null then
+    raise exception 'Unknown metered feature: %', p_feature;
+  end if;
+
+  select coalesce((select p.subscription_tier from public.profiles p where p.id = p_user_id), 'free') into t;
+  select uq.monthly_limit into q from public.usage_quotas uq where uq.tier = t and uq.feature = p_feature;
+  -- Tiers without a configured quota get nothing
+  if not found then
+    q := 0;
+  end if;
+
+  -- The row lock serializes concurrent requests for the same account
+  insert into public.usage (user_id, month) values (p_user_id, m)
+  on conflict (user_id, month) do nothing;
+  execute format('select coalesce(%I, 0) from public.usage where user_id = $1 and month = $2 for update', col)
+    into n using p_user_id, m;
+
+  if p_amount <= 0 or q is null or n + p_amount <= q then
+    execute format('update public.usage set %I = greatest(coalesce(%I, 0) + $3, 0), updated_at = now() where user_id = $1 and month = $2 returning %I', col, col, col)
+      into n using p_user_id, m, p_amount;
+    return query select t, n, q, true, case when q is null then null else greatest(q - n, 0) end, (m + interval '1 month')::timestamptz;
+  else
+    return query select t, n, q, false, greatest(q - n, 0), (m + interval '1 month')::timestamptz;
+  end if;
+end;
+$$;
+
+revoke execute on function public.meter_usage(uuid, text, integer) from public, anon, authenticated;
+grant execute on function public.meter_usage(uuid, text, integer) to service_role;
@@ -0,0 +1,26 @@
+-- Per-account copy rule sets. `rules` holds added rules and overrides of the
+-- built-in defaults (see lib/copy-rules.js); `allowlist` holds terms that are
+-- never flagged. The active set is applied to copy checks.
+create table if not exists public.copy_rule_sets (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  rules jsonb not null default '[]'::jsonb,
+  allowlist text[] not null default '{}',
+  active boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (user_id, name)
+);
+
+-- At most one active set per account
+create unique index if not exists copy_rule_sets_active_idx
+  on public.copy_rule_sets (user_id)
+  where active;
+
+-- Rule sets are validated and saved by the server; users may only read their own
+alter table public.copy_rule_sets enable row level security;
+
+create policy "Users can read their own copy rule sets"
+  on public.copy_rule_sets for select
+  using (user_id = auth.uid());
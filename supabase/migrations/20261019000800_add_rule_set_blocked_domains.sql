@@ -0,0 +1,4 @@
+-- Link domains the copy check flags wherever they appear in a message,
+-- including their subdomains.
+alter table public.copy_rule_sets
+  add column if not exists blocked_domains text[] not null default '{}';
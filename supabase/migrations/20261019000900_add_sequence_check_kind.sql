@@ -0,0 +1,6 @@
+-- Multi-step sequence analyses are stored alongside the other checks.
+alter table public.check_history
+  drop constraint if exists check_history_kind_check;
+
+alter table public.check_history
+  add constraint check_history_kind_check check (kind in ('domain', 'copy', 'message', 'sequence'));